@@ -0,0 +1,72 @@
+"use server";
+
+import { revalidatePath } from "next/cache";
+import { redirect } from "next/navigation";
+import { ORDER_EVENT, canTransition, transition } from "../lib/order-state-machine";
+import {
+    appendDeadLetterError,
+    getDeadLetters,
+    removeDeadLetter,
+    retryDeadLetter,
+} from "../lib/job-queue";
+import { createJobHandlers } from "../lib/job-handlers";
+import { hasFulfillmentErrors } from "../lib/fulfillment";
+import { getServices } from "../lib/services";
+import { withOrderLock } from "../lib/webhook-dedup";
+
+// runs only this dead job again right away, it stays in the dead-letter list with the new error if it fails.
+// The page tells how it went (see `Notice`)
+export async function retryJob(formData) {
+    const { status, job } = await retryDeadLetter(
+        formData.get("jobId"),
+        createJobHandlers(getServices())
+    );
+
+    revalidatePath("/");
+    redirect(`/?${new URLSearchParams({ retry: status, order: job?.orderNumber ?? "" })}`);
+}
+
+export async function skipJob(formData) {
+    await removeDeadLetter(formData.get("jobId"));
+
+    revalidatePath("/");
+}
+
+// fulfills the order regardless of what failed and drops the dead job. It holds the order lock like the webhook
+// and the queue, when one of them is working on the order the page asks to try again
+export async function forceFulfillOrder(formData) {
+    const jobId = formData.get("jobId");
+    const job = (await getDeadLetters()).find(({ id }) => id === jobId);
+    if (!job) return;
+
+    const { orderStates, fulfillOrder } = getServices();
+    const { status } = await withOrderLock(job.orderId, async () => {
+        const { fulfillmentOrderIds, skipped, data, errors } = await fulfillOrder(
+            job.orderId
+        );
+        if (hasFulfillmentErrors({ data, errors })) {
+            await appendDeadLetterError(jobId, { data, errors });
+            return;
+        }
+
+        const state = await orderStates.load({
+            id: job.orderId,
+            name: job.orderNumber,
+        });
+        if (canTransition(state, ORDER_EVENT.FULFILLED)) {
+            await orderStates.save(
+                transition(state, ORDER_EVENT.FULFILLED, {
+                    actor: "dashboard:force-fulfill",
+                    payload: job,
+                    details: { fulfillmentOrderIds, skipped },
+                })
+            );
+        }
+        await removeDeadLetter(jobId);
+    });
+
+    revalidatePath("/");
+    if (status === "locked") {
+        redirect(`/?${new URLSearchParams({ fulfill: status, order: job.orderNumber })}`);
+    }
+}
@@ -4,8 +4,8 @@ import "./globals.css";
 const inter = Inter({ subsets: ["latin"] });
 
 export const metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  title: "Momentus Shop",
+  description: "Failed order jobs of the Momentus Shop automation",
 };
 
 export default function RootLayout({ children }) {
@@ -1,95 +1,155 @@
-import Image from "next/image";
+import { RETRY_STATUS, getDeadLetters } from "../lib/job-queue";
+import { forceFulfillOrder, retryJob, skipJob } from "./actions";
 import styles from "./page.module.css";
 
-export default function Home() {
-  return (
-    <main className={styles.main}>
-      <div className={styles.description}>
+// the dead-letter list changes on every cron run
+export const dynamic = "force-dynamic";
+// its actions hold order locks, see `ROUTE_MAX_DURATION` in `lib/webhook-dedup`
+export const maxDuration = 60;
+
+// splits what a failed attempt captured into GraphQL `userErrors`, general errors and SMTP responses
+function describeError(error) {
+    if (error && typeof error === "object" && ("data" in error || "errors" in error)) {
+        const userErrors = Object.values(error.data ?? {}).flatMap(
+            (result) => result?.userErrors ?? []
+        );
+
+        return { userErrors, generalErrors: error.errors ?? null };
+    }
+
+    if (error && typeof error === "object" && "userErrors" in error) {
+        return { userErrors: error.userErrors, generalErrors: error.errors ?? null };
+    }
+
+    return { smtpResponse: error };
+}
+
+// email jobs hold the `files` they deliver, the ones queued before batch emails a single `file`
+function JobFiles({ job }) {
+    const files = job.payload?.files ?? (job.payload?.file ? [job.payload.file] : []);
+    if (files.length === 0) return null;
+
+    return (
         <p>
-          Get started by editing&nbsp;
-          <code className={styles.code}>app/page.js</code>
+            {files.length === 1 ? "File" : "Files"}:{" "}
+            {files.map((file, index) => (
+                <span key={file.key}>
+                    {index > 0 && ", "}
+                    <a href={file.url}>{file.name}</a>
+                </span>
+            ))}
         </p>
-        <div>
-          <a
-            href="https://vercel.com?utm_source=create-next-app&utm_medium=appdir-template&utm_campaign=create-next-app"
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            By{" "}
-            <Image
-              src="/vercel.svg"
-              alt="Vercel Logo"
-              className={styles.vercelLogo}
-              width={100}
-              height={24}
-              priority
-            />
-          </a>
-        </div>
-      </div>
-
-      <div className={styles.center}>
-        <Image
-          className={styles.logo}
-          src="/next.svg"
-          alt="Next.js Logo"
-          width={180}
-          height={37}
-          priority
-        />
-      </div>
-
-      <div className={styles.grid}>
-        <a
-          href="https://nextjs.org/docs?utm_source=create-next-app&utm_medium=appdir-template&utm_campaign=create-next-app"
-          className={styles.card}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <h2>
-            Docs <span>-&gt;</span>
-          </h2>
-          <p>Find in-depth information about Next.js features and API.</p>
-        </a>
-
-        <a
-          href="https://nextjs.org/learn?utm_source=create-next-app&utm_medium=appdir-template&utm_campaign=create-next-app"
-          className={styles.card}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <h2>
-            Learn <span>-&gt;</span>
-          </h2>
-          <p>Learn about Next.js in an interactive course with&nbsp;quizzes!</p>
-        </a>
-
-        <a
-          href="https://vercel.com/templates?framework=next.js&utm_source=create-next-app&utm_medium=appdir-template&utm_campaign=create-next-app"
-          className={styles.card}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <h2>
-            Templates <span>-&gt;</span>
-          </h2>
-          <p>Explore starter templates for Next.js.</p>
-        </a>
-
-        <a
-          href="https://vercel.com/new?utm_source=create-next-app&utm_medium=appdir-template&utm_campaign=create-next-app"
-          className={styles.card}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <h2>
-            Deploy <span>-&gt;</span>
-          </h2>
-          <p>
-            Instantly deploy your Next.js site to a shareable URL with Vercel.
-          </p>
-        </a>
-      </div>
-    </main>
-  );
+    );
+}
+
+function ErrorDetails({ error }) {
+    const { userErrors, generalErrors, smtpResponse } = describeError(error);
+
+    return (
+        <dl className={styles.errors}>
+            {userErrors?.length > 0 && (
+                <>
+                    <dt>GraphQL userErrors</dt>
+                    <dd>
+                        <ul>
+                            {userErrors.map(({ field, message }, index) => (
+                                <li key={index}>
+                                    {field ? <code>{[].concat(field).join(".")}</code> : null} {message}
+                                </li>
+                            ))}
+                        </ul>
+                    </dd>
+                </>
+            )}
+            {generalErrors && (
+                <>
+                    <dt>General errors</dt>
+                    <dd>
+                        <pre>{JSON.stringify(generalErrors, null, 2)}</pre>
+                    </dd>
+                </>
+            )}
+            {smtpResponse !== undefined && (
+                <>
+                    <dt>SMTP response</dt>
+                    <dd>
+                        <pre>{JSON.stringify(smtpResponse, null, 2)}</pre>
+                    </dd>
+                </>
+            )}
+        </dl>
+    );
+}
+
+const RETRY_NOTICES = {
+    [RETRY_STATUS.SUCCEEDED]: (order) => `Order ${order}: the job ran again and succeeded.`,
+    [RETRY_STATUS.FAILED]: (order) => `Order ${order}: the job failed again, its new error is listed below.`,
+    [RETRY_STATUS.BUSY]: () => "The job is already being retried, check again in a moment.",
+    [RETRY_STATUS.MISSING]: () => "The job is no longer in the list, it was already retried, skipped or fulfilled.",
+};
+
+// a "Force fulfil" that didn't run, see `forceFulfillOrder`
+const FULFILL_NOTICES = {
+    locked: (order) => `Order ${order} is being processed right now, force fulfil it again in a moment.`,
+};
+
+// the outcome of the last "Retry" or "Force fulfil", passed along in the URL by `retryJob` and `forceFulfillOrder`
+function Notice({ notices, status, order }) {
+    const notice = notices[status];
+    if (!notice) return null;
+
+    return (
+        <p className={styles.notice} role="status">
+            {notice(order)}
+        </p>
+    );
+}
+
+export default async function Home({ searchParams }) {
+    const deadLetters = await getDeadLetters();
+
+    return (
+        <main className={styles.main}>
+            <h1>Failed order jobs</h1>
+            <p className={styles.description}>
+                Emails, order state writes and fulfillments that failed every retry.
+            </p>
+
+            <Notice notices={RETRY_NOTICES} status={searchParams.retry} order={searchParams.order} />
+            <Notice notices={FULFILL_NOTICES} status={searchParams.fulfill} order={searchParams.order} />
+
+            {deadLetters.length === 0 && <p>Nothing failed, all good!</p>}
+
+            {deadLetters.map((job) => (
+                <section key={job.id} className={styles.card}>
+                    <header className={styles.header}>
+                        <h2>
+                            Order {job.orderNumber} <span className={styles.type}>{job.type}</span>
+                        </h2>
+                        <span>
+                            {job.attempts} attempts since {new Date(job.createdAt).toLocaleString("pt-PT")}
+                        </span>
+                    </header>
+
+                    <JobFiles job={job} />
+
+                    <ol className={styles.attempts}>
+                        {job.errors.map(({ at, error }, index) => (
+                            <li key={index}>
+                                <time dateTime={at}>{new Date(at).toLocaleString("pt-PT")}</time>
+                                <ErrorDetails error={error} />
+                            </li>
+                        ))}
+                    </ol>
+
+                    <form className={styles.actions}>
+                        <input type="hidden" name="jobId" value={job.id} />
+                        <button formAction={retryJob}>Retry</button>
+                        <button formAction={skipJob}>Skip</button>
+                        <button formAction={forceFulfillOrder}>Force fulfil</button>
+                    </form>
+                </section>
+            ))}
+        </main>
+    );
 }
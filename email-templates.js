@@ -1,905 +0,0 @@
-export const pt = {
-    subject: '[Momentus] - Ficheiro digital -',
-    text: `
-O design do seu quadro está pronto!
-
-
-Por favor, encontre o seu ficheiro digital nos anexos deste email.
-
-A sua satisfação é o mais importante para nós por isso oferecemos revisões ilimitadas até que esteja perfeito para si.
-
-
-Se pretender alguma alteração ou tiver alguma questão contate-nos respondendo diretamente a este email.
-
-Siga-nos em @momentus_shop <https://www.instagram.com/momentus.shop/>
-
-https://www.momentus.shop/ <https://www.momentus.shop/>
-    `,
-    html: `
-<html xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns:m="http://schemas.microsoft.com/office/2004/12/omml" xmlns="http://www.w3.org/TR/REC-html40"><head>
-<meta http-equiv="Content-Type" content="text/html; charset="utf-8">
-<meta name="Generator" content="Microsoft Word 15 (filtered medium)">
-<!--[if !mso]><style>v\:* {behavior:url(#default#VML);}
-o\:* {behavior:url(#default#VML);}
-w\:* {behavior:url(#default#VML);}
-.shape {behavior:url(#default#VML);}
-</style><![endif]--><style><!--
-/* Font Definitions */
-@font-face
-    {font-family:Helvetica;
-    panose-1:0 0 0 0 0 0 0 0 0 0;}
-@font-face
-    {font-family:"Cambria Math";
-    panose-1:2 4 5 3 5 4 6 3 2 4;}
-@font-face
-    {font-family:Calibri;
-    panose-1:2 15 5 2 2 2 4 3 2 4;}
-/* Style Definitions */
-p.MsoNormal, li.MsoNormal, div.MsoNormal
-    {margin:0cm;
-    font-size:11.0pt;
-    font-family:"Calibri",sans-serif;}
-a:link, span.MsoHyperlink
-    {mso-style-priority:99;
-    color:#0563C1;
-    text-decoration:underline;}
-p.xxmsonormal, li.xxmsonormal, div.xxmsonormal
-    {mso-style-name:xxmsonormal;
-    mso-margin-top-alt:auto;
-    margin-right:0cm;
-    mso-margin-bottom-alt:auto;
-    margin-left:0cm;
-    font-size:11.0pt;
-    font-family:"Calibri",sans-serif;}
-p.xmsonormal, li.xmsonormal, div.xmsonormal
-    {mso-style-name:xmsonormal;
-    mso-margin-top-alt:auto;
-    margin-right:0cm;
-    mso-margin-bottom-alt:auto;
-    margin-left:0cm;
-    font-size:11.0pt;
-    font-family:"Calibri",sans-serif;}
-span.spelle
-    {mso-style-name:spelle;}
-.MsoChpDefault
-    {mso-style-type:export-only;
-    font-size:10.0pt;
-    mso-ligatures:none;}
-@page WordSection1
-    {size:612.0pt 792.0pt;
-    margin:72.0pt 72.0pt 72.0pt 72.0pt;}
-div.WordSection1
-    {page:WordSection1;}
---></style>
-</head>
-<body lang="en-PT" link="#0563C1" vlink="#954F72" style="word-wrap:break-word">
-<div class="WordSection1">
-<div>
-<div align="center">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="660" style="width:495.0pt;background:white;border-collapse:collapse">
-<tbody>
-<tr>
-<td valign="top" style="border:solid #8F8F8F 1.0pt;padding:0cm 37.5pt 0cm 37.5pt">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse">
-<tbody>
-<tr>
-<td valign="top" style="padding:37.5pt 0cm 22.5pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="566" style="width:424.4pt;border-collapse:collapse">
-<tbody>
-<tr style="height:2.95pt">
-<td valign="bottom" style="padding:0cm 0cm 42.0pt 0cm;height:2.95pt">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center;vertical-align:middle">
-<img width="316" height="87" style="width:3.2916in;height:.9062in" id="Picture_x0020_2" src="cid:image001.png@01D95810.D4949A90" alt="Shape=0D=0DDescription automatically generated with medium confidence"></p>
-</td>
-</tr>
-<tr style="height:13.95pt">
-<td valign="bottom" style="padding:0;height:13.95pt">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-size:18.0pt;font-family:Helvetica;color:#1B1B1B">O design do seu quadro está pronto!</span></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-size:15.0pt;font-family:Helvetica;color:#1B1B1B">&nbsp;</span></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-family:Helvetica;color:#1B1B1B">Por favor, encontre o seu ficheiro digital nos anexos deste email.</span></p>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-<tr>
-<td valign="top" style="border-top:solid #6F6F6F 1.0pt;border-left:none;border-bottom:solid #6F6F6F 1.0pt;border-right:none;padding:22.5pt 0cm 22.5pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="563" style="width:422.25pt;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr style="height:11.2pt">
-<td valign="top" style="padding:0;height:11.2pt">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-size:14.0pt">A sua satisfação é o mais importante para nós por isso oferecemos revisões ilimitadas até que esteja perfeito para si.</span><span style="font-size:14.0pt">&nbsp;</span></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center">&nbsp;</p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT">Se pretender alguma alteração ou tiver alguma questão contate-nos respondendo diretamente a este email.</span></p>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-<tr>
-<td valign="top" style="padding:22.5pt 0cm 45.0pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 22.5pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm"></td>
-</tr>
-</tbody>
-</table>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="EN-US" style="font-size:28.0pt">Siga-nos em</span></p>
-<a href="https://www.instagram.com/momentus.shop/" title="https://www.instagram.com/momentus.shop/">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><sub><span lang="EN-US" style="font-size:28.0pt;color:windowtext;text-decoration:none"><img border="0" width="66" height="66" style="width:.6875in;height:.6875in" id="Picture_x0020_1" src="cid:image002.png@01D95810.D4949A90" alt="Icon=0D=0DDescription automatically generated"></span></sub></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="EN-US" style="font-size:14.0pt">@momentus_shop</span></p>
-</a>
-</td>
-</tr>
-<tr>
-<td style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<p class="xxmsonormal" style="margin:0cm"><span style="font-size:10.0pt"><a href="https://www.momentus.shop"><span style="font-size:11.0pt;font-family:&quot;Arial&quot;,sans-serif;color:#713C57">https://www.momentus.shop/</span></a></span></p>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</div>
-<p class="xxmsonormal" style="margin:0cm;font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:black">&nbsp;</span><o:p></o:p></p>
-<p class="xmsonormal" style="margin:0cm;font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span></p>
-<p class="MsoNormal">&nbsp;</p>
-</div>
-</div>
-</body>
-</html>
-    `,
-    attachments: [
-        {
-            cid: 'image001.png@01D95810.D4949A90',
-            filename: 'image001.png',
-            encoding: 'base64',
-            content: `
-iVBORw0KGgoAAAANSUhEUgAAAW8AAABlCAYAAACC0GLGAAAAAXNSR0IArs4c6QAAAIRlWElmTU0A
-KgAAAAgABQESAAMAAAABAAEAAAEaAAUAAAABAAAASgEbAAUAAAABAAAAUgEoAAMAAAABAAIAAIdp
-AAQAAAABAAAAWgAAAAAAAADcAAAAAQAAANwAAAABAAOgAQADAAAAAQABAACgAgAEAAAAAQAAAW+g
-AwAEAAAAAQAAAGUAAAAA86HXeAAAAAlwSFlzAAAh1QAAIdUBBJy0nQAAGrlJREFUeAHtnQnYXdPV
-xw0ZkAhiDIlIgkRU1RTzWMTUGmomBEVTfVRQpaYqavxaUh0+Wt6QikhqiLklMRQxFDHEkIgMxgYZ
-EAkR3+8fd39Z2e697z33nnOHN2s9zz97rX3OWXuf/9ln7bX3PS9LLOHiDDgDzoAz4Aw4A86AM+AM
-OAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4
-A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgD
-zoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPO
-gDPgDDgDzoAz4Aw4A86AM+AMOAN1x8DSddcj75Az4Aw4A7VnQLGxNegApC+Zw3zKuhB1qNqyFA2u
-BdoDS4TqJ4PZIGtZkQbWAF+bhtT+TPCuqWtpqp53d9AqujE9hylgblSfhdkJp+LfPnv16wMwHTQn
-eqG6gDbAPr/mriv1uPr1Nvi8yAXLc2xNczzrsdOWtnTPIYjMQdfzshxiLqHzOgNxlAU3uP2W6Nlp
-3EwF86Kjq2GvDNRPcaRzPgVpicZAVyDf6sdnQO/vVyCp6Jn2Bn3AeqA7WB/oHuRvBngfPA1Gg3Fg
-AlisZDnu9g6gF/VDA5FzBtCDyFLk/wbwMYjbvy7LhuvAt17uV8BHwN67AufxIGtR0P4XiJ+9nsWJ
-JTbejfOeAfE92PspV5fPiUAvcDHZl4O2Dd3PS6BnsYsqONaLa98A6p/wGGgPYlHwyfd8bV/T1tWf
-MUDJkBVNNJeA8KxV7m5PSEEX35OA+qAxdBtYCSQRJTIDwCNAk5AmvVLwHuf9AagPi420405FVD6C
-NECTkp+UOM2mnxRo/9akzhrs/Lb0V4E6H/ejqI8z8rRvbzccKjvL1/6pJTamrOitAj7y+U1ap7Gx
-bTN9OaRA+zdSL47Tlu/gUMEv3IuyvuXzNPJd6v5rzgvnZ12Op027ElHXFLyvAbbtfXQgRdkQX7NB
-aGM0escE/rVKuQV8AYKPpKWy72okPjSzqGT9si7a2kKr0LJGL+ae4OaFp6auHY3H9gW8xsvQAqc1
-dHUh7jfhrrYAT2Z0d3qZDwQq80mp3OvlKnQP+fwmrVuGC5pb/akP+aQflU+Av+Q7WEFdfM+F7l9b
-B+p/tUUTltqOJX6mhXiLryvVlj8lA0EK8RKO27InRhPYylbm9Hcp3wPK5qcBJZwdgIK9YpSVHhjK
-wFuDa4HtD2Z2UqvgXeyOTuSgMuAsSFgVv/sVa3wxPqYtDXHzNEjyEpRK2bqceGipJyc4T3uofwTK
-wCoVBaA5YFIFji7k2leBVpfVFgWcXwNl5aUESgVXrXT1zilASbStMhjMAM1NYpyyIGjrmlkyGkQU
-B5pAHLgnUfcncB+YAuJ7Woe6LcFPwE4gSFsUBXCtekaEypZYapCMAhpc+TCT+j1AFnIAThWY8rWr
-uluyaLSOfGqQKasodP+TObZ2Rv39dZF21Z9TSmxXk8AE40sBSxNPNeVgGivEoeofAyuk2KEN8aUA
-Gdp8CT3ftkk5Ta7FRXYrbRz26uU4iq7RCmsQCH1WuXd0TqVmbxwowIY2HkTvWILTX5lrwrW3U9el
-hGt1itr4LQixRNsuVwJNClWTUmbWanTmWdOIlid6OdLum5aTB0R+1W68tKNqsZFp3KkCdhAF7rRf
-MPlWcD1ESk40QY8NRgpl2mMlaZfe4YIvzUXboZ9s7HpWY+6WpLNxXT33P2nf9LVTnCj8m7qfgqkl
-OtN2yjlgUO6agZSnA71PVZN6eUhaqsw2d70b+jrGTkPdCCf7G0fKMDTbZrFFYJqpa1WDbQSw3GsJ
-rYkuTTkMZz2MQ2WOQ41dqaqAU0u5i8b145yVMzH2shV1qufjLl9dnXY/cbeUwNkMWROvArdWcElE
-Sd9ZYHegbbuqS70EbwXSkebuO6MrgKcp/XC2nHGoLZKJoJWpW9xUBelbwRvmxnuh72PsStU2ONgP
-tDaOBqPPMnajq8q6rwB2NaGxdjnoBlzqhwF9EGHlKQwlE+WIfh95rZwL07imXoL3DG5mOJhnbqo/
-eloZoPbwbNb9Cfb9QHtVLTnL4PaKivYltVS0E2dbbG1xpDWpbYyvPiCI9le14knLf/Bby1ITkzK3
-34DPTUc2RL8AiFOX2jOgeGezbvWo3MBd87upl+CtF3kUUAYeZAuU7wejwrI/1+uHmSBjUJ4DaU0O
-wW8jlgo814KZpvM7ovc2diXqQVysPe8g16N8BOpl7IV+pVHehhNl21YOxTjYVrheMwb0I28707q2
-Pj40dkOp9fICKXgr+74X6NdfibLCY0GlfdTDUtZtM+wmbO11V+obFw0v4uAdcKu5E2UnWl5azszh
-ktU1OPNIc7Y+67szZ1fq27itK/VqevOA6ZEmx0tBWpOhce1qQgbiMaexv2ZCH3Vzer0Fr+tgRr/k
-BtkeRUvPSmQHLtbSPcjLKPqByeUbBsKA/jvmbEPK8egrG7sc9XAu0q/7QR5DeSEYLbSczn3pywN9
-khlEAeIq0CFUeFkTBrRdare11IleNelJCo3WW/CeyD3dbe5LGaB+zQ0BxhwqSVVGr6zbbo8MxtZD
-dFmUgf9gaispSA+UvsEoo9SKR1+ZBNHvGcPB3FDRgkslCFeCsIrUre4KjpHiUjMGtNqeFrW+Jba+
-RGs4qbfgLQJvAPYF157hajpQhnTnmgPNddrfusfYri5k4FNUTZwa4EGORdGyvxzZj4tsVqOJWXvC
-i4tcw42GLSLdsxKQc8C2MlxqxsADUctaFem5rBjV171Zj8FbGaC+BAmyOcouwUhYar91JXPNQ+jj
-je3qogxoVTLFVG2BrowxqejzwANBe3OhJuWZxm7p6pfc4C/AWHOjq6APAuUmI8aVq2UyoC+d9GWQ
-lYMxlFh8z1bWu16PwftTSNPyWr8EBzkOJWlfNZPaZftn2MOAlu8u+Rl4n+p/mEPLo2vlk5T7dblG
-vzUE0VJVzzQL0daE3avPoo1yfU7gwvOBHXObYv8GJOWUS1xSYGAKPi7L42dn6pQ0ng26AK2U6lq0
-J1yPMppOaZmtICDZBvQBY2SUKAdxnh5CkJdR4iVTOOblQgaGoA4A7XJVO1F2BW/l7FKKvTmpozlR
-k6ZemixEv2fsBSr9HUMv6yzwFLCJA2ZFchdXi9P+xssR6HfnYKpdrRIDWmEqWO8btbc69kWgPxgJ
-HgTPgLr8nLAVHatH0S/1Gtyn5Dq3LOWJoNTgrfO1FLJ/HPFX7FplaNo31kSyE9APgasBDRStDr4C
-GhzKeqcBLbMfBQokOlZtGUeDWkL2yzW8NuUe4M85u7miAyecYE7SSmoE0DZCFqJtsZvB1xU6V/B+
-CWwN0gze8nUm0JJckGg76WrwCkgyKXK6SwoMzMDHseAcMAAoAbCyLsap4GTwOngM6FPax8EXoC6k
-XoO3yLke6HO1kAFqpuwOJoLmRJ8G6lfkIJNR7gxGFUu9rOq3MtE+QPeyFCgmCnIK5g8DLeNGgbdB
-tUTtDwPaLgk/VmqgDwalTH77c56eU5AXUJ4KRkZlm5T82sk+JZcL3HzAv6cDZeHLLqj5hqMr0I8E
-c3J1XlSPgY9p6jSgDPtCsB2IRfFxwxz0DjwH/gIeBTWfdJeiE/UqL9MxDfYgXVH6BqNIuTTHDgHa
-rw1yLYoCYrVkcxrS5KOH/DvwfaD+lMK3AmYncBhQwHwQnAc6gmqJ+v28aWwz9N2MXUhV8DsKhPvU
-ymEIaJTgpLGTlWgSVrY93zSgZbt+1HSpDQNarT0MtO2m901jVb+N5RMlCFuBJjA6V25KWTPRzFKv
-ImJvBArES+Y6eSjl38GsnJ2v0JbE4ebAR+j3AfnLWjrQwLlAe5oKwPlE2wjKbrX80uyvgKfr9Cyk
-h8wMdYH05N8LgF70y4GWb1nfyye0oYlTqwWJ+D8GKEsp1rZWGnZAv4c9HGQpM3H+S6A+VyK6x+kg
-q60q8XYp2AbsACR65gOBxuezwKU2DGjs3ALuBFeCvcGBYD3QHsTSlYqjgZKy84Hi1DxQVann4C0i
-tNxWBhgCgga9Aoqy0UJyMAcUwIM8gaIsPmvpRgO/BwqysbxPxYvgYaCsdiqYBuYCibLy1UF30Bfo
-Bf8OWA4EEQc3gQ2AgkDW2ewQ2vgZUL8kWwO1PU5GHlHWqkG/ojmmQa0JKkv5HOfDwIwsG0nJtyaa
-08D9YOWcz5UoLwP7g1m5Oi9qw4DG0tgcrqBUrNH7vCPYDGiMW+mMcS3oBc4CWU38uP62LPXtqrqq
-0Yt/d9SjkyLbmitg9DMVCnA3A2W6Wcq2OL8XxIF7OnUXAwVk4RLwOJgCNFC0hBb0Ur8B9FIPBLsC
-LeWGAiutMTTTN4E1QZYyCee3mQY0ISo4FxINZGUjQT5AUVCthsQvVTXaLLeNZ7lQL/rXxsEu6Hqu
-LvXDgGKG3tUzgN7HHwKteuMMW2PvFPBzUFWp9+AtMrSceduwouxby/N8sg+Vvc2B8eh3GDsLNWTE
-mn2tKBDroZ8DlHUnES3jHgHHgiPABGDlEAzN+O1tZQZ6Ez41iIMcjLJGMKJyT+y1TZ14f83Yri5k
-oAk1TkpOpO6whae0SE1bU2mLjWFZ+Fd/9T4qOesP9gDjgBUlVeeB9Wxl1rq98azbKtf/q1z4oLm4
-I/qRxg6qCNTSc9lQQdkE5hg7bbUTDv8ItGUSRJm0Aqv2zJ4LlWWW6rtWDsro4wlAWfDFQPedlehT
-truM883Rtzd2UNuiHBMMyrlgJPjC1Lm6kAFNiL8CUxZWLfgS6VxsjamWIHoPNA6srGSNFPRl8GG3
-FtWe2s1KtFp+CBwGXo4aWQH7p1FdpmYjBG8RoAA5zzCxF3qcAa5PnTLdIFNRRgQjg7IdPtWvrYzv
-r9D1Uv4MfGbqK1U10/8APBA5GoBtg2Z0uGJT96DJQ/cVRAM03qZQ1m1XQxrYo8MFXuZlQBydASy3
-G2BfBmJ+qWo40bbQe1Gvu0Z2pWYnHNhsW+0pwGYtSqQOAvGKWFn5ylk3Hvw3SvB+iQ7bwKUtiu3D
-TeRKZaea/YIMRVEAz0r2w7EyfSs3Yujls1sN9nglurK0HwO7ZFPWfSHoDrKSR3H8mnGuycpOWAo0
-Wgm1MecMQ6/GS2SabEhVycWgqOeHY2c5IUfNZWp+EHnvjG2DbXQ4sdklukLBe25Ul5Wpd0LjXJNU
-kA4oqwcj63KprBtIyb8eiDLAQJQGgAZ5CBgiTQEkyKco94BwfqhPq9Ty7+TImSaYc6O6tE3t/Stb
-m2Ucr4Ye98Ucrlidhod/gsCllqpHG6890bcx9ofotxrb1cIMKOu+CtjJUZOhxlEP0Ogygxuw2xhr
-Yev+0pI1I0fxZBEdTt1UQmmTlPbYHVNvpYDDRgne6v4oYLNO7fluogOIMuANFmjf/PMUxZPGTlvt
-j8M+xqkml4HgHVOXlXovjm+KnGvi2jaqS9P8E84+MQ77onfL2XoOncyxIeiTje1qcQamcPgUMNuc
-tjb6FUBJSSPLdDqvRCrIeiitgpFCqRW4FSUO1ZRJNKZ3P8iyKFV7Zo0UvN+HGM10IQPUlsExQDN5
-PxBEM72y9Cy2LtSGsu6fSDHyMPrjxs5S1f0rmNosQ/tsJ4Csnueb+B4Jgii47AKWA5Z7ZSGedUNC
-QtG4/l10jRKSk6K6RjP1zuqP5IJowt85GBWW8qUxGESTn9qrpijWWNH4t0mOPZa6ntXLnnpHcw7/
-SmlnVz08BfBNc8dVjAcjjJ22uisOuxinyiyawBxTl7U6jgbiILkFdWtk1LAmjL8BOyEqaB8HNgJB
-/o3yfDC8TMTA5Zx9R3TF2di7gWqOragLFZmTuVpjNYi2OQcEo8JSCZTdopiIXe2xpy3DtuY+FAvs
-ZGUOpa82WvB+FQoeMjQoA/wtUDYcRFsKs4KRQanMQcujIBqgtwejimUTbdmZf33sHhm2rxfjOeN/
-O/RzjD0PXcGnUQONuZWaqMrYLgB2RdUO+yKgcW4nTsyGkK/opVYVVrbG+J6tKENfjWv2AUuaa59G
-n2HsYqoC7hGgS7GTSjh2AOfYWDAV+80SrkvllEYL3rppZd8aFBI9hFUXaN/8M43iNmOnrWo/Kx54
-T1I3N+2GSvA3iXNsVrM0tgKqHdCYqclMPN0LAvdqTy9REA3afwTDy7IYeIGrroyu7IN9GrAZXnRK
-XZvD6Z2y4iCroJwPtNVXjoiHM0Fvc7Ey3r8Zu5janYPXgSHgYtAalCN6134E7Pt2N3bVYkEjBu8x
-EDQa5BM9kAn5DqRU1xU/60a+9CVGLUTBNOZhB+rKHYyl3MNNnDS5wIm3UG+zxgKnZVIdJpRMnFfZ
-6dW0F2+J7U2dXV1WuUsVNad9aK0erOyHMRgkDeCtuOYyMBBYUUL3hK0ooO9B/b9Av9xxldeAFXJ2
-qYUSuBuB3aYcj319qQ7SOK8Rg/dn3LiCyPyIAP1YcBf4MqpP01weZ/ZBqw/PpNlAAl8KWNrKsLIW
-hgZ4VvIWjpV9x6JtKj2TWojGcCewOtDLVCnkS4GyVu+Gxu95YCpoKaIVmSZ3K5qQ9L7uCpaxB/Lo
-ym43BcPAz6PjCpqDorpipt4RKydg6DeyrcBy9kAeXePiKKDJtZs5rnfxTPCuqctczfJFz7Lzj+B8
-EuhuGnkRPetAqofbxrQ5E12TSa1ketSwtjGWjurSNptw+GNgX7jh2FNALUQvlCYOBT295JWKgvYY
-cDb4pFJnZV7/Otcpw9QXKHa8lemu5pdpcj8L9ASbmN5sjX4PGAq0inwFTANzgFaQysx7gS2BsmRt
-uVjRSu9koKSiFLmfk3T+74EN1JpA1Jc7wUgwGczIQVulCvhdwOGgL7AyD+NqoC2TqkqjBm+Rex84
-ybA1BP1TY2ehKlBY0UDTw6uV6KVQ0ApbJSuitwdZBp2x+NcL9yMg0Yt2M1A/aiG6981SbljjKOtJ
-sLku/y8nbAyOb+7EBjk+iX4eArTFsQMIosnp6Bz0pcZMoLGk2KSxrBVVPnmdygFAQT+JXMvJs8H/
-ACU7QdqhKDgLCtwaAzpvWdAR6HgsStzOB4NA1cd/rZaGbSMWyulHEz4UOCSagYct0JL9E09ecb9i
-b3Hw1kDTkqlW8jkNC0GUecZ9DMdCqcEYRHrSbFWT1eDggPIF8IyxS1Vj7mO7kB/1195DofMqqVfg
-LsZLHNizyI7Fs7ZPXsxzI3bVk+dwoqqYT/kudu+JnEcnj8f+IVDmG68adaoy7e6gJ+gB8gVuvfND
-wW4gaeDmkgUyhH93BjeBfAmfkqDOYH2gjDsO3F9T9wTYB2gSqHrgps1M90flP59oUN4B3gDzcyd8
-mCuTFM9y8oVgPaCHWI6P17jueiDRBPLUAq3wPwrWVtpjxC+yPZ61rsnGvsgaVMrGC4n41v1qcOoF
-FWflZOmPc90lYA1wd5k+xnLdYKDJT32RXYroGeilU9ak+01b1Bct3+cWcTyBY2Hc6LSH9U8G8j4+
-TwDHgTDO1L+3QVoBQ8FL97I8kO93gTLKrETP71SgfeNdwQFgE9CcvMkJw8FDQO+7xk0lMo6LjwI7
-gt2B+rIFEAeFZAYHRoLbgfqge6mZFOtolp1qjXMFS7186sMXOZ0ikciHfBV70Yo51PWtcieoHxoQ
-mlwKSV8O3G8OKvhtAMqZOIybstUfcKUGU5CPUdYBxQJyG46H5y7+FQRUJhUFE3FXLvfh+jAGxHsp
-L6T6rmeuspx+c1lRkd/5oFhwDOMu9L25cVO0wRIOxu9Lc/0rweX/n2L5VKV861lkwa38x6IEQO9Q
-dyBdUAauMfxeDlMoXwZTQVaiZKAb2AisCZT1qx8K0JpEnwfqw9tgDnBpMAa2o78h2Glwa5B3qeE9
-9KNt9SNA2YT9IaaGXfOmnQFnIEsGlEG4lM6AsoFZ5nRljxsbu5qq2v5u1KAylVKy1+gyN50BZ6DR
-GPDgneyJvcPpk6JLtFdWC9F++45Rw2OwtQXl4gw4Ay2cAQ/eyR6w9rZfjC7ZBlt7ktUW7cvZrF8Z
-9yNAWyguzoAz0MIZ8OCd/AGP4hL7I11P7L7J3VR8xZF40I+PQSahvBoML50BZ8AZcAYWZWAtzMkg
-/EiocgQIX62gZi6daSHugz6jWjLzlr0BZ8AZcAYamIHz6LsN3vqcaOsq3s9ltKVtktAHta9vVV2c
-AWfAGXAGijCg7HsCCMFT5T9B/JdYVKUum+Hxv8C2PRTbt8BSp9odOgPOQEtk4GRuygZQ6RdlfKMr
-4H901K7+Qm7TjNt1986AM+AMtBgG9CfmcSCdTV3/jO5Qf+01BMQTxi+p86w7I9LdrTPgDLRMBnpz
-W/H2iQL46UB/RJOW6E939WfwceDWD6X2i5O02nM/zoAz4Ay0eAb24A71/bcNrPrvQ1wFuoJKZTsc
-PACsf+nPgC7AxRlwBpwBZ6BMBvbkOv31ZRxg36BuINBedRLRJ389wJ+BviSJ/d5P3brAxRlwBpwB
-Z6BCBvpw/XMgDrTKwvVN9h+APudTUNZ/sawD0JbHMmAloC9YeoEjwJ1gOoh9yb4RdAQuzoAzsBgz
-4H/Uke7DVzZ8BdgbFPqT+Ykcexdoq2UaUABfNYe1KRXY88lUKm8Al4LP853gdc6AM+AMOAPlM6Bg
-vANQ9qw/o8+XPSepUwauCUEZu4sz4Aw4A85Axgwsjf99wc1gLNBXKKUGbf0RzpNgENB/qN7FGXAG
-nIFFGPBtk0XoyMzQN9obA/33t7U1om2SVXLlF5TaPhEUtN8EzwP9Xzt0zMUZcAacgW8x4MH7W5Rk
-XiHO2+agLZb5QEFaWywerCHBxRlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAG
-nAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAac
-AWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwB
-Z8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBlJn4P8Auh5uoDe79R0AAAAA
-SUVORK5CYII            `
-        },
-        {
-            cid: 'image002.png@01D95810.D4949A90',
-            filename: 'image002.png',
-            encoding: 'base64',
-            content: `
-iVBORw0KGgoAAAANSUhEUgAAAGAAAABgCAYAAADimHc4AAAACXBIWXMAAAsTAAALEwEAmpwYAAAV
-3ElEQVR4nO2cB1RUx/fHH82g2LBSlC6gWFCjRqOxxAIq2ClSRcASozHRGNOMJdFofhpLbEk0xhh7
-N1hSVCxoLMESEQUUFJEmCCxlYfn+z7xH2Zn3tkhk1f/Ze849B4E3O/P9zNy5c+cJx+lNb3rTm970
-pje96U1vetOb3vSmN73pTW/P0eZxMBzmKus6oHPhxgGdi5IHdZAVDXErUHi0LYCna+34IPdC9OtR
-jF595ejmUYbO3uVwHyH2TiMUMndvRYq7t+Ifd2/FTndvTO8wHF24eTB85SeBh5Osladr/iJP1/wH
-tSW0p5Y+xE2G/t0EIF2HKiRh0K5IcvfC3G5DYcG9aja4XW4TD5eC1Z6u+cUvWnhPFT7QvRC9+5Tg
-dU8NMLwVJe7eiiXtxqE+9yqYh0veWE/XgnRtRBjqnA8vuzyMss7F2Ba58DV/Av+GTxBglo0g0yze
-Q0wqPZP/d2DdLP7n/g2y4dfoCXya5WCMZS5G2ORhuGN+jWH06idXGaYqQlWquxdGcC+r9e0LY0/X
-glUqxXYpwAjbp7zQ/g2zEVwnE2FcxvN3gwwEmmbxMEdb5sLLQXsoQ9rJ8NYbZFWUqQpL5e4jFAtf
-uv2hry1MPV3zD7ID8rLPx7gWOQisl4UJhrUkOKfZQ40yML5BNkZb5WJYG81ASHJA9otuQ1SC2Ns1
-EibcyzPzq8X3tsuDT5McBJtkvTDBwzQ4mRBkYgxz0gxjQNciPosShSRvxbaXYiWQzZbMqrHNc2oW
-VgzSMdH0ASY2TkS4xS1E2PyDCMfLiGjzNyJdLiCy3VlEtj+DSLeziGh7nv9ehOMlRNhfRkTrawhv
-HoeJDZMQVie1RjDG18/GqFZPNa6Ift2LRdlTJ2/FNy9U/DHNc2aReE7irlYDNnyMiQ0TEW59A1M7
-XcSaGdcQvT8Fd2Of4HFyAYoLy1DbVlxQjrTbZYiPluPkukJ8OywXk0wzEWqcyW/o6kIUAdHnzRJ0
-9qreEzqNxOAXIv64JlnWwcYZCk2iTzS7j3Dr6/wMntTzOOaOOolzRx7qROxngRL9QxFmtRb2KrKB
-D1cTngZ1lKHHwNJKCA87DIO5zgEEmGVfVCl6vWSE28QisstfmNTrKO/T3z6B37ffQ6lcgZfV5EXl
-OLZMhilmmQKIJk/U7hMkLHX2UpCzwhKdih/IpbUI4zKK6PCSjolN44WZXiF6pX808iSSbz/Fq2IP
-rpXiQ7tsflwExLhmOfB0kYYwuIMM3QbJi9zHobnOAIRx6YuqZrvJI37jnNT9d5HwxJeExyAvp0Ry
-oDkPZbi0+Q72hpzG5kFHsbrDPix32lUj/6bNbix23Yt57fdjTudDmN79N8n+TB9wAp/7RWPle5fw
-x457yHxUKNm3p+kKLOz+pGqCBb+WxR/2JFdD2wL0fqPoiI7kh8EELuM+yToiHC4j8o3jkgMlPnf0
-KeQ9EYuflyrD759exgqX3TUWXBtf5rwLC9324cMuh/DOG9JAJr95FBs//QcZD2WifuZnKjDHQVgJ
-lU5O6sPaSKyE9gVyncgfXj+5T4RNLCb1UC088Vn9jiEtXhx2bh9JwaoOe2tV+OUq/Mu2e/FRZwIj
-StTfaf2OIybqoai/KbGl/J6gDIGURaRWQ59eJb61D8A55rgq0Sf3isLsLof5gV7+MV40mAvf3cLy
-NtLirHDahTWOW7DRfh1+tvsfttp+je02X2KnzXzstPmC9x22i7DN9itstVuKn+yWY4P9Bqxy3Foj
-GPPd9mHm60dEqyFqS6Ko30eXyiSTDZItKe8NHq4Fc2odQGS3P06xwk/pGYWP3A9iqcsefnA/9D2C
-shI624mPelAl/gqn7fjefi222yzEgVYf4oTVJJyyCEK0RUCN/JRlCI5ZTcW+1nOx1W4Z1jn8gOVO
-O7UCsdh1Dx+iJitBuHj8EdV3ebECs+ylD5lBdbOVi4C7ax9Ar6gbVTOm51HMdT+IZW3oWH5zzz1q
-ALkpBdjYdhM/e49Yz8Qpi+Aaix2tpZ+0DMFB61nYYvc/rHT8RSOIr5334MPOh/gxTet/AlnM5nz2
-QCrCm9yVhBBinAlv26dkBVyvdQCTekVlk9lCOrvUWZjxyr6q/V7IC0upzl+b+mOtCx6t1gPxm/UM
-/Gy7DAfDTyP/cSHy0wqxb2K0qP9LXPfgg66HsWnBNWoM5OBI9gmSeJCUW1xSySTV1/xaBzC925FS
-EuNVzaQDEWeojhfdT0e0VaDWYp21CMAFi0BcsAzCRcsg/G0ZhEsV/nfF98jPzlsE8r/7rDCKH2VX
-9S3vkUzlOBa13y9aBas/uMyv/MhOpxFm+lByNdQ6AFUdJpvoJrtVSPmZBvBwQ5SkEGeI0JaBuGIZ
-jGtWwbhpFYLb1qHP7HHWIfyzsVYhuGQVhPOWgXzb2gAoTM3hN3JVY7qy5S41ltP7U6r2vcjuJxBu
-fvdlALATP9t+gxOWkfwAc2PiqE7f8F1SNXgiztUKseNqIPbtZ/BrBIhlMM5a0KvvxvilPITi1Czc
-8P+a/95h6/exwWGjCMC+sGg6kbiaLcr8Ilpde3EA1jt8j2NW71ADLEx6THX6Ss8PeNFv/VdRW03A
-fc8vkLXiIGTn41CSkAaFrJh38jX5HvkZ+R322Rs8jCCctVQXCgOxv9VHWK2U1pLTubJlJBdIpt+k
-PE7K6joDsNJxG3bbfMZ3mh1IWUER1ek7zpOeSeh4qxDctQhBUvNg3GsWhORmIcgKW4PShDRoayWJ
-aUid9B0PjQ5XoYi1CsZ5NSHqL4tQ/GKzhF/Zqzvuo9qVy0rxWYcD0hCcLyDM4HHtA/jJbgX+tAxT
-OQDW1Il9xzIUyU2DkdYgANmm/nhq7AcZ51vlhY7TobhAx+FnscIrCUjsOVtliCIhUdU4SNa0xvFn
-UZv8Bt1uH6ZInKbJhVGtA1DVYTKY61YhGgEktgjhBc818afEZr2o9zyUp//3CmpZTgFSfL5WOQmu
-WwXjnKqzhEWoJAA+XXXZg2k9xPUlnQMgmxxZ1pUDkgKQ0FKY5ewMl6nw4v4LALnEhU1JKcp2nEex
-30oUucyEzCyYd/J1sf8q/mfkd1grLynFgzGL1WRSobhiFSyZPakCwB/eXPbgXQaCTgGQnPyWNZ0+
-spZVV/1MlzFOwk55Vp54Ju+NQbHTVBQajYPMwEf18w7vomzvRTGEzDxkuc1AYkvV6e5N6xDEMGFJ
-HQDiS513UxB0AoDM+muM8KoAaBTcwAfFr42CvL43ysyHAZfpNBZlCuCL9UDLgZSXNx8MRVMPlDYa
-Bnm9ESiuM5oCI5+1FVCUU00pzsdDZuCHjHoBSLBQBSKEWg2srXbcIgFhD6ZVlLtrHQA5gapKKRNa
-ivcAyfhuPAZyMy8omnjQwkYuEj0vJb5KbzEIZeZDUVLPG4VGYyGf/YuoueIxy/k+FBj44nH9AD7r
-kt4bQnDGIlD0/B+W4RXFPnEJg5S5ax2A1AEq3iqUj/EFBn4qARQa+qCk3ggomg6RFs9iEJDwgH74
-8GntxZdwhbkHFAdi6FUQl8qvgsp+5Rn5IblJ9R6m7P9KJBV8qmoZJgmBlGhqHYDUrM+pUx3nWSMz
-sbTBcH52qhVs8FT6QXkp0DMIsO4P2PQDWvcXvrZ8RhDdAoESOdV0Uec5olWZWXc84i3Fq0EKAHGS
-iq9z+FEEQacAHpgHIl9pNkkBQEsNwrccCNj2AzZsop87dwTwdZD2UW2AoW2B/h2B17sBrm8ClgNU
-t3/oNM12/m7J0EiyNHIA1AZAJYQ1Dj+9GADpZuMlByEGIBVu3gacewO9OwPeLoKo/16gn1s1QzUA
-KfdxBDzcBCA2/enPm7qYbvtMrLBpS/Sf7A0p5kFaASB+3GoyVjpt0x0AEu+zTKXFLzIeqx4ACSPd
-XwdGOosFTLtPPzdjwLMBYGEMdgPa9wQsBgK9JtBtJ6Tw/SEZFMnCpMaS1iBQEgBJvaVOzSscd+oG
-wBOleK/sJaYjhTgvBYDE8N7ugjCqRCti3koIaV9zAMo+whno1Zduu6CwOp1tNgRFJmMkx5RuJk5D
-SRISI3F9urv157oBIOqogS9KGw6vnuWs9ewCjFMjvG8lgAL6uZlNgXdMgHeNgBkGwHQD4etpJsAU
-UyCiATChKRBkBfjbqW87tCPddp6MSV8HoqTuCK1CKlkVJA0/JypEBmKz/UodAzDw4fNuajCsqRMm
-yAoIbyQIncG8RbHIGZjBaecEzpR6wIRmgL+t+HNmMiszIVlybypt4KUVgMpT8xmJSqrOABQajpPO
-6TUB8LMDwpoKM3mGkoh3T9LPbfHXHgDrk8wEuJWfuXom3faNGMCtlzSEhsO1AkCc1MDYUKQTAORQ
-JSk+yT5UASDCTzQH3jWUFu3YAvq5qztqDqDSSagKtgRifqPb3r1S6BPJwiwkIDQaphUA4uQaVLcA
-DHzFJQTijm8J+bkUgJCWFbFcjVjLutDPKeTAZifgWw5YzQGrOOHr5RywhAMWcMDHHDBTA4QFDkAp
-83rknOHVE2OgG2D1tkQ4ElYCa6Syy0JQ3g9qHYAo5hN37gOMcRIGxNrkeuoFms0BizhgpQGQc5t+
-NnEPsJ7T7Cs4YD4HfCDR/vX9dJupCeKwOKytkCIz45KbeYuG89TYH3eY+hG53NEZAJH45BQ6VinL
-YU1K9Pc44JMK4ZSFPCFxjoiZpR2ESl/KAXMqPufQHHF76/2ls6bhrkKpQ8OeRlYFKeKxq+BiRRlb
-twDs+1bPfG0BfFwRSiQFNAAe08UzlCueHQLx0x8Kzypb0jngPQPgnTrAeBsxBM92gNUAjQCI32NK
-Fv9ah+gYAFmyUidaVQDer5id6zQIt9MBKM4Ut/N4P/CnC3DQGNhtBGw1BL6XeH67E3CPCTvECjKB
-+XbV/ZlmDAS0Evd/YHuhVKIBAKkbkaqAMgTyjpNuAJCKJJktbOfJwUgKwFwOWKNG9M0GwD5j4EQd
-4PRrwLVBQDldwRRWQwmQsQeICwEudQTONgVONAai3IC/AoDEXcLmzVpZCbC2r3g1ksQgoLV4HN1e
-1wiA+MPGQaKrTd0AeKOrhPjNhEGxNk/NrN9qCPxmIojOemx/QJ6B/2xFWcDhAcB3FeGPhUDOI+zh
-zcdBKBZqAJBvKF4FtQ+gTW+hg+yJlpxGpQBIif+DAXBEhfDKftEFeMpUSZ/F0s4C2+yqP5f05VOp
-88JrgJ89PSYSXq0HqAWgXLTTHQCvivJxpZPZo5zjF+fTPf6xPhPjjYCTGoQ/2xC4YAtccgMudwYS
-55C3fLUXXnYbuO4D/GQghq8KQkRDiU35TbrdPBmKTOgydoGhH5WW1j4AtpNsnp9xh+709jbCwDdy
-6mf9GXPgshtwfTDw7whpT5wJZOwACq4DxQ8ARRFQJgNk8UDOSeD+QuBK9+o2T70G7DASQ1jLAR9J
-QCAHRqqGNJgeS0IKX/tiV0Fq48AXBCCkhXgQSfTtE44MFrKVYyaqhb/aQ7Xo2viNocCl9kC0mfRn
-7JaAsKYiM2M3ZVIyqRzfYuYe4Vwsvy+Qew9lALnGfi8AAOkoW14gA7q5nu70jRXAUQnxo02FEHPT
-67+JT4HwAGJaaw/hm4pDofIYwhtXAzi6hR7L5kMVtSLxKrjXLFhHAHwcivjOhZmLZz/J86OGMfH4
-HnC6LjPrGwCxfTQIOhK45QvcDgLiQ4H4YCDOH7g1VjOISx0EwCyEXw3FEEiWRo3DABjfGvBzAjKZ
-/zXp/3HF/cEg0U1aRr3xuG0VWqILAI/5ozxb1fykYkDfvwbImTfb4kKVxG8EXB8kLdytkYLgCe8B
-9z4H7i+Q9qSPgbvvCEBUQSBhjQVP9oRNBppDEbnsWTtbfItmU10HYy9wyGYcbx2apQMA9jcR1kRc
-21EuL8T9SHeeZDBnGgPRDVRvsreDBGFVia7KE2cBcX4qIChtyJV+rA6wgVkFX7EFQjMgK5Uew4H9
-VImizNxTHIaaBCXVPgBf+19FlymfsAcsayE7UbbMfUBsX4lZPxpIfP/ZhVf2e/OBOxEqwlE7MQQ2
-M1qrVEkltaIr2+m+y4uBif1EhTpyL0LdIdcNuFP7AEKarRbFfra49osh8GA5PQgewm4htleJPw5I
-+kS9uMlfAynfACnLgOTF6n83YTrdPvGb3sB5CxrAnxKrYEGF+H8sEff74HphUyZldyUAxaajWACH
-ax/AxEajKfFJ6Zfd2KJMgLNNgPxY8WByowXhycxPUhFyHn4LPN4KZB4Asg7TnrkHeLRJACMJYYZ4
-FVx/W7wfkAMhdUCrB1zdKe5v0k0g2E0A0KMrc31ZfXNG/FH9gLG1DoCHMM2kpAoAuUxRHgg5fVYO
-8oITUJIuHpQ8UxDy/kLxbE/fIRZdyjMPCSDYNohLhaOLTjQAUvgj/d1gCJwYBzwV/4kCPM0Apr5Z
-nZYOaUcBINeyVdVRI78ycJxu/oYcJpseqAKwmgGw35gpqr0NlOZC0kpzgLyLQPo2IG2TdsKznr4T
-SP6S2RO+AOJ8mFUwqKLM0USopN7wAm6tBPJUlDiepgFLejFFOke6VN1yYNUr8Rl1x/+uE/F5ANO5
-lpjBFfHXiWz4qSwpVzrJyePDgMKa/18vndvDWGC+rVBg9GWKdOQSSgkAeamLvBX+qH5AO50B4CHM
-4Fbhc0Z8kmOzGcf1gcIMjPMFsvZJ1/lfFistBP5cAsxWqm+xlzbkdUclAOSNwDzOZ41OxecBTOHM
-8RVXSAEgJ02qqtlYHIuTvwLyrwqXKy+LyfOBWxuBra2q75OrCnQtaADd6Y24xMwrP4sLaKhzADyE
-Jdx8qt6/l4n/pC5D5fxjgfvzKzbcr4D0X4HCBECeDZTlA+U6+EuKZQVCuZpkY6nrgRNDhdN75Rg+
-YwCQWz5lAG91Yl5fGabbP9gngrCUu1DV+UMMgL9daACkpqO8WaYsrtnGq25DpjKiL8TngnPN6T6S
-M4u62lBEIxrAgI7VAJoO2fFCxecBzOOM8R23h+88e714pQs9+DuTmHx/5fMFkHVQnJKyxbsYa/UF
-uoUMgMgGNIBBbhUA3t4Lbt6L/9PFxLCLM8J6brOo5n+1Gz34u1NpcVLXPmcAh4XQpvwZbJ0oxlb9
-gexL9j3T+jQAD/4ssB+2fU25l8kwjzPEQaNz9Aro+hIA8GcAtH42AOwK6NfxPLhxRtzLajhgtAR/
-1lFUnQGoEBQpLjlkPU8Ah8Qn47hxdB/Ot6QBbGcALFKxB4xqo0DvTou5V8Gwi7PHbyYxuOiqULsJ
-Jz/vTXi75k34rDkNgLwaowxgPgMgzLwUHq5R6NPdnnvVDGfbueNKj1O4MaSsqvrJbpLp258fgNR1
-zMXNR0xldDhwmrkpY9+c+LzyftjwCSbVO4MJjTtxr7oBnCEudfDHlR5HcHdaJpLmliDp83L+TPDg
-OWVCpHLK1oTuTqEBXOsrPqlv5IqxlsvFKq4Qy7kUfMwtw3Su/YvWTG9605ve9KY3velNb3rTm970
-pje96U1v3P87+z/201qU2j+lHAAAAABJRU5ErkJggg=            `
-        }
-    ]
-}
-
-export const en = {
-    subject: '[Momentus] - Digital File -',
-    text: `
-Your artwork is ready!
-
-
-Please find your digital file in the attachments of this email.
-
-Your satisfaction is most important to us, so we offer unlimited revisions until it's perfect for you.
-
-
-If you would like any changes or have any questions, contact us by replying directly to this email.
-
-Follow us on @momentus_shop <https://www.instagram.com/momentus.shop/>
-
-https://www.momentus.shop/ <https://www.momentus.shop/>
-    `,
-    html: `
-<html xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns:m="http://schemas.microsoft.com/office/2004/12/omml" xmlns="http://www.w3.org/TR/REC-html40"><head>
-<meta http-equiv="Content-Type" content="text/html; charset="utf-8">
-<meta name="Generator" content="Microsoft Word 15 (filtered medium)">
-<!--[if !mso]><style>v\:* {behavior:url(#default#VML);}
-o\:* {behavior:url(#default#VML);}
-w\:* {behavior:url(#default#VML);}
-.shape {behavior:url(#default#VML);}
-</style><![endif]--><style><!--
-/* Font Definitions */
-@font-face
-    {font-family:Helvetica;
-    panose-1:0 0 0 0 0 0 0 0 0 0;}
-@font-face
-    {font-family:"Cambria Math";
-    panose-1:2 4 5 3 5 4 6 3 2 4;}
-@font-face
-    {font-family:Calibri;
-    panose-1:2 15 5 2 2 2 4 3 2 4;}
-/* Style Definitions */
-p.MsoNormal, li.MsoNormal, div.MsoNormal
-    {margin:0cm;
-    font-size:11.0pt;
-    font-family:"Calibri",sans-serif;}
-a:link, span.MsoHyperlink
-    {mso-style-priority:99;
-    color:#0563C1;
-    text-decoration:underline;}
-p.xxmsonormal, li.xxmsonormal, div.xxmsonormal
-    {mso-style-name:xxmsonormal;
-    mso-margin-top-alt:auto;
-    margin-right:0cm;
-    mso-margin-bottom-alt:auto;
-    margin-left:0cm;
-    font-size:11.0pt;
-    font-family:"Calibri",sans-serif;}
-p.xmsonormal, li.xmsonormal, div.xmsonormal
-    {mso-style-name:xmsonormal;
-    mso-margin-top-alt:auto;
-    margin-right:0cm;
-    mso-margin-bottom-alt:auto;
-    margin-left:0cm;
-    font-size:11.0pt;
-    font-family:"Calibri",sans-serif;}
-span.spelle
-    {mso-style-name:spelle;}
-.MsoChpDefault
-    {mso-style-type:export-only;
-    font-size:10.0pt;
-    mso-ligatures:none;}
-@page WordSection1
-    {size:612.0pt 792.0pt;
-    margin:72.0pt 72.0pt 72.0pt 72.0pt;}
-div.WordSection1
-    {page:WordSection1;}
---></style>
-</head>
-<body lang="en-PT" link="#0563C1" vlink="#954F72" style="word-wrap:break-word">
-<div class="WordSection1">
-<div>
-<div align="center">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="660" style="width:495.0pt;background:white;border-collapse:collapse">
-<tbody>
-<tr>
-<td valign="top" style="border:solid #8F8F8F 1.0pt;padding:0cm 37.5pt 0cm 37.5pt">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse">
-<tbody>
-<tr>
-<td valign="top" style="padding:37.5pt 0cm 22.5pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="566" style="width:424.4pt;border-collapse:collapse">
-<tbody>
-<tr style="height:2.95pt">
-<td valign="bottom" style="padding:0cm 0cm 42.0pt 0cm;height:2.95pt">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center;vertical-align:middle">
-<img width="316" height="87" style="width:3.2916in;height:.9062in" id="Picture_x0020_2" src="cid:image001.png@01D95810.D4949A90" alt="Shape=0D=0DDescription automatically generated with medium confidence"></p>
-</td>
-</tr>
-<tr style="height:13.95pt">
-<td valign="bottom" style="padding:0;height:13.95pt">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-size:18.0pt;font-family:Helvetica;color:#1B1B1B">Your artwork is ready!</span></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-size:15.0pt;font-family:Helvetica;color:#1B1B1B">&nbsp;</span></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-family:Helvetica;color:#1B1B1B">Please find your digital file in the attachments of this email.</span></p>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-<tr>
-<td valign="top" style="border-top:solid #6F6F6F 1.0pt;border-left:none;border-bottom:solid #6F6F6F 1.0pt;border-right:none;padding:22.5pt 0cm 22.5pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="563" style="width:422.25pt;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr style="height:11.2pt">
-<td valign="top" style="padding:0;height:11.2pt">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT" style="font-size:14.0pt">Your satisfaction is most important to us, so we offer unlimited revisions until it's perfect for you.</span><span style="font-size:14.0pt">&nbsp;</span></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center">&nbsp;</p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="PT">If you would like any changes or have any questions, contact us by replying directly to this email.</span></p>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-<tr>
-<td valign="top" style="padding:22.5pt 0cm 45.0pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 22.5pt 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm"></td>
-</tr>
-</tbody>
-</table>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="EN-US" style="font-size:28.0pt">Follow us on</span></p>
-<a href="https://www.instagram.com/momentus.shop/" title="https://www.instagram.com/momentus.shop/">
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><sub><span lang="EN-US" style="font-size:28.0pt;color:windowtext;text-decoration:none"><img border="0" width="66" height="66" style="width:.6875in;height:.6875in" id="Picture_x0020_1" src="cid:image002.png@01D95810.D4949A90" alt="Icon=0D=0DDescription automatically generated"></span></sub></p>
-<p class="xxmsonormal" align="center" style="margin:0cm;text-align:center"><span lang="EN-US" style="font-size:14.0pt">@momentus_shop</span></p>
-</a>
-</td>
-</tr>
-<tr>
-<td style="padding:0cm 0cm 0cm 0cm">
-<table class="MsoNormalTable" border="0" cellspacing="0" cellpadding="0" width="100%" style="width:100.0%;border-collapse:collapse;border-spacing:0px">
-<tbody>
-<tr>
-<td valign="top" style="padding:0cm 0cm 0cm 0cm">
-<p class="xxmsonormal" style="margin:0cm"><span style="font-size:10.0pt"><a href="https://www.momentus.shop"><span style="font-size:11.0pt;font-family:&quot;Arial&quot;,sans-serif;color:#713C57">https://www.momentus.shop/</span></a></span></p>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</td>
-</tr>
-</tbody>
-</table>
-</div>
-<p class="xxmsonormal" style="margin:0cm;font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:black">&nbsp;</span><o:p></o:p></p>
-<p class="xmsonormal" style="margin:0cm;font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span><o:p></o:p></p>
-<p class="MsoNormal" style="font-variant-caps:normal;orphans:auto;text-align:start;widows:auto;word-spacing:0px">
-<span style="color:#212121">&nbsp;</span></p>
-<p class="MsoNormal">&nbsp;</p>
-</div>
-</div>
-</body>
-</html>
-    `,
-    attachments: [
-        {
-            cid: 'image001.png@01D95810.D4949A90',
-            filename: 'image001.png',
-            encoding: 'base64',
-            content: `
-iVBORw0KGgoAAAANSUhEUgAAAW8AAABlCAYAAACC0GLGAAAAAXNSR0IArs4c6QAAAIRlWElmTU0A
-KgAAAAgABQESAAMAAAABAAEAAAEaAAUAAAABAAAASgEbAAUAAAABAAAAUgEoAAMAAAABAAIAAIdp
-AAQAAAABAAAAWgAAAAAAAADcAAAAAQAAANwAAAABAAOgAQADAAAAAQABAACgAgAEAAAAAQAAAW+g
-AwAEAAAAAQAAAGUAAAAA86HXeAAAAAlwSFlzAAAh1QAAIdUBBJy0nQAAGrlJREFUeAHtnQnYXdPV
-xw0ZkAhiDIlIgkRU1RTzWMTUGmomBEVTfVRQpaYqavxaUh0+Wt6QikhqiLklMRQxFDHEkIgMxgYZ
-EAkR3+8fd39Z2e697z33nnOHN2s9zz97rX3OWXuf/9ln7bX3PS9LLOHiDDgDzoAz4Aw4A86AM+AM
-OAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4
-A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgD
-zoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPOgDPgDDgDzoAz4Aw4A86AM+AMOAPO
-gDPgDDgDzoAz4Aw4A86AM+AMOAN1x8DSddcj75Az4Aw4A7VnQLGxNegApC+Zw3zKuhB1qNqyFA2u
-BdoDS4TqJ4PZIGtZkQbWAF+bhtT+TPCuqWtpqp53d9AqujE9hylgblSfhdkJp+LfPnv16wMwHTQn
-eqG6gDbAPr/mriv1uPr1Nvi8yAXLc2xNczzrsdOWtnTPIYjMQdfzshxiLqHzOgNxlAU3uP2W6Nlp
-3EwF86Kjq2GvDNRPcaRzPgVpicZAVyDf6sdnQO/vVyCp6Jn2Bn3AeqA7WB/oHuRvBngfPA1Gg3Fg
-AlisZDnu9g6gF/VDA5FzBtCDyFLk/wbwMYjbvy7LhuvAt17uV8BHwN67AufxIGtR0P4XiJ+9nsWJ
-JTbejfOeAfE92PspV5fPiUAvcDHZl4O2Dd3PS6BnsYsqONaLa98A6p/wGGgPYlHwyfd8bV/T1tWf
-MUDJkBVNNJeA8KxV7m5PSEEX35OA+qAxdBtYCSQRJTIDwCNAk5AmvVLwHuf9AagPi420405FVD6C
-NECTkp+UOM2mnxRo/9akzhrs/Lb0V4E6H/ejqI8z8rRvbzccKjvL1/6pJTamrOitAj7y+U1ap7Gx
-bTN9OaRA+zdSL47Tlu/gUMEv3IuyvuXzNPJd6v5rzgvnZ12Op027ElHXFLyvAbbtfXQgRdkQX7NB
-aGM0escE/rVKuQV8AYKPpKWy72okPjSzqGT9si7a2kKr0LJGL+ae4OaFp6auHY3H9gW8xsvQAqc1
-dHUh7jfhrrYAT2Z0d3qZDwQq80mp3OvlKnQP+fwmrVuGC5pb/akP+aQflU+Av+Q7WEFdfM+F7l9b
-B+p/tUUTltqOJX6mhXiLryvVlj8lA0EK8RKO27InRhPYylbm9Hcp3wPK5qcBJZwdgIK9YpSVHhjK
-wFuDa4HtD2Z2UqvgXeyOTuSgMuAsSFgVv/sVa3wxPqYtDXHzNEjyEpRK2bqceGipJyc4T3uofwTK
-wCoVBaA5YFIFji7k2leBVpfVFgWcXwNl5aUESgVXrXT1zilASbStMhjMAM1NYpyyIGjrmlkyGkQU
-B5pAHLgnUfcncB+YAuJ7Woe6LcFPwE4gSFsUBXCtekaEypZYapCMAhpc+TCT+j1AFnIAThWY8rWr
-uluyaLSOfGqQKasodP+TObZ2Rv39dZF21Z9TSmxXk8AE40sBSxNPNeVgGivEoeofAyuk2KEN8aUA
-Gdp8CT3ftkk5Ta7FRXYrbRz26uU4iq7RCmsQCH1WuXd0TqVmbxwowIY2HkTvWILTX5lrwrW3U9el
-hGt1itr4LQixRNsuVwJNClWTUmbWanTmWdOIlid6OdLum5aTB0R+1W68tKNqsZFp3KkCdhAF7rRf
-MPlWcD1ESk40QY8NRgpl2mMlaZfe4YIvzUXboZ9s7HpWY+6WpLNxXT33P2nf9LVTnCj8m7qfgqkl
-OtN2yjlgUO6agZSnA71PVZN6eUhaqsw2d70b+jrGTkPdCCf7G0fKMDTbZrFFYJqpa1WDbQSw3GsJ
-rYkuTTkMZz2MQ2WOQ41dqaqAU0u5i8b145yVMzH2shV1qufjLl9dnXY/cbeUwNkMWROvArdWcElE
-Sd9ZYHegbbuqS70EbwXSkebuO6MrgKcp/XC2nHGoLZKJoJWpW9xUBelbwRvmxnuh72PsStU2ONgP
-tDaOBqPPMnajq8q6rwB2NaGxdjnoBlzqhwF9EGHlKQwlE+WIfh95rZwL07imXoL3DG5mOJhnbqo/
-eloZoPbwbNb9Cfb9QHtVLTnL4PaKivYltVS0E2dbbG1xpDWpbYyvPiCI9le14knLf/Bby1ITkzK3
-34DPTUc2RL8AiFOX2jOgeGezbvWo3MBd87upl+CtF3kUUAYeZAuU7wejwrI/1+uHmSBjUJ4DaU0O
-wW8jlgo814KZpvM7ovc2diXqQVysPe8g16N8BOpl7IV+pVHehhNl21YOxTjYVrheMwb0I28707q2
-Pj40dkOp9fICKXgr+74X6NdfibLCY0GlfdTDUtZtM+wmbO11V+obFw0v4uAdcKu5E2UnWl5azszh
-ktU1OPNIc7Y+67szZ1fq27itK/VqevOA6ZEmx0tBWpOhce1qQgbiMaexv2ZCH3Vzer0Fr+tgRr/k
-BtkeRUvPSmQHLtbSPcjLKPqByeUbBsKA/jvmbEPK8egrG7sc9XAu0q/7QR5DeSEYLbSczn3pywN9
-khlEAeIq0CFUeFkTBrRdare11IleNelJCo3WW/CeyD3dbe5LGaB+zQ0BxhwqSVVGr6zbbo8MxtZD
-dFmUgf9gaispSA+UvsEoo9SKR1+ZBNHvGcPB3FDRgkslCFeCsIrUre4KjpHiUjMGtNqeFrW+Jba+
-RGs4qbfgLQJvAPYF157hajpQhnTnmgPNddrfusfYri5k4FNUTZwa4EGORdGyvxzZj4tsVqOJWXvC
-i4tcw42GLSLdsxKQc8C2MlxqxsADUctaFem5rBjV171Zj8FbGaC+BAmyOcouwUhYar91JXPNQ+jj
-je3qogxoVTLFVG2BrowxqejzwANBe3OhJuWZxm7p6pfc4C/AWHOjq6APAuUmI8aVq2UyoC+d9GWQ
-lYMxlFh8z1bWu16PwftTSNPyWr8EBzkOJWlfNZPaZftn2MOAlu8u+Rl4n+p/mEPLo2vlk5T7dblG
-vzUE0VJVzzQL0daE3avPoo1yfU7gwvOBHXObYv8GJOWUS1xSYGAKPi7L42dn6pQ0ng26AK2U6lq0
-J1yPMppOaZmtICDZBvQBY2SUKAdxnh5CkJdR4iVTOOblQgaGoA4A7XJVO1F2BW/l7FKKvTmpozlR
-k6ZemixEv2fsBSr9HUMv6yzwFLCJA2ZFchdXi9P+xssR6HfnYKpdrRIDWmEqWO8btbc69kWgPxgJ
-HgTPgLr8nLAVHatH0S/1Gtyn5Dq3LOWJoNTgrfO1FLJ/HPFX7FplaNo31kSyE9APgasBDRStDr4C
-GhzKeqcBLbMfBQokOlZtGUeDWkL2yzW8NuUe4M85u7miAyecYE7SSmoE0DZCFqJtsZvB1xU6V/B+
-CWwN0gze8nUm0JJckGg76WrwCkgyKXK6SwoMzMDHseAcMAAoAbCyLsap4GTwOngM6FPax8EXoC6k
-XoO3yLke6HO1kAFqpuwOJoLmRJ8G6lfkIJNR7gxGFUu9rOq3MtE+QPeyFCgmCnIK5g8DLeNGgbdB
-tUTtDwPaLgk/VmqgDwalTH77c56eU5AXUJ4KRkZlm5T82sk+JZcL3HzAv6cDZeHLLqj5hqMr0I8E
-c3J1XlSPgY9p6jSgDPtCsB2IRfFxwxz0DjwH/gIeBTWfdJeiE/UqL9MxDfYgXVH6BqNIuTTHDgHa
-rw1yLYoCYrVkcxrS5KOH/DvwfaD+lMK3AmYncBhQwHwQnAc6gmqJ+v28aWwz9N2MXUhV8DsKhPvU
-ymEIaJTgpLGTlWgSVrY93zSgZbt+1HSpDQNarT0MtO2m901jVb+N5RMlCFuBJjA6V25KWTPRzFKv
-ImJvBArES+Y6eSjl38GsnJ2v0JbE4ebAR+j3AfnLWjrQwLlAe5oKwPlE2wjKbrX80uyvgKfr9Cyk
-h8wMdYH05N8LgF70y4GWb1nfyye0oYlTqwWJ+D8GKEsp1rZWGnZAv4c9HGQpM3H+S6A+VyK6x+kg
-q60q8XYp2AbsACR65gOBxuezwKU2DGjs3ALuBFeCvcGBYD3QHsTSlYqjgZKy84Hi1DxQVann4C0i
-tNxWBhgCgga9Aoqy0UJyMAcUwIM8gaIsPmvpRgO/BwqysbxPxYvgYaCsdiqYBuYCibLy1UF30Bfo
-Bf8OWA4EEQc3gQ2AgkDW2ewQ2vgZUL8kWwO1PU5GHlHWqkG/ojmmQa0JKkv5HOfDwIwsG0nJtyaa
-08D9YOWcz5UoLwP7g1m5Oi9qw4DG0tgcrqBUrNH7vCPYDGiMW+mMcS3oBc4CWU38uP62LPXtqrqq
-0Yt/d9SjkyLbmitg9DMVCnA3A2W6Wcq2OL8XxIF7OnUXAwVk4RLwOJgCNFC0hBb0Ur8B9FIPBLsC
-LeWGAiutMTTTN4E1QZYyCee3mQY0ISo4FxINZGUjQT5AUVCthsQvVTXaLLeNZ7lQL/rXxsEu6Hqu
-LvXDgGKG3tUzgN7HHwKteuMMW2PvFPBzUFWp9+AtMrSceduwouxby/N8sg+Vvc2B8eh3GDsLNWTE
-mn2tKBDroZ8DlHUnES3jHgHHgiPABGDlEAzN+O1tZQZ6Ez41iIMcjLJGMKJyT+y1TZ14f83Yri5k
-oAk1TkpOpO6whae0SE1bU2mLjWFZ+Fd/9T4qOesP9gDjgBUlVeeB9Wxl1rq98azbKtf/q1z4oLm4
-I/qRxg6qCNTSc9lQQdkE5hg7bbUTDv8ItGUSRJm0Aqv2zJ4LlWWW6rtWDsro4wlAWfDFQPedlehT
-truM883Rtzd2UNuiHBMMyrlgJPjC1Lm6kAFNiL8CUxZWLfgS6VxsjamWIHoPNA6srGSNFPRl8GG3
-FtWe2s1KtFp+CBwGXo4aWQH7p1FdpmYjBG8RoAA5zzCxF3qcAa5PnTLdIFNRRgQjg7IdPtWvrYzv
-r9D1Uv4MfGbqK1U10/8APBA5GoBtg2Z0uGJT96DJQ/cVRAM03qZQ1m1XQxrYo8MFXuZlQBydASy3
-G2BfBmJ+qWo40bbQe1Gvu0Z2pWYnHNhsW+0pwGYtSqQOAvGKWFn5ylk3Hvw3SvB+iQ7bwKUtiu3D
-TeRKZaea/YIMRVEAz0r2w7EyfSs3Yujls1sN9nglurK0HwO7ZFPWfSHoDrKSR3H8mnGuycpOWAo0
-Wgm1MecMQ6/GS2SabEhVycWgqOeHY2c5IUfNZWp+EHnvjG2DbXQ4sdklukLBe25Ul5Wpd0LjXJNU
-kA4oqwcj63KprBtIyb8eiDLAQJQGgAZ5CBgiTQEkyKco94BwfqhPq9Ty7+TImSaYc6O6tE3t/Stb
-m2Ucr4Ye98Ucrlidhod/gsCllqpHG6890bcx9ofotxrb1cIMKOu+CtjJUZOhxlEP0Ogygxuw2xhr
-Yev+0pI1I0fxZBEdTt1UQmmTlPbYHVNvpYDDRgne6v4oYLNO7fluogOIMuANFmjf/PMUxZPGTlvt
-j8M+xqkml4HgHVOXlXovjm+KnGvi2jaqS9P8E84+MQ77onfL2XoOncyxIeiTje1qcQamcPgUMNuc
-tjb6FUBJSSPLdDqvRCrIeiitgpFCqRW4FSUO1ZRJNKZ3P8iyKFV7Zo0UvN+HGM10IQPUlsExQDN5
-PxBEM72y9Cy2LtSGsu6fSDHyMPrjxs5S1f0rmNosQ/tsJ4Csnueb+B4Jgii47AKWA5Z7ZSGedUNC
-QtG4/l10jRKSk6K6RjP1zuqP5IJowt85GBWW8qUxGESTn9qrpijWWNH4t0mOPZa6ntXLnnpHcw7/
-SmlnVz08BfBNc8dVjAcjjJ22uisOuxinyiyawBxTl7U6jgbiILkFdWtk1LAmjL8BOyEqaB8HNgJB
-/o3yfDC8TMTA5Zx9R3TF2di7gWqOragLFZmTuVpjNYi2OQcEo8JSCZTdopiIXe2xpy3DtuY+FAvs
-ZGUOpa82WvB+FQoeMjQoA/wtUDYcRFsKs4KRQanMQcujIBqgtwejimUTbdmZf33sHhm2rxfjOeN/
-O/RzjD0PXcGnUQONuZWaqMrYLgB2RdUO+yKgcW4nTsyGkK/opVYVVrbG+J6tKENfjWv2AUuaa59G
-n2HsYqoC7hGgS7GTSjh2AOfYWDAV+80SrkvllEYL3rppZd8aFBI9hFUXaN/8M43iNmOnrWo/Kx54
-T1I3N+2GSvA3iXNsVrM0tgKqHdCYqclMPN0LAvdqTy9REA3afwTDy7IYeIGrroyu7IN9GrAZXnRK
-XZvD6Z2y4iCroJwPtNVXjoiHM0Fvc7Ey3r8Zu5janYPXgSHgYtAalCN6134E7Pt2N3bVYkEjBu8x
-EDQa5BM9kAn5DqRU1xU/60a+9CVGLUTBNOZhB+rKHYyl3MNNnDS5wIm3UG+zxgKnZVIdJpRMnFfZ
-6dW0F2+J7U2dXV1WuUsVNad9aK0erOyHMRgkDeCtuOYyMBBYUUL3hK0ooO9B/b9Av9xxldeAFXJ2
-qYUSuBuB3aYcj319qQ7SOK8Rg/dn3LiCyPyIAP1YcBf4MqpP01weZ/ZBqw/PpNlAAl8KWNrKsLIW
-hgZ4VvIWjpV9x6JtKj2TWojGcCewOtDLVCnkS4GyVu+Gxu95YCpoKaIVmSZ3K5qQ9L7uCpaxB/Lo
-ym43BcPAz6PjCpqDorpipt4RKydg6DeyrcBy9kAeXePiKKDJtZs5rnfxTPCuqctczfJFz7Lzj+B8
-EuhuGnkRPetAqofbxrQ5E12TSa1ketSwtjGWjurSNptw+GNgX7jh2FNALUQvlCYOBT295JWKgvYY
-cDb4pFJnZV7/Otcpw9QXKHa8lemu5pdpcj8L9ASbmN5sjX4PGAq0inwFTANzgFaQysx7gS2BsmRt
-uVjRSu9koKSiFLmfk3T+74EN1JpA1Jc7wUgwGczIQVulCvhdwOGgL7AyD+NqoC2TqkqjBm+Rex84
-ybA1BP1TY2ehKlBY0UDTw6uV6KVQ0ApbJSuitwdZBp2x+NcL9yMg0Yt2M1A/aiG6981SbljjKOtJ
-sLku/y8nbAyOb+7EBjk+iX4eArTFsQMIosnp6Bz0pcZMoLGk2KSxrBVVPnmdygFAQT+JXMvJs8H/
-ACU7QdqhKDgLCtwaAzpvWdAR6HgsStzOB4NA1cd/rZaGbSMWyulHEz4UOCSagYct0JL9E09ecb9i
-b3Hw1kDTkqlW8jkNC0GUecZ9DMdCqcEYRHrSbFWT1eDggPIF8IyxS1Vj7mO7kB/1195DofMqqVfg
-LsZLHNizyI7Fs7ZPXsxzI3bVk+dwoqqYT/kudu+JnEcnj8f+IVDmG68adaoy7e6gJ+gB8gVuvfND
-wW4gaeDmkgUyhH93BjeBfAmfkqDOYH2gjDsO3F9T9wTYB2gSqHrgps1M90flP59oUN4B3gDzcyd8
-mCuTFM9y8oVgPaCHWI6P17jueiDRBPLUAq3wPwrWVtpjxC+yPZ61rsnGvsgaVMrGC4n41v1qcOoF
-FWflZOmPc90lYA1wd5k+xnLdYKDJT32RXYroGeilU9ak+01b1Bct3+cWcTyBY2Hc6LSH9U8G8j4+
-TwDHgTDO1L+3QVoBQ8FL97I8kO93gTLKrETP71SgfeNdwQFgE9CcvMkJw8FDQO+7xk0lMo6LjwI7
-gt2B+rIFEAeFZAYHRoLbgfqge6mZFOtolp1qjXMFS7186sMXOZ0ikciHfBV70Yo51PWtcieoHxoQ
-mlwKSV8O3G8OKvhtAMqZOIybstUfcKUGU5CPUdYBxQJyG46H5y7+FQRUJhUFE3FXLvfh+jAGxHsp
-L6T6rmeuspx+c1lRkd/5oFhwDOMu9L25cVO0wRIOxu9Lc/0rweX/n2L5VKV861lkwa38x6IEQO9Q
-dyBdUAauMfxeDlMoXwZTQVaiZKAb2AisCZT1qx8K0JpEnwfqw9tgDnBpMAa2o78h2Glwa5B3qeE9
-9KNt9SNA2YT9IaaGXfOmnQFnIEsGlEG4lM6AsoFZ5nRljxsbu5qq2v5u1KAylVKy1+gyN50BZ6DR
-GPDgneyJvcPpk6JLtFdWC9F++45Rw2OwtQXl4gw4Ay2cAQ/eyR6w9rZfjC7ZBlt7ktUW7cvZrF8Z
-9yNAWyguzoAz0MIZ8OCd/AGP4hL7I11P7L7J3VR8xZF40I+PQSahvBoML50BZ8AZcAYWZWAtzMkg
-/EiocgQIX62gZi6daSHugz6jWjLzlr0BZ8AZcAYamIHz6LsN3vqcaOsq3s9ltKVtktAHta9vVV2c
-AWfAGXAGijCg7HsCCMFT5T9B/JdYVKUum+Hxv8C2PRTbt8BSp9odOgPOQEtk4GRuygZQ6RdlfKMr
-4H901K7+Qm7TjNt1986AM+AMtBgG9CfmcSCdTV3/jO5Qf+01BMQTxi+p86w7I9LdrTPgDLRMBnpz
-W/H2iQL46UB/RJOW6E939WfwceDWD6X2i5O02nM/zoAz4Ay0eAb24A71/bcNrPrvQ1wFuoJKZTsc
-PACsf+nPgC7AxRlwBpwBZ6BMBvbkOv31ZRxg36BuINBedRLRJ389wJ+BviSJ/d5P3brAxRlwBpwB
-Z6BCBvpw/XMgDrTKwvVN9h+APudTUNZ/sawD0JbHMmAloC9YeoEjwJ1gOoh9yb4RdAQuzoAzsBgz
-4H/Uke7DVzZ8BdgbFPqT+Ykcexdoq2UaUABfNYe1KRXY88lUKm8Al4LP853gdc6AM+AMOAPlM6Bg
-vANQ9qw/o8+XPSepUwauCUEZu4sz4Aw4A85Axgwsjf99wc1gLNBXKKUGbf0RzpNgENB/qN7FGXAG
-nIFFGPBtk0XoyMzQN9obA/33t7U1om2SVXLlF5TaPhEUtN8EzwP9Xzt0zMUZcAacgW8x4MH7W5Rk
-XiHO2+agLZb5QEFaWywerCHBxRlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAG
-nAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAac
-AWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBpwB
-Z8AZcAacAWfAGXAGnAFnwBlwBpwBZ8AZcAacAWfAGXAGnAFnwBlwBlJn4P8Auh5uoDe79R0AAAAA
-SUVORK5CYII            `
-        },
-        {
-            cid: 'image002.png@01D95810.D4949A90',
-            filename: 'image002.png',
-            encoding: 'base64',
-            content: `
-iVBORw0KGgoAAAANSUhEUgAAAGAAAABgCAYAAADimHc4AAAACXBIWXMAAAsTAAALEwEAmpwYAAAV
-3ElEQVR4nO2cB1RUx/fHH82g2LBSlC6gWFCjRqOxxAIq2ClSRcASozHRGNOMJdFofhpLbEk0xhh7
-N1hSVCxoLMESEQUUFJEmCCxlYfn+z7xH2Zn3tkhk1f/Ze849B4E3O/P9zNy5c+cJx+lNb3rTm970
-pje96U1vetOb3vSmN73pTW/P0eZxMBzmKus6oHPhxgGdi5IHdZAVDXErUHi0LYCna+34IPdC9OtR
-jF595ejmUYbO3uVwHyH2TiMUMndvRYq7t+Ifd2/FTndvTO8wHF24eTB85SeBh5Osladr/iJP1/wH
-tSW0p5Y+xE2G/t0EIF2HKiRh0K5IcvfC3G5DYcG9aja4XW4TD5eC1Z6u+cUvWnhPFT7QvRC9+5Tg
-dU8NMLwVJe7eiiXtxqE+9yqYh0veWE/XgnRtRBjqnA8vuzyMss7F2Ba58DV/Av+GTxBglo0g0yze
-Q0wqPZP/d2DdLP7n/g2y4dfoCXya5WCMZS5G2ORhuGN+jWH06idXGaYqQlWquxdGcC+r9e0LY0/X
-glUqxXYpwAjbp7zQ/g2zEVwnE2FcxvN3gwwEmmbxMEdb5sLLQXsoQ9rJ8NYbZFWUqQpL5e4jFAtf
-uv2hry1MPV3zD7ID8rLPx7gWOQisl4UJhrUkOKfZQ40yML5BNkZb5WJYG81ASHJA9otuQ1SC2Ns1
-EibcyzPzq8X3tsuDT5McBJtkvTDBwzQ4mRBkYgxz0gxjQNciPosShSRvxbaXYiWQzZbMqrHNc2oW
-VgzSMdH0ASY2TkS4xS1E2PyDCMfLiGjzNyJdLiCy3VlEtj+DSLeziGh7nv9ehOMlRNhfRkTrawhv
-HoeJDZMQVie1RjDG18/GqFZPNa6Ift2LRdlTJ2/FNy9U/DHNc2aReE7irlYDNnyMiQ0TEW59A1M7
-XcSaGdcQvT8Fd2Of4HFyAYoLy1DbVlxQjrTbZYiPluPkukJ8OywXk0wzEWqcyW/o6kIUAdHnzRJ0
-9qreEzqNxOAXIv64JlnWwcYZCk2iTzS7j3Dr6/wMntTzOOaOOolzRx7qROxngRL9QxFmtRb2KrKB
-D1cTngZ1lKHHwNJKCA87DIO5zgEEmGVfVCl6vWSE28QisstfmNTrKO/T3z6B37ffQ6lcgZfV5EXl
-OLZMhilmmQKIJk/U7hMkLHX2UpCzwhKdih/IpbUI4zKK6PCSjolN44WZXiF6pX808iSSbz/Fq2IP
-rpXiQ7tsflwExLhmOfB0kYYwuIMM3QbJi9zHobnOAIRx6YuqZrvJI37jnNT9d5HwxJeExyAvp0Ry
-oDkPZbi0+Q72hpzG5kFHsbrDPix32lUj/6bNbix23Yt57fdjTudDmN79N8n+TB9wAp/7RWPle5fw
-x457yHxUKNm3p+kKLOz+pGqCBb+WxR/2JFdD2wL0fqPoiI7kh8EELuM+yToiHC4j8o3jkgMlPnf0
-KeQ9EYuflyrD759exgqX3TUWXBtf5rwLC9324cMuh/DOG9JAJr95FBs//QcZD2WifuZnKjDHQVgJ
-lU5O6sPaSKyE9gVyncgfXj+5T4RNLCb1UC088Vn9jiEtXhx2bh9JwaoOe2tV+OUq/Mu2e/FRZwIj
-StTfaf2OIybqoai/KbGl/J6gDIGURaRWQ59eJb61D8A55rgq0Sf3isLsLof5gV7+MV40mAvf3cLy
-NtLirHDahTWOW7DRfh1+tvsfttp+je02X2KnzXzstPmC9x22i7DN9itstVuKn+yWY4P9Bqxy3Foj
-GPPd9mHm60dEqyFqS6Ko30eXyiSTDZItKe8NHq4Fc2odQGS3P06xwk/pGYWP3A9iqcsefnA/9D2C
-shI624mPelAl/gqn7fjefi222yzEgVYf4oTVJJyyCEK0RUCN/JRlCI5ZTcW+1nOx1W4Z1jn8gOVO
-O7UCsdh1Dx+iJitBuHj8EdV3ebECs+ylD5lBdbOVi4C7ax9Ar6gbVTOm51HMdT+IZW3oWH5zzz1q
-ALkpBdjYdhM/e49Yz8Qpi+Aaix2tpZ+0DMFB61nYYvc/rHT8RSOIr5334MPOh/gxTet/AlnM5nz2
-QCrCm9yVhBBinAlv26dkBVyvdQCTekVlk9lCOrvUWZjxyr6q/V7IC0upzl+b+mOtCx6t1gPxm/UM
-/Gy7DAfDTyP/cSHy0wqxb2K0qP9LXPfgg66HsWnBNWoM5OBI9gmSeJCUW1xSySTV1/xaBzC925FS
-EuNVzaQDEWeojhfdT0e0VaDWYp21CMAFi0BcsAzCRcsg/G0ZhEsV/nfF98jPzlsE8r/7rDCKH2VX
-9S3vkUzlOBa13y9aBas/uMyv/MhOpxFm+lByNdQ6AFUdJpvoJrtVSPmZBvBwQ5SkEGeI0JaBuGIZ
-jGtWwbhpFYLb1qHP7HHWIfyzsVYhuGQVhPOWgXzb2gAoTM3hN3JVY7qy5S41ltP7U6r2vcjuJxBu
-fvdlALATP9t+gxOWkfwAc2PiqE7f8F1SNXgiztUKseNqIPbtZ/BrBIhlMM5a0KvvxvilPITi1Czc
-8P+a/95h6/exwWGjCMC+sGg6kbiaLcr8Ilpde3EA1jt8j2NW71ADLEx6THX6Ss8PeNFv/VdRW03A
-fc8vkLXiIGTn41CSkAaFrJh38jX5HvkZ+R322Rs8jCCctVQXCgOxv9VHWK2U1pLTubJlJBdIpt+k
-PE7K6joDsNJxG3bbfMZ3mh1IWUER1ek7zpOeSeh4qxDctQhBUvNg3GsWhORmIcgKW4PShDRoayWJ
-aUid9B0PjQ5XoYi1CsZ5NSHqL4tQ/GKzhF/Zqzvuo9qVy0rxWYcD0hCcLyDM4HHtA/jJbgX+tAxT
-OQDW1Il9xzIUyU2DkdYgANmm/nhq7AcZ51vlhY7TobhAx+FnscIrCUjsOVtliCIhUdU4SNa0xvFn
-UZv8Bt1uH6ZInKbJhVGtA1DVYTKY61YhGgEktgjhBc818afEZr2o9zyUp//3CmpZTgFSfL5WOQmu
-WwXjnKqzhEWoJAA+XXXZg2k9xPUlnQMgmxxZ1pUDkgKQ0FKY5ewMl6nw4v4LALnEhU1JKcp2nEex
-30oUucyEzCyYd/J1sf8q/mfkd1grLynFgzGL1WRSobhiFSyZPakCwB/eXPbgXQaCTgGQnPyWNZ0+
-spZVV/1MlzFOwk55Vp54Ju+NQbHTVBQajYPMwEf18w7vomzvRTGEzDxkuc1AYkvV6e5N6xDEMGFJ
-HQDiS513UxB0AoDM+muM8KoAaBTcwAfFr42CvL43ysyHAZfpNBZlCuCL9UDLgZSXNx8MRVMPlDYa
-Bnm9ESiuM5oCI5+1FVCUU00pzsdDZuCHjHoBSLBQBSKEWg2srXbcIgFhD6ZVlLtrHQA5gapKKRNa
-ivcAyfhuPAZyMy8omnjQwkYuEj0vJb5KbzEIZeZDUVLPG4VGYyGf/YuoueIxy/k+FBj44nH9AD7r
-kt4bQnDGIlD0/B+W4RXFPnEJg5S5ax2A1AEq3iqUj/EFBn4qARQa+qCk3ggomg6RFs9iEJDwgH74
-8GntxZdwhbkHFAdi6FUQl8qvgsp+5Rn5IblJ9R6m7P9KJBV8qmoZJgmBlGhqHYDUrM+pUx3nWSMz
-sbTBcH52qhVs8FT6QXkp0DMIsO4P2PQDWvcXvrZ8RhDdAoESOdV0Uec5olWZWXc84i3Fq0EKAHGS
-iq9z+FEEQacAHpgHIl9pNkkBQEsNwrccCNj2AzZsop87dwTwdZD2UW2AoW2B/h2B17sBrm8ClgNU
-t3/oNM12/m7J0EiyNHIA1AZAJYQ1Dj+9GADpZuMlByEGIBVu3gacewO9OwPeLoKo/16gn1s1QzUA
-KfdxBDzcBCA2/enPm7qYbvtMrLBpS/Sf7A0p5kFaASB+3GoyVjpt0x0AEu+zTKXFLzIeqx4ACSPd
-XwdGOosFTLtPPzdjwLMBYGEMdgPa9wQsBgK9JtBtJ6Tw/SEZFMnCpMaS1iBQEgBJvaVOzSscd+oG
-wBOleK/sJaYjhTgvBYDE8N7ugjCqRCti3koIaV9zAMo+whno1Zduu6CwOp1tNgRFJmMkx5RuJk5D
-SRISI3F9urv157oBIOqogS9KGw6vnuWs9ewCjFMjvG8lgAL6uZlNgXdMgHeNgBkGwHQD4etpJsAU
-UyCiATChKRBkBfjbqW87tCPddp6MSV8HoqTuCK1CKlkVJA0/JypEBmKz/UodAzDw4fNuajCsqRMm
-yAoIbyQIncG8RbHIGZjBaecEzpR6wIRmgL+t+HNmMiszIVlybypt4KUVgMpT8xmJSqrOABQajpPO
-6TUB8LMDwpoKM3mGkoh3T9LPbfHXHgDrk8wEuJWfuXom3faNGMCtlzSEhsO1AkCc1MDYUKQTAORQ
-JSk+yT5UASDCTzQH3jWUFu3YAvq5qztqDqDSSagKtgRifqPb3r1S6BPJwiwkIDQaphUA4uQaVLcA
-DHzFJQTijm8J+bkUgJCWFbFcjVjLutDPKeTAZifgWw5YzQGrOOHr5RywhAMWcMDHHDBTA4QFDkAp
-83rknOHVE2OgG2D1tkQ4ElYCa6Syy0JQ3g9qHYAo5hN37gOMcRIGxNrkeuoFms0BizhgpQGQc5t+
-NnEPsJ7T7Cs4YD4HfCDR/vX9dJupCeKwOKytkCIz45KbeYuG89TYH3eY+hG53NEZAJH45BQ6VinL
-YU1K9Pc44JMK4ZSFPCFxjoiZpR2ESl/KAXMqPufQHHF76/2ls6bhrkKpQ8OeRlYFKeKxq+BiRRlb
-twDs+1bPfG0BfFwRSiQFNAAe08UzlCueHQLx0x8Kzypb0jngPQPgnTrAeBsxBM92gNUAjQCI32NK
-Fv9ah+gYAFmyUidaVQDer5id6zQIt9MBKM4Ut/N4P/CnC3DQGNhtBGw1BL6XeH67E3CPCTvECjKB
-+XbV/ZlmDAS0Evd/YHuhVKIBAKkbkaqAMgTyjpNuAJCKJJktbOfJwUgKwFwOWKNG9M0GwD5j4EQd
-4PRrwLVBQDldwRRWQwmQsQeICwEudQTONgVONAai3IC/AoDEXcLmzVpZCbC2r3g1ksQgoLV4HN1e
-1wiA+MPGQaKrTd0AeKOrhPjNhEGxNk/NrN9qCPxmIojOemx/QJ6B/2xFWcDhAcB3FeGPhUDOI+zh
-zcdBKBZqAJBvKF4FtQ+gTW+hg+yJlpxGpQBIif+DAXBEhfDKftEFeMpUSZ/F0s4C2+yqP5f05VOp
-88JrgJ89PSYSXq0HqAWgXLTTHQCvivJxpZPZo5zjF+fTPf6xPhPjjYCTGoQ/2xC4YAtccgMudwYS
-55C3fLUXXnYbuO4D/GQghq8KQkRDiU35TbrdPBmKTOgydoGhH5WW1j4AtpNsnp9xh+709jbCwDdy
-6mf9GXPgshtwfTDw7whpT5wJZOwACq4DxQ8ARRFQJgNk8UDOSeD+QuBK9+o2T70G7DASQ1jLAR9J
-QCAHRqqGNJgeS0IKX/tiV0Fq48AXBCCkhXgQSfTtE44MFrKVYyaqhb/aQ7Xo2viNocCl9kC0mfRn
-7JaAsKYiM2M3ZVIyqRzfYuYe4Vwsvy+Qew9lALnGfi8AAOkoW14gA7q5nu70jRXAUQnxo02FEHPT
-67+JT4HwAGJaaw/hm4pDofIYwhtXAzi6hR7L5kMVtSLxKrjXLFhHAHwcivjOhZmLZz/J86OGMfH4
-HnC6LjPrGwCxfTQIOhK45QvcDgLiQ4H4YCDOH7g1VjOISx0EwCyEXw3FEEiWRo3DABjfGvBzAjKZ
-/zXp/3HF/cEg0U1aRr3xuG0VWqILAI/5ozxb1fykYkDfvwbImTfb4kKVxG8EXB8kLdytkYLgCe8B
-9z4H7i+Q9qSPgbvvCEBUQSBhjQVP9oRNBppDEbnsWTtbfItmU10HYy9wyGYcbx2apQMA9jcR1kRc
-21EuL8T9SHeeZDBnGgPRDVRvsreDBGFVia7KE2cBcX4qIChtyJV+rA6wgVkFX7EFQjMgK5Uew4H9
-VImizNxTHIaaBCXVPgBf+19FlymfsAcsayE7UbbMfUBsX4lZPxpIfP/ZhVf2e/OBOxEqwlE7MQQ2
-M1qrVEkltaIr2+m+y4uBif1EhTpyL0LdIdcNuFP7AEKarRbFfra49osh8GA5PQgewm4htleJPw5I
-+kS9uMlfAynfACnLgOTF6n83YTrdPvGb3sB5CxrAnxKrYEGF+H8sEff74HphUyZldyUAxaajWACH
-ax/AxEajKfFJ6Zfd2KJMgLNNgPxY8WByowXhycxPUhFyHn4LPN4KZB4Asg7TnrkHeLRJACMJYYZ4
-FVx/W7wfkAMhdUCrB1zdKe5v0k0g2E0A0KMrc31ZfXNG/FH9gLG1DoCHMM2kpAoAuUxRHgg5fVYO
-8oITUJIuHpQ8UxDy/kLxbE/fIRZdyjMPCSDYNohLhaOLTjQAUvgj/d1gCJwYBzwV/4kCPM0Apr5Z
-nZYOaUcBINeyVdVRI78ycJxu/oYcJpseqAKwmgGw35gpqr0NlOZC0kpzgLyLQPo2IG2TdsKznr4T
-SP6S2RO+AOJ8mFUwqKLM0USopN7wAm6tBPJUlDiepgFLejFFOke6VN1yYNUr8Rl1x/+uE/F5ANO5
-lpjBFfHXiWz4qSwpVzrJyePDgMKa/18vndvDWGC+rVBg9GWKdOQSSgkAeamLvBX+qH5AO50B4CHM
-4Fbhc0Z8kmOzGcf1gcIMjPMFsvZJ1/lfFistBP5cAsxWqm+xlzbkdUclAOSNwDzOZ41OxecBTOHM
-8RVXSAEgJ02qqtlYHIuTvwLyrwqXKy+LyfOBWxuBra2q75OrCnQtaADd6Y24xMwrP4sLaKhzADyE
-Jdx8qt6/l4n/pC5D5fxjgfvzKzbcr4D0X4HCBECeDZTlA+U6+EuKZQVCuZpkY6nrgRNDhdN75Rg+
-YwCQWz5lAG91Yl5fGabbP9gngrCUu1DV+UMMgL9daACkpqO8WaYsrtnGq25DpjKiL8TngnPN6T6S
-M4u62lBEIxrAgI7VAJoO2fFCxecBzOOM8R23h+88e714pQs9+DuTmHx/5fMFkHVQnJKyxbsYa/UF
-uoUMgMgGNIBBbhUA3t4Lbt6L/9PFxLCLM8J6brOo5n+1Gz34u1NpcVLXPmcAh4XQpvwZbJ0oxlb9
-gexL9j3T+jQAD/4ssB+2fU25l8kwjzPEQaNz9Aro+hIA8GcAtH42AOwK6NfxPLhxRtzLajhgtAR/
-1lFUnQGoEBQpLjlkPU8Ah8Qn47hxdB/Ot6QBbGcALFKxB4xqo0DvTou5V8Gwi7PHbyYxuOiqULsJ
-Jz/vTXi75k34rDkNgLwaowxgPgMgzLwUHq5R6NPdnnvVDGfbueNKj1O4MaSsqvrJbpLp258fgNR1
-zMXNR0xldDhwmrkpY9+c+LzyftjwCSbVO4MJjTtxr7oBnCEudfDHlR5HcHdaJpLmliDp83L+TPDg
-OWVCpHLK1oTuTqEBXOsrPqlv5IqxlsvFKq4Qy7kUfMwtw3Su/YvWTG9605ve9KY3velNb3rTm970
-pje96U1v3P87+z/201qU2j+lHAAAAABJRU5ErkJggg=            `
-        }
-    ]
-}
\ No newline at end of file
@@ -0,0 +1,13 @@
+import en from './locales/en'
+import pt from './locales/pt'
+
+// Email texts by language. The templates themselves are the `.hbs` files next to this one: `<name>.hbs`
+// wraps its body in `layouts/base.hbs` with `{{#> layout}}`, `partials/` holds the shared bits and
+// `assets/` the images they reference by `cid`.
+//
+// To add a language (e.g. `es`), copy `locales/en.js`, translate it and add it here. `npm test` fails while
+// a language misses any text, which `lib/email-templates` sends in `en` meanwhile.
+export default {
+    en,
+    pt,
+}
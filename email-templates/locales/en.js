@@ -0,0 +1,54 @@
+// English texts, interpolated with the email variables (see `lib/email-templates`)
+export default {
+    common: {
+        greeting: 'Hi {{customerName}},',
+        followUs: 'Follow us on',
+    },
+    'digital-file': {
+        subject: '[Momentus] - Digital File - {{orderNumber}}{{#if revisionNumber}} - Revision {{revisionNumber}}{{/if}}',
+        title: 'Your artwork is ready!',
+        product: 'Order {{orderNumber}} · {{productName}}{{#if variantName}} - {{variantName}}{{/if}}',
+        message: 'Please find your digital file in the attachments of this email.',
+        revisionMessage: 'Here is your revised design, please find it in the attachments of this email.',
+        download: 'Download the file',
+        downloadExpiry: 'The download link is valid for {{downloadDays}} days.',
+        fileNumber: 'File {{fileNumber}} of {{fileCount}}',
+        itemFile: 'File',
+        itemProduct: 'Product',
+        itemCurrent: 'in this email',
+        revisions: 'Your satisfaction is most important to us, so we offer unlimited revisions until it\'s perfect for you.',
+        requestChanges: 'Request changes',
+        contact: 'If you would like any changes or have any questions, contact us by replying directly to this email.',
+    },
+    'digital-files': {
+        subject: '[Momentus] - Digital Files - {{orderNumber}}',
+        title: 'Your artworks are ready!',
+        order: 'Order {{orderNumber}} · {{fileCount}} files',
+        message: 'Please find all your digital files in the attachments of this email, you can also download them from the links below.',
+        messageLinks: 'Your digital files are too large to attach together, please download them from the links below.',
+        itemFile: 'File',
+        itemProduct: 'Product',
+        itemDownload: 'Download',
+        downloadExpiry: 'The download links are valid for {{downloadDays}} days.',
+        revisions: 'Your satisfaction is most important to us, so we offer unlimited revisions until it\'s perfect for you.',
+        requestChanges: 'Request changes',
+        contact: 'If you would like any changes or have any questions, contact us by replying directly to this email.',
+    },
+    'print-production': {
+        subject: '[Momentus] - Your print is in production - {{orderNumber}}',
+        title: 'Your print is in production!',
+        order: 'Order {{orderNumber}}',
+        message: 'We are now printing the products below with the design you approved. You will get another email with the tracking details as soon as they ship.',
+        designs: 'Your design:',
+        downloadExpiry: 'The download links are valid for {{downloadDays}} days.',
+        itemProduct: 'Product',
+        itemQuantity: 'Quantity',
+        contact: 'If you have any questions, contact us by replying directly to this email.',
+    },
+    'customer-delayed': {
+        subject: '[Momentus] - Your design is being prepared - {{orderNumber}}',
+        title: 'Thank you for your order!',
+        message: 'Our team is still preparing the design of your artwork. As soon as it\'s ready we will send your digital file to this email.',
+        contact: 'If you have any questions, contact us by replying directly to this email.',
+    },
+}
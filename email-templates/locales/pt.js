@@ -0,0 +1,54 @@
+// Portuguese texts, interpolated with the email variables (see `lib/email-templates`)
+export default {
+    common: {
+        greeting: 'Olá {{customerName}},',
+        followUs: 'Siga-nos em',
+    },
+    'digital-file': {
+        subject: '[Momentus] - Ficheiro digital - {{orderNumber}}{{#if revisionNumber}} - Revisão {{revisionNumber}}{{/if}}',
+        title: 'O design do seu quadro está pronto!',
+        product: 'Encomenda {{orderNumber}} · {{productName}}{{#if variantName}} - {{variantName}}{{/if}}',
+        message: 'Por favor, encontre o seu ficheiro digital nos anexos deste email.',
+        revisionMessage: 'Aqui está o design revisto do seu quadro, por favor encontre-o nos anexos deste email.',
+        download: 'Descarregar o ficheiro',
+        downloadExpiry: 'A ligação de download é válida durante {{downloadDays}} dias.',
+        fileNumber: 'Ficheiro {{fileNumber}} de {{fileCount}}',
+        itemFile: 'Ficheiro',
+        itemProduct: 'Produto',
+        itemCurrent: 'neste email',
+        revisions: 'A sua satisfação é o mais importante para nós por isso oferecemos revisões ilimitadas até que esteja perfeito para si.',
+        requestChanges: 'Pedir alterações',
+        contact: 'Se pretender alguma alteração ou tiver alguma questão contate-nos respondendo diretamente a este email.',
+    },
+    'digital-files': {
+        subject: '[Momentus] - Ficheiros digitais - {{orderNumber}}',
+        title: 'Os designs dos seus quadros estão prontos!',
+        order: 'Encomenda {{orderNumber}} · {{fileCount}} ficheiros',
+        message: 'Por favor, encontre todos os seus ficheiros digitais nos anexos deste email, também os pode descarregar nas ligações abaixo.',
+        messageLinks: 'Os seus ficheiros digitais são demasiado grandes para seguirem juntos em anexo, por favor descarregue-os nas ligações abaixo.',
+        itemFile: 'Ficheiro',
+        itemProduct: 'Produto',
+        itemDownload: 'Descarregar',
+        downloadExpiry: 'As ligações de download são válidas durante {{downloadDays}} dias.',
+        revisions: 'A sua satisfação é o mais importante para nós por isso oferecemos revisões ilimitadas até que esteja perfeito para si.',
+        requestChanges: 'Pedir alterações',
+        contact: 'Se pretender alguma alteração ou tiver alguma questão contate-nos respondendo diretamente a este email.',
+    },
+    'print-production': {
+        subject: '[Momentus] - O seu quadro está em produção - {{orderNumber}}',
+        title: 'O seu quadro está em produção!',
+        order: 'Encomenda {{orderNumber}}',
+        message: 'Estamos a imprimir os produtos abaixo com o design que aprovou. Assim que forem expedidos receberá outro email com os dados de seguimento.',
+        designs: 'O seu design:',
+        downloadExpiry: 'As ligações de download são válidas durante {{downloadDays}} dias.',
+        itemProduct: 'Produto',
+        itemQuantity: 'Quantidade',
+        contact: 'Se tiver alguma questão contate-nos respondendo diretamente a este email.',
+    },
+    'customer-delayed': {
+        subject: '[Momentus] - O seu design está a ser preparado - {{orderNumber}}',
+        title: 'Obrigado pela sua encomenda!',
+        message: 'O design do seu quadro ainda está a ser preparado pela nossa equipa. Assim que estiver pronto enviaremos o seu ficheiro digital para este email.',
+        contact: 'Se tiver alguma questão contate-nos respondendo diretamente a este email.',
+    },
+}
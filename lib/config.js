@@ -0,0 +1,290 @@
+import path from 'node:path'
+import { getEscalationStages } from './escalation'
+import { DEFAULT_CUSTOMER_LOCALES } from './locales'
+import { TEMPLATE_LANGUAGES } from './email-templates'
+import { DELIVERY_MODES } from './delivery'
+
+// Configuration read from the environment. Every variable is checked up front and all the problems are
+// reported together, so a deployment with missing settings fails with one clear list instead of a TypeError
+// in whatever route happens to run first.
+//
+// - SHOPIFY_AUTH: `<store>.myshopify.com:<admin API access token>`
+// - SHOPIFY_WEBHOOK_SECRET: signs the webhook deliveries (see `lib/shopify-webhook`)
+// - SMTP_CONNECTION: JSON nodemailer transport options, e.g. `{"host":"…","port":465,"secure":true,"auth":{…}}`
+// - MAIL_TRANSPORT: `smtp` (default) or `capture` to write every email to a `.eml` file in MAIL_CAPTURE_DIR
+//   (default `.data/mail`) instead of sending it, SMTP_CONNECTION isn't needed then
+// - CRON_SECRET: bearer token of the cron routes (see `lib/cron`)
+// - ADMIN_SECRET: password of the dashboard (HTTP basic auth with any user name, see `pages/api/dashboard-auth.js`)
+//   and bearer token of `/api/orders/<number>/history`
+// - APP_MODE: `production`, `staging` or `development` (default), decides who gets the customer emails
+//   (see `lib/customer-email`)
+// - FROM_EMAIL: sender of every email, defaults to the shop address
+// - ALERT_EMAIL: recipient of the internal alerts and of the customer emails rerouted outside production,
+//   defaults to the shop in production and is required otherwise
+// - ARCHIVE_EMAIL: BCC of every customer email actually delivered, defaults to the shop in production and none otherwise
+// - STAGING_RECIPIENTS: comma separated customer addresses that get their emails for real in staging
+// - ESCALATION_STAGES: JSON escalation ladder, the timers of the missing-file alerts (see `lib/escalation`)
+// - CUSTOMER_LOCALES: JSON map of Shopify customer locale to the locale its emails are in, e.g. `{"gl-ES":"es"}`,
+//   by default a locale falls back to its language and then `en` (see `lib/locales`)
+// - DELIVERY_MODE: `per-file` (default) to email each design file on its own or `batch` to send them all in one
+//   email once the order has every file (see `lib/delivery`)
+// - BATCH_ATTACHMENT_LIMIT: bytes the files of a batch email can add up to before it links to them instead of
+//   attaching them, default 18 MB (about 24 MB once encoded, under the usual 25 MB limit)
+// - DOWNLOAD_LINK_SECRET: signs the download links of the design files (see `lib/download-links`)
+// - DOWNLOAD_LINK_TTL_DAYS: days a download link works for, default 30
+// - DOWNLOAD_HOSTS: comma separated hosts the download links can serve files from, `*.<domain>` for any subdomain,
+//   default `cdn.shopify.com`
+// - REVISION_LINK_TTL_DAYS: days the "request changes" link of the delivery emails works for, default 90
+//   (see `lib/revisions`), signed with DOWNLOAD_LINK_SECRET
+// - PREFLIGHT_MAX_SIZE: bytes a design file can have to be emailed, default 18 MB (see `lib/file-preflight`)
+// - PREFLIGHT_MIN_DIMENSION: pixels the shorter side of a design image must have to be emailed, default 0 (no minimum)
+// - DIGITAL_PRODUCT_TYPES, DIGITAL_PRODUCT_TAGS, DIGITAL_SKU_PREFIXES: comma separated product types, product tags and
+//   SKU prefixes of the line items delivered as design files, the others are printed and shipped (see `lib/line-items`).
+//   With none of them every line item is a design file
+// - PRINT_PRODUCTION_EMAIL: `true` to tell the customer their print is in production, with the approved design,
+//   once the design files of an order with physical line items are delivered, default `false`
+// - PUBLIC_URL: where this app is reachable, the base of the download links, defaults to the Vercel production
+//   URL and to `http://localhost:3000` in development
+// - STORAGE_BACKEND: where the job queue, the processed webhook ids and the order locks live (see `lib/storage`):
+//   `memory` (default) for a single process, `file` to keep them in STORAGE_FILE (default `.data/store.json`) or `kv`
+//   for Redis through the REST API of Vercel KV / Upstash at KV_REST_API_URL with KV_REST_API_TOKEN. Every Vercel
+//   instance has its own memory and a read-only file system, so production on Vercel (VERCEL_ENV) must use `kv`
+// - ORDER_STATE_BACKEND: where the order states live (see `lib/order-state`), `metafield` (default) on the Shopify order
+//   or `local` in the storage backend, for development
+
+export const APP_MODES = ['production', 'staging', 'development']
+export const MAIL_TRANSPORTS = ['smtp', 'capture']
+export const STORAGE_BACKENDS = ['memory', 'file', 'kv']
+export const ORDER_STATE_BACKENDS = ['metafield', 'local']
+
+const DEFAULT_FROM_EMAIL = '"Momentus Shop" <info@momentus.shop>'
+const DEFAULT_ALERT_EMAIL = {
+  production: 'info@momentus.shop'
+}
+const DEFAULT_ARCHIVE_EMAIL = {
+  production: 'info@momentus.shop'
+}
+const DEFAULT_BATCH_ATTACHMENT_LIMIT = 18 * 1024 * 1024
+const DEFAULT_DOWNLOAD_LINK_TTL_DAYS = 30
+const DEFAULT_REVISION_LINK_TTL_DAYS = 90
+const DEFAULT_PREFLIGHT_MAX_SIZE = 18 * 1024 * 1024
+const DEFAULT_DOWNLOAD_HOSTS = ['cdn.shopify.com']
+
+// `info@momentus.shop` or `"Momentus Shop" <info@momentus.shop>`
+const EMAIL_PATTERN = /^(?:[^<>]*<[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+>|[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)$/
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/
+
+function parseJSON(env, name, problems, fallback) {
+  if (!env[name]) return fallback
+
+  try {
+    return JSON.parse(env[name])
+  } catch (e) {
+    problems.push(`${name} is not valid JSON (${e.message})`)
+    return fallback
+  }
+}
+
+function parseEmail(env, name, problems, fallback) {
+  const email = env[name] || fallback
+  if (email !== undefined && !EMAIL_PATTERN.test(email)) problems.push(`${name} "${email}" is not an email address`)
+
+  return email
+}
+
+const parseList = (env, name) => (env[name] ?? '').split(',').map((item) => item.trim()).filter(Boolean)
+
+function parseEmailList(env, name, problems) {
+  const emails = parseList(env, name)
+  for (const email of emails) {
+    if (!EMAIL_PATTERN.test(email)) problems.push(`${name} "${email}" is not an email address`)
+  }
+
+  return emails
+}
+
+// resolves to `{ config, problems }`, `config` is `undefined` unless `problems` is empty
+export function checkConfig(env = process.env) {
+  const problems = []
+
+  const [storeDomain, accessToken, ...rest] = (env.SHOPIFY_AUTH ?? '').split(':')
+  if (!env.SHOPIFY_AUTH) {
+    problems.push('SHOPIFY_AUTH is missing')
+  } else if (!SHOP_DOMAIN_PATTERN.test(storeDomain) || !accessToken || rest.length > 0) {
+    problems.push('SHOPIFY_AUTH must be "<store>.myshopify.com:<access token>"')
+  }
+
+  if (!env.SHOPIFY_WEBHOOK_SECRET) problems.push('SHOPIFY_WEBHOOK_SECRET is missing')
+
+  const mailTransport = env.MAIL_TRANSPORT || 'smtp'
+  if (!MAIL_TRANSPORTS.includes(mailTransport)) {
+    problems.push(`MAIL_TRANSPORT "${mailTransport}" must be one of ${MAIL_TRANSPORTS.join(', ')}`)
+  }
+
+  if (mailTransport === 'smtp' && !env.SMTP_CONNECTION) problems.push('SMTP_CONNECTION is missing')
+  const smtp = parseJSON(env, 'SMTP_CONNECTION', problems)
+  if (smtp !== undefined && (smtp === null || typeof smtp !== 'object' || Array.isArray(smtp))) {
+    problems.push('SMTP_CONNECTION must be a JSON object of nodemailer transport options')
+  }
+
+  if (!env.CRON_SECRET) problems.push('CRON_SECRET is missing')
+  if (!env.ADMIN_SECRET) problems.push('ADMIN_SECRET is missing')
+
+  const appMode = env.APP_MODE || 'development'
+  if (!APP_MODES.includes(appMode)) {
+    problems.push(`APP_MODE "${appMode}" must be one of ${APP_MODES.join(', ')}`)
+  }
+
+  const fromEmail = parseEmail(env, 'FROM_EMAIL', problems, DEFAULT_FROM_EMAIL)
+  // outside production it also gets the customer emails, whoever runs it has to say where they go
+  const alertEmail = parseEmail(env, 'ALERT_EMAIL', problems, DEFAULT_ALERT_EMAIL[appMode])
+  if (alertEmail === undefined) problems.push(`ALERT_EMAIL is missing, it is required when APP_MODE is ${appMode}`)
+  const archiveEmail = parseEmail(env, 'ARCHIVE_EMAIL', problems, DEFAULT_ARCHIVE_EMAIL[appMode])
+  const stagingRecipients = parseEmailList(env, 'STAGING_RECIPIENTS', problems)
+
+  let escalationStages
+  try {
+    escalationStages = getEscalationStages(env.ESCALATION_STAGES)
+  } catch (e) {
+    problems.push(`ESCALATION_STAGES: ${e.message}`)
+  }
+
+  const locales = parseJSON(env, 'CUSTOMER_LOCALES', problems, DEFAULT_CUSTOMER_LOCALES)
+  if (locales === null || typeof locales !== 'object' || Array.isArray(locales)) {
+    problems.push('CUSTOMER_LOCALES must be a JSON object such as {"pt-PT":"pt"}')
+  }
+  for (const [locale, target] of Object.entries(locales ?? {})) {
+    if (![target, String(target).split('-')[0]].some((language) => TEMPLATE_LANGUAGES.includes(language))) {
+      problems.push(`CUSTOMER_LOCALES maps "${locale}" to "${target}", which has no email templates (${TEMPLATE_LANGUAGES.join(', ')})`)
+    }
+  }
+
+  const deliveryMode = env.DELIVERY_MODE || 'per-file'
+  if (!DELIVERY_MODES.includes(deliveryMode)) {
+    problems.push(`DELIVERY_MODE "${deliveryMode}" must be one of ${DELIVERY_MODES.join(', ')}`)
+  }
+
+  const batchAttachmentLimit = env.BATCH_ATTACHMENT_LIMIT ? Number(env.BATCH_ATTACHMENT_LIMIT) : DEFAULT_BATCH_ATTACHMENT_LIMIT
+  if (!Number.isInteger(batchAttachmentLimit) || batchAttachmentLimit <= 0) {
+    problems.push(`BATCH_ATTACHMENT_LIMIT "${env.BATCH_ATTACHMENT_LIMIT}" must be a number of bytes`)
+  }
+
+  if (!env.DOWNLOAD_LINK_SECRET) problems.push('DOWNLOAD_LINK_SECRET is missing')
+
+  const downloadLinkTtlDays = env.DOWNLOAD_LINK_TTL_DAYS ? Number(env.DOWNLOAD_LINK_TTL_DAYS) : DEFAULT_DOWNLOAD_LINK_TTL_DAYS
+  if (!(downloadLinkTtlDays > 0)) {
+    problems.push(`DOWNLOAD_LINK_TTL_DAYS "${env.DOWNLOAD_LINK_TTL_DAYS}" must be a number of days`)
+  }
+
+  const revisionLinkTtlDays = env.REVISION_LINK_TTL_DAYS ? Number(env.REVISION_LINK_TTL_DAYS) : DEFAULT_REVISION_LINK_TTL_DAYS
+  if (!(revisionLinkTtlDays > 0)) {
+    problems.push(`REVISION_LINK_TTL_DAYS "${env.REVISION_LINK_TTL_DAYS}" must be a number of days`)
+  }
+
+  const downloadHosts = env.DOWNLOAD_HOSTS ? parseList(env, 'DOWNLOAD_HOSTS') : DEFAULT_DOWNLOAD_HOSTS
+
+  const preflightMaxSize = env.PREFLIGHT_MAX_SIZE ? Number(env.PREFLIGHT_MAX_SIZE) : DEFAULT_PREFLIGHT_MAX_SIZE
+  if (!Number.isInteger(preflightMaxSize) || preflightMaxSize <= 0) {
+    problems.push(`PREFLIGHT_MAX_SIZE "${env.PREFLIGHT_MAX_SIZE}" must be a number of bytes`)
+  }
+
+  const preflightMinDimension = env.PREFLIGHT_MIN_DIMENSION ? Number(env.PREFLIGHT_MIN_DIMENSION) : 0
+  if (!Number.isInteger(preflightMinDimension) || preflightMinDimension < 0) {
+    problems.push(`PREFLIGHT_MIN_DIMENSION "${env.PREFLIGHT_MIN_DIMENSION}" must be a number of pixels`)
+  }
+
+  const printProductionEmail = env.PRINT_PRODUCTION_EMAIL || 'false'
+  if (!['true', 'false'].includes(printProductionEmail)) {
+    problems.push(`PRINT_PRODUCTION_EMAIL "${printProductionEmail}" must be true or false`)
+  }
+
+  const productionUrl = env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${env.VERCEL_PROJECT_PRODUCTION_URL}` : undefined
+  const publicUrl = (env.PUBLIC_URL || productionUrl || (appMode === 'development' ? 'http://localhost:3000' : '')).replace(/\/$/, '')
+  if (!publicUrl) {
+    problems.push('PUBLIC_URL is missing')
+  } else if (!/^https?:\/\/[^/]+/.test(publicUrl)) {
+    problems.push(`PUBLIC_URL "${publicUrl}" must be an http(s) URL`)
+  }
+
+  const storageBackend = env.STORAGE_BACKEND || 'memory'
+  if (!STORAGE_BACKENDS.includes(storageBackend)) {
+    problems.push(`STORAGE_BACKEND "${storageBackend}" must be one of ${STORAGE_BACKENDS.join(', ')}`)
+  } else if (env.VERCEL_ENV === 'production' && storageBackend !== 'kv') {
+    problems.push(`STORAGE_BACKEND "${storageBackend}" isn't shared by the Vercel instances, production must use kv`)
+  }
+
+  if (storageBackend === 'kv') {
+    if (!env.KV_REST_API_URL) {
+      problems.push('KV_REST_API_URL is missing')
+    } else if (!/^https?:\/\/[^/]+/.test(env.KV_REST_API_URL)) {
+      problems.push(`KV_REST_API_URL "${env.KV_REST_API_URL}" must be an http(s) URL`)
+    }
+    if (!env.KV_REST_API_TOKEN) problems.push('KV_REST_API_TOKEN is missing')
+  }
+
+  const orderStateBackend = env.ORDER_STATE_BACKEND || 'metafield'
+  if (!ORDER_STATE_BACKENDS.includes(orderStateBackend)) {
+    problems.push(`ORDER_STATE_BACKEND "${orderStateBackend}" must be one of ${ORDER_STATE_BACKENDS.join(', ')}`)
+  }
+
+  if (problems.length > 0) return { problems }
+
+  return {
+    problems,
+    config: {
+      appMode,
+      storeDomain,
+      accessToken,
+      webhookSecret: env.SHOPIFY_WEBHOOK_SECRET,
+      mailTransport,
+      smtp,
+      captureDir: env.MAIL_CAPTURE_DIR || path.join(process.cwd(), '.data', 'mail'),
+      cronSecret: env.CRON_SECRET,
+      adminSecret: env.ADMIN_SECRET,
+      fromEmail,
+      alertEmail,
+      archiveEmail: archiveEmail ?? null,
+      stagingRecipients,
+      escalationStages,
+      locales,
+      deliveryMode,
+      batchAttachmentLimit,
+      downloadLinkSecret: env.DOWNLOAD_LINK_SECRET,
+      downloadLinkTtl: downloadLinkTtlDays * 24 * 60 * 60 * 1000,
+      downloadHosts,
+      revisionLinkTtl: revisionLinkTtlDays * 24 * 60 * 60 * 1000,
+      preflightMaxSize,
+      preflightMinDimension,
+      digitalLineItems: {
+        productTypes: parseList(env, 'DIGITAL_PRODUCT_TYPES'),
+        tags: parseList(env, 'DIGITAL_PRODUCT_TAGS'),
+        skuPrefixes: parseList(env, 'DIGITAL_SKU_PREFIXES')
+      },
+      printProductionEmail: printProductionEmail === 'true',
+      publicUrl,
+      storageBackend,
+      storageFile: env.STORAGE_FILE || path.join(process.cwd(), '.data', 'store.json'),
+      kvUrl: env.KV_REST_API_URL,
+      kvToken: env.KV_REST_API_TOKEN,
+      orderStateBackend
+    }
+  }
+}
+
+let config
+
+// the validated configuration, throws an error listing every problem (also in `error.problems`)
+export function getConfig() {
+  if (config) return config
+
+  const { config: nextConfig, problems } = checkConfig()
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n- ${problems.join('\n- ')}`)
+    error.problems = problems
+    console.error(error.message)
+    throw error
+  }
+
+  config = nextConfig
+  return config
+}
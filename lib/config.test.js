@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest'
+import { checkConfig } from './config'
+
+const ENV = {
+  SHOPIFY_AUTH: 'momentus-test.myshopify.com:shpat_test',
+  SHOPIFY_WEBHOOK_SECRET: 'shpss_test',
+  MAIL_TRANSPORT: 'capture',
+  CRON_SECRET: 'cron-secret',
+  ADMIN_SECRET: 'admin-secret',
+  ALERT_EMAIL: 'alerts@example.com',
+  DOWNLOAD_LINK_SECRET: 'download-secret'
+}
+
+describe('checkConfig', () => {
+  it('accepts the required settings', () => {
+    const { config, problems } = checkConfig(ENV)
+
+    expect(problems).toEqual([])
+    expect(config.storageBackend).toBe('memory')
+  })
+
+  describe('ALERT_EMAIL', () => {
+    it('defaults to the shop in production', () => {
+      const { ALERT_EMAIL, ...env } = ENV
+
+      expect(checkConfig({ ...env, APP_MODE: 'production', PUBLIC_URL: 'https://momentus.example.com' }).config.alertEmail).toBe('info@momentus.shop')
+    })
+
+    it('is required outside production', () => {
+      const { ALERT_EMAIL, ...env } = ENV
+
+      for (const appMode of ['staging', 'development']) {
+        expect(checkConfig({ ...env, APP_MODE: appMode, PUBLIC_URL: 'https://staging.example.com' }).problems).toEqual([
+          `ALERT_EMAIL is missing, it is required when APP_MODE is ${appMode}`
+        ])
+      }
+      expect(checkConfig(ENV).config.alertEmail).toBe('alerts@example.com')
+    })
+  })
+
+  it('requires ADMIN_SECRET', () => {
+    const { ADMIN_SECRET, ...env } = ENV
+
+    expect(checkConfig(env).problems).toEqual(['ADMIN_SECRET is missing'])
+    expect(checkConfig(ENV).config.adminSecret).toBe('admin-secret')
+  })
+
+  it('checks ORDER_STATE_BACKEND', () => {
+    expect(checkConfig(ENV).config.orderStateBackend).toBe('metafield')
+    expect(checkConfig({ ...ENV, ORDER_STATE_BACKEND: 'local' }).config.orderStateBackend).toBe('local')
+    expect(checkConfig({ ...ENV, ORDER_STATE_BACKEND: 'locale' }).problems).toEqual([
+      'ORDER_STATE_BACKEND "locale" must be one of metafield, local'
+    ])
+  })
+
+  describe('STORAGE_BACKEND', () => {
+    it('needs the KV REST API for kv', () => {
+      expect(checkConfig({ ...ENV, STORAGE_BACKEND: 'kv' }).problems).toEqual([
+        'KV_REST_API_URL is missing',
+        'KV_REST_API_TOKEN is missing'
+      ])
+
+      const { config } = checkConfig({
+        ...ENV,
+        STORAGE_BACKEND: 'kv',
+        KV_REST_API_URL: 'https://kv.example.com',
+        KV_REST_API_TOKEN: 'kv-token'
+      })
+      expect(config).toMatchObject({ storageBackend: 'kv', kvUrl: 'https://kv.example.com', kvToken: 'kv-token' })
+    })
+
+    it('refuses a backend that is not shared in Vercel production', () => {
+      for (const storageBackend of ['memory', 'file']) {
+        expect(checkConfig({ ...ENV, VERCEL_ENV: 'production', STORAGE_BACKEND: storageBackend }).problems).toEqual([
+          `STORAGE_BACKEND "${storageBackend}" isn't shared by the Vercel instances, production must use kv`
+        ])
+      }
+      expect(checkConfig({ ...ENV, VERCEL_ENV: 'production' }).problems).toHaveLength(1)
+      expect(checkConfig({ ...ENV, VERCEL_ENV: 'preview' }).problems).toEqual([])
+    })
+
+    it('refuses an unknown backend', () => {
+      expect(checkConfig({ ...ENV, STORAGE_BACKEND: 'redis' }).problems).toEqual([
+        'STORAGE_BACKEND "redis" must be one of memory, file, kv'
+      ])
+    })
+  })
+})
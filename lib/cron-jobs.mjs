@@ -0,0 +1,24 @@
+// Scheduled jobs, the single source for the `crons` in `vercel.json` (`npm run crons:sync`)
+// and for the local scheduler (`npm run dev:cron`). Schedules are cron expressions in UTC,
+// every job route must be guarded with `isCronRequest` from `./cron`.
+const cronJobs = [
+  {
+    name: 'late-notification',
+    path: '/api/late-notification-cronjob',
+    schedule: '*/5 * * * *'
+  },
+  {
+    name: 'job-queue',
+    path: '/api/job-queue-cronjob',
+    schedule: '*/5 * * * *'
+  },
+  {
+    // same sweep as `late-notification`, kept off until the upcoming routes replace the current ones
+    name: 'delayed-fulfillment-notification',
+    path: '/api/upcoming/delayed-fulfillment-notification',
+    schedule: '*/5 * * * *',
+    enabled: false
+  }
+]
+
+export default cronJobs
@@ -0,0 +1,55 @@
+// Cron expressions of `./cron-jobs.mjs`, parsed and checked the way Vercel runs them, for the local scheduler
+// (`scripts/local-scheduler.mjs`)
+
+const FIELD_RANGES = [
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 6] // day of week
+]
+
+// digits only, `Number` would read '' as 0
+const toNumber = (value) => /^\d+$/.test(value) ? Number(value) : NaN
+
+// supports `*`, `a`, `a-b`, `*/n`, `a-b/n` and comma separated lists of those
+export function parseField(field, [min, max]) {
+  const values = new Set()
+
+  for (const part of field.split(',')) {
+    const [range, step = '1'] = part.split('/')
+    const [start, end] = range === '*'
+      ? [min, max]
+      : range.includes('-') ? range.split('-').map(toNumber) : [toNumber(range), step === '1' ? toNumber(range) : max]
+
+    if ([start, end, toNumber(step)].some(Number.isNaN) || start < min || end > max || toNumber(step) < 1) {
+      throw new Error(`Invalid cron field "${field}"`)
+    }
+
+    for (let value = start; value <= end; value += toNumber(step)) values.add(value)
+  }
+
+  return values
+}
+
+export function parseSchedule(schedule) {
+  const fields = schedule.trim().split(/\s+/)
+  if (fields.length !== 5) throw new Error(`Invalid cron schedule "${schedule}"`)
+
+  const [minutes, hours, days, months, weekDays] = fields.map((field, index) => parseField(field, FIELD_RANGES[index]))
+
+  // like cron, a day field starting with `*` doesn't restrict the day
+  return { minutes, hours, days, months, weekDays, anyDay: fields[2].startsWith('*'), anyWeekDay: fields[4].startsWith('*') }
+}
+
+// Vercel evaluates schedules in UTC. When both the day of month and the day of week are restricted
+// either one matching is enough (`0 9 1 * 1` runs on the 1st and on every Monday)
+export function isDue({ minutes, hours, days, months, weekDays, anyDay, anyWeekDay }, date) {
+  const dayMatches = days.has(date.getUTCDate())
+  const weekDayMatches = weekDays.has(date.getUTCDay())
+
+  return minutes.has(date.getUTCMinutes()) &&
+    hours.has(date.getUTCHours()) &&
+    months.has(date.getUTCMonth() + 1) &&
+    (anyDay || anyWeekDay ? dayMatches && weekDayMatches : dayMatches || weekDayMatches)
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import cronJobs from './cron-jobs.mjs'
+import { isDue, parseField, parseSchedule } from './cron-schedule.mjs'
+
+const MINUTE = [0, 59]
+
+const dueAt = (schedule, ...dates) => dates.map((date) => isDue(parseSchedule(schedule), new Date(date)))
+
+describe('parseField', () => {
+  it('reads values, ranges, steps and lists', () => {
+    expect([...parseField('*', [0, 6])]).toEqual([0, 1, 2, 3, 4, 5, 6])
+    expect([...parseField('7', MINUTE)]).toEqual([7])
+    expect([...parseField('10-13', MINUTE)]).toEqual([10, 11, 12, 13])
+    expect([...parseField('*/15', MINUTE)]).toEqual([0, 15, 30, 45])
+    expect([...parseField('10-30/10', MINUTE)]).toEqual([10, 20, 30])
+    expect([...parseField('50/5', MINUTE)]).toEqual([50, 55])
+    expect([...parseField('1,5,3-4', MINUTE)]).toEqual([1, 5, 3, 4])
+  })
+
+  it('refuses values out of range, garbage and steps below 1', () => {
+    for (const field of ['60', '5-60', 'x', '1-x', '*/0', '*/-1', '*/x', '']) {
+      expect(() => parseField(field, MINUTE), field).toThrow(`Invalid cron field "${field}"`)
+    }
+    expect(() => parseField('0', [1, 31])).toThrow('Invalid cron field "0"')
+  })
+})
+
+describe('parseSchedule', () => {
+  it('needs 5 fields', () => {
+    expect(() => parseSchedule('*/5 * * *')).toThrow('Invalid cron schedule "*/5 * * *"')
+    expect(() => parseSchedule('0 0 * * * *')).toThrow('Invalid cron schedule "0 0 * * * *"')
+  })
+
+  it('reads every job schedule', () => {
+    for (const { schedule } of cronJobs) expect(() => parseSchedule(schedule)).not.toThrow()
+  })
+})
+
+describe('isDue', () => {
+  it('matches the minute and hour in UTC', () => {
+    expect(dueAt('*/5 * * * *', '2026-03-02T10:05:00Z', '2026-03-02T10:07:00Z')).toEqual([true, false])
+    expect(dueAt('30 9 * * *', '2026-03-02T09:30:00Z', '2026-03-02T09:30:00+01:00')).toEqual([true, false])
+  })
+
+  it('needs both the day of month and the month', () => {
+    // 2026-03-01 is a Sunday
+    expect(dueAt('0 0 1 3 *', '2026-03-01T00:00:00Z', '2026-04-01T00:00:00Z', '2026-03-02T00:00:00Z'))
+      .toEqual([true, false, false])
+  })
+
+  it('needs the day of week when the day of month is `*`', () => {
+    expect(dueAt('0 0 * * 1', '2026-03-02T00:00:00Z', '2026-03-03T00:00:00Z')).toEqual([true, false])
+    expect(dueAt('0 0 */2 * 1', '2026-03-03T00:00:00Z', '2026-03-09T00:00:00Z', '2026-03-16T00:00:00Z'))
+      .toEqual([false, true, false])
+  })
+
+  it('runs on either the day of month or the day of week when both are restricted', () => {
+    // the 1st (a Sunday), a Monday, a Tuesday the 3rd
+    expect(dueAt('0 9 1 * 1', '2026-03-01T09:00:00Z', '2026-03-02T09:00:00Z', '2026-03-03T09:00:00Z'))
+      .toEqual([true, true, false])
+    expect(dueAt('0 9 1 * 1', '2026-03-02T10:00:00Z')).toEqual([false])
+  })
+})
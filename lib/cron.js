@@ -0,0 +1,6 @@
+import { getConfig } from './config'
+
+// Vercel calls the cron routes with `Authorization: Bearer <CRON_SECRET>`, so does the local scheduler
+export function isCronRequest(req) {
+  return req.headers['authorization'] === `Bearer ${getConfig().cronSecret}`
+}
@@ -0,0 +1,16 @@
+// Every email to a customer goes through here, who actually gets it depends on `appMode`:
+// - production: the customer, with a BCC to `archiveEmail`
+// - staging: the same for the addresses in `stagingRecipients`, any other customer is rerouted
+// - development: always rerouted
+// A rerouted email goes to `alertEmail` instead, with the customer address in the `X-Original-To` header
+export function routeCustomerEmail(mail, { appMode, alertEmail, archiveEmail, stagingRecipients = [] }) {
+  const isDelivered =
+    appMode === 'production' ||
+    (appMode === 'staging' && stagingRecipients.some((email) => email.toLowerCase() === mail.to.toLowerCase()))
+
+  if (!isDelivered) {
+    return { ...mail, to: alertEmail, headers: { ...mail.headers, 'X-Original-To': mail.to } }
+  }
+
+  return archiveEmail ? { ...mail, bcc: archiveEmail } : mail
+}
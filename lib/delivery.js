@@ -0,0 +1,44 @@
+// How the design files of an order reach the customer:
+//
+// - `per-file` (default): one email per file as soon as it is attached to the order, `(n/N)` in the subject
+// - `batch`: a single email with every file, sent once the order has all of them. When the files together are
+//   larger than the attachment limit the email links to them instead (a ZIP wouldn't help, PNGs barely compress)
+//
+// The shop mode is `DELIVERY_MODE` (see `lib/config`), an order tagged `delivery:batch` or `delivery:per-file`
+// overrides it.
+
+export const DELIVERY_MODES = ['per-file', 'batch']
+export const DELIVERY_MODE_TAG_PREFIX = 'delivery:'
+
+// the file sizes are read with a HEAD request each
+const SIZE_TIMEOUT = 10 * 1000
+
+export function getDeliveryMode(tags, deliveryMode) {
+  const orderMode = tags
+    .filter((tag) => tag.startsWith(DELIVERY_MODE_TAG_PREFIX))
+    .map((tag) => tag.slice(DELIVERY_MODE_TAG_PREFIX.length))
+    .find((mode) => DELIVERY_MODES.includes(mode))
+
+  return orderMode ?? deliveryMode
+}
+
+// resolves to the `Content-Length` of `url`, `null` when it can't be read
+export async function getFileSize(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(SIZE_TIMEOUT) })
+    const size = Number(response.headers.get('content-length'))
+
+    return response.ok && size > 0 ? size : null
+  } catch (e) {
+    return null
+  }
+}
+
+// resolves to `{ attach, totalSize }`, `attach` is `false` when the files are larger than `limit` bytes or any
+// size is unknown, the email can't be known to fit then
+export async function planBatchDelivery(files, limit) {
+  const sizes = await Promise.all(files.map((file) => getFileSize(file.url)))
+  const totalSize = sizes.includes(null) ? null : sizes.reduce((total, size) => total + size, 0)
+
+  return { attach: totalSize !== null && totalSize <= limit, totalSize }
+}
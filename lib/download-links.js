@@ -0,0 +1,108 @@
+import crypto from 'node:crypto'
+
+// Signed links to the design files, served by `pages/api/img/[slug].js` (`/img/<token>`).
+//
+// The token is `<payload>.<signature>`, both base64url: the payload is `{ o, u, f, e }` (order id, upstream URL,
+// download file name and expiry in seconds) and the signature its HMAC-SHA256 with DOWNLOAD_LINK_SECRET, so a link
+// only ever serves the file of the order it was made for, and only until it expires. The upstream host must also be in
+// DOWNLOAD_HOSTS, checked when the link is made and again when it is served.
+
+export const TOKEN_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  EXPIRED: 'expired'
+}
+
+// redirects `fetchFromAllowedHosts` follows, each one to an allowed host
+const MAX_REDIRECTS = 5
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+
+// `cdn.shopify.com` matches only itself, `*.example.com` any subdomain of `example.com`
+export function isAllowedHost(url, allowedHosts) {
+  let hostname
+  try {
+    const parsed = new URL(url)
+    if (parsed.protocol !== 'https:') return false
+    hostname = parsed.hostname
+  } catch (e) {
+    return false
+  }
+
+  return allowedHosts.some((host) => (host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host))
+}
+
+// `fetch` of a URL already checked with `isAllowedHost` that follows the redirects itself, only to `allowedHosts`:
+// `fetch` would follow them anywhere. Throws when one leads elsewhere or there are more than MAX_REDIRECTS
+export async function fetchFromAllowedHosts(url, allowedHosts, options = {}) {
+  let location = url
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(location, { ...options, redirect: 'manual' })
+    const nextLocation = response.headers.get('location')
+    if (response.status < 300 || response.status > 399 || response.status === 304 || !nextLocation) return response
+
+    await response.body?.cancel()
+    if (redirects === MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects (${url})`)
+
+    location = new URL(nextLocation, location).href
+    if (!isAllowedHost(location, allowedHosts)) throw new Error(`Redirected to a host that isn't allowed (${location})`)
+  }
+}
+
+// `<payload>.<signature>` of `claims` plus their expiry `e`, also used by the revision links (see `lib/revisions`)
+export function createSignedToken(claims, { secret, ttl, now = new Date().getTime() }) {
+  const payload = Buffer.from(JSON.stringify({ ...claims, e: Math.floor((now + ttl) / 1000) })).toString('base64url')
+
+  return `${payload}.${sign(payload, secret)}`
+}
+
+// resolves to `{ status, claims, expiresAt }`, `claims` is missing unless it is `valid`
+export function verifySignedToken(token, { secret, now = new Date().getTime() }) {
+  const [payload, signature, ...rest] = String(token).split('.')
+  if (!payload || !signature || rest.length > 0) return { status: TOKEN_STATUS.INVALID }
+
+  const expected = Buffer.from(sign(payload, secret))
+  const received = Buffer.from(signature)
+  // timingSafeEqual throws on different lengths
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { status: TOKEN_STATUS.INVALID }
+  }
+
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+  } catch (e) {
+    return { status: TOKEN_STATUS.INVALID }
+  }
+  if (!Number.isInteger(claims?.e)) return { status: TOKEN_STATUS.INVALID }
+
+  const expiresAt = new Date(claims.e * 1000).toISOString()
+  if (claims.e * 1000 <= now) return { status: TOKEN_STATUS.EXPIRED, expiresAt }
+
+  return { status: TOKEN_STATUS.VALID, claims, expiresAt }
+}
+
+export function createDownloadToken({ orderId, url, filename }, options) {
+  return createSignedToken({ o: orderId, u: url, f: filename }, options)
+}
+
+// resolves to `{ status, orderId, url, filename, expiresAt }`, everything but `status` is missing unless it is `valid`
+export function verifyDownloadToken(token, options) {
+  const { status, claims, expiresAt } = verifySignedToken(token, options)
+  if (status !== TOKEN_STATUS.VALID) return { status, expiresAt }
+  // e.g. a revision link
+  if (!claims.o || !claims.u || claims.k) return { status: TOKEN_STATUS.INVALID }
+
+  return { status, orderId: claims.o, url: claims.u, filename: claims.f, expiresAt }
+}
+
+// the `/img/<token>` link of an order file, `null` when its host isn't in `config.downloadHosts`
+export function getDownloadUrl({ orderId, url, filename }, config) {
+  if (!isAllowedHost(url, config.downloadHosts)) return null
+
+  const token = createDownloadToken({ orderId, url, filename }, {
+    secret: config.downloadLinkSecret,
+    ttl: config.downloadLinkTtl
+  })
+  return `${config.publicUrl}/img/${token}`
+}
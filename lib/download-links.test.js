@@ -0,0 +1,139 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  TOKEN_STATUS,
+  createDownloadToken,
+  fetchFromAllowedHosts,
+  getDownloadUrl,
+  isAllowedHost,
+  verifyDownloadToken
+} from './download-links'
+import { createRevisionToken } from './revisions'
+
+const SECRET = 'download-secret'
+const NOW = new Date('2026-03-02T10:00:00Z').getTime()
+const DAY = 24 * 60 * 60 * 1000
+const FILE = {
+  orderId: 'gid://shopify/Order/5620328415512',
+  url: 'https://cdn.shopify.com/s/files/1/0000/0001/files/design-1.png',
+  filename: '#1042_1.png'
+}
+
+const token = (options) => createDownloadToken(FILE, { secret: SECRET, ttl: 30 * DAY, now: NOW, ...options })
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('isAllowedHost', () => {
+  it('matches the exact hosts and the subdomains of the wildcard ones, over https', () => {
+    const hosts = ['cdn.shopify.com', '*.momentus.shop']
+
+    expect(isAllowedHost(FILE.url, hosts)).toBe(true)
+    expect(isAllowedHost('https://files.momentus.shop/design.png', hosts)).toBe(true)
+    expect(isAllowedHost('https://momentus.shop/design.png', hosts)).toBe(false)
+    expect(isAllowedHost('https://evilmomentus.shop/design.png', hosts)).toBe(false)
+    expect(isAllowedHost('https://cdn.shopify.com.example.com/design.png', hosts)).toBe(false)
+    expect(isAllowedHost('http://cdn.shopify.com/design.png', hosts)).toBe(false)
+    expect(isAllowedHost('not a url', hosts)).toBe(false)
+  })
+})
+
+describe('verifyDownloadToken', () => {
+  it('reads back a valid token', () => {
+    expect(verifyDownloadToken(token(), { secret: SECRET, now: NOW + DAY })).toEqual({
+      status: TOKEN_STATUS.VALID,
+      ...FILE,
+      expiresAt: '2026-04-01T10:00:00.000Z'
+    })
+  })
+
+  it('refuses a tampered token', () => {
+    const [payload, signature] = token().split('.')
+    const otherPayload = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), u: 'https://cdn.shopify.com/other.png' }))
+      .toString('base64url')
+
+    for (const tampered of [
+      `${otherPayload}.${signature}`,
+      `${payload}.${signature.slice(0, -2)}`,
+      `${payload}.${signature}.extra`,
+      payload,
+      token({ secret: 'other-secret' })
+    ]) {
+      expect(verifyDownloadToken(tampered, { secret: SECRET, now: NOW })).toEqual({ status: TOKEN_STATUS.INVALID })
+    }
+  })
+
+  it('tells an expired token apart', () => {
+    expect(verifyDownloadToken(token(), { secret: SECRET, now: NOW + 30 * DAY })).toEqual({
+      status: TOKEN_STATUS.EXPIRED,
+      expiresAt: '2026-04-01T10:00:00.000Z'
+    })
+  })
+
+  it('refuses a revision token', () => {
+    const revisionToken = createRevisionToken(
+      { orderId: FILE.orderId, orderNumber: '#1042', language: 'en' },
+      { secret: SECRET, ttl: 90 * DAY, now: NOW }
+    )
+
+    expect(verifyDownloadToken(revisionToken, { secret: SECRET, now: NOW })).toEqual({ status: TOKEN_STATUS.INVALID })
+  })
+})
+
+describe('getDownloadUrl', () => {
+  const config = {
+    downloadLinkSecret: SECRET,
+    downloadLinkTtl: 30 * DAY,
+    downloadHosts: ['cdn.shopify.com'],
+    publicUrl: 'https://momentus.example.com'
+  }
+
+  it('links to the file only on an allowed host', () => {
+    const url = getDownloadUrl(FILE, config)
+
+    expect(url).toMatch(/^https:\/\/momentus\.example\.com\/img\/[\w-]+\.[\w-]+$/)
+    expect(verifyDownloadToken(url.split('/img/')[1], { secret: SECRET })).toMatchObject({ status: TOKEN_STATUS.VALID, url: FILE.url })
+    expect(getDownloadUrl({ ...FILE, url: 'https://example.com/design.png' }, config)).toBeNull()
+  })
+})
+
+describe('fetchFromAllowedHosts', () => {
+  const redirect = (location) => new Response(null, { status: 302, headers: { location } })
+
+  it('follows the redirects to allowed hosts', async () => {
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(redirect('/s/files/moved.png'))
+      .mockResolvedValueOnce(new Response('png', { status: 200 }))
+    vi.stubGlobal('fetch', fetch)
+
+    const response = await fetchFromAllowedHosts(FILE.url, ['cdn.shopify.com'], { headers: { range: 'bytes=0-9' } })
+
+    expect(response.status).toBe(200)
+    expect(fetch.mock.calls).toEqual([
+      [FILE.url, { headers: { range: 'bytes=0-9' }, redirect: 'manual' }],
+      ['https://cdn.shopify.com/s/files/moved.png', { headers: { range: 'bytes=0-9' }, redirect: 'manual' }]
+    ])
+  })
+
+  it('refuses a redirect to any other host without fetching it', async () => {
+    const fetch = vi.fn().mockResolvedValue(redirect('http://169.254.169.254/latest/meta-data/'))
+    vi.stubGlobal('fetch', fetch)
+
+    await expect(fetchFromAllowedHosts(FILE.url, ['cdn.shopify.com'])).rejects.toThrow(
+      "Redirected to a host that isn't allowed (http://169.254.169.254/latest/meta-data/)"
+    )
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('gives up on a redirect loop', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => redirect(FILE.url)))
+
+    await expect(fetchFromAllowedHosts(FILE.url, ['cdn.shopify.com'])).rejects.toThrow('More than 5 redirects')
+  })
+
+  it('returns a 304 as it is', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status: 304 })))
+
+    expect((await fetchFromAllowedHosts(FILE.url, ['cdn.shopify.com'])).status).toBe(304)
+  })
+})
@@ -0,0 +1,118 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import Handlebars from 'handlebars'
+import textsByLanguage from '../email-templates'
+import { DEFAULT_LANGUAGE, getLocaleChain } from './locales'
+import { htmlToText } from './html-to-text'
+
+// Renders the emails in `email-templates/`: `<name>.hbs` is the HTML, interpolated with the email variables
+// and the texts of the customer language (`t`), and the plain text is generated from it.
+//
+// Every language should have every text of `DEFAULT_LANGUAGE`, `npm test` lists the missing translations
+// (see `findMissingTranslations`). An email still goes out with one missing, in `DEFAULT_LANGUAGE` for that text.
+
+const TEMPLATES_DIR = path.join(process.cwd(), 'email-templates')
+
+// brand images, attached once per email and referenced from the layout with `cid:{{assets.<name>}}`
+const ASSETS = {
+  logo: { cid: 'logo@momentus.shop', filename: 'logo.png' },
+  instagram: { cid: 'instagram@momentus.shop', filename: 'instagram.png' }
+}
+
+export const TEMPLATE_LANGUAGES = Object.keys(textsByLanguage)
+
+export const TEMPLATE_NAMES = Object.keys(textsByLanguage[DEFAULT_LANGUAGE] ?? {}).filter((name) => name !== 'common')
+
+const isTranslated = (text) => typeof text === 'string' && text.trim() !== ''
+
+// e.g. `es is missing "customer-delayed"` or `es "digital-file" is missing title, message`
+export function findMissingTranslations(texts = textsByLanguage) {
+  const reference = texts[DEFAULT_LANGUAGE]
+  if (!reference) return [`the fallback language ${DEFAULT_LANGUAGE} is missing`]
+
+  const missing = []
+  for (const [language, byName] of Object.entries(texts)) {
+    for (const [name, referenceTexts] of Object.entries(reference)) {
+      if (!byName[name]) {
+        missing.push(`${language} is missing "${name}"`)
+        continue
+      }
+
+      const keys = Object.keys(referenceTexts).filter((key) => !isTranslated(byName[name][key]))
+      if (keys.length > 0) missing.push(`${language} "${name}" is missing ${keys.join(', ')}`)
+    }
+  }
+
+  return missing
+}
+
+// the texts of `name` (and `common`) in `language`, the missing ones in `DEFAULT_LANGUAGE`
+export function getTexts(name, language, texts = textsByLanguage) {
+  const translated = (byName) => Object.fromEntries(
+    Object.entries({ ...byName?.common, ...byName?.[name] }).filter(([, text]) => isTranslated(text))
+  )
+
+  return { ...translated(texts[DEFAULT_LANGUAGE]), ...translated(texts[language]) }
+}
+
+const readTemplate = (file) => fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8')
+
+let handlebars
+let templates
+
+// compiled on first use, the `.hbs` files are read from disk (see `outputFileTracingIncludes` in `next.config.mjs`)
+function getTemplates() {
+  if (templates) return templates
+
+  handlebars = Handlebars.create()
+  handlebars.registerPartial('layout', readTemplate('layouts/base.hbs'))
+  for (const file of fs.readdirSync(path.join(TEMPLATES_DIR, 'partials'))) {
+    handlebars.registerPartial(path.basename(file, '.hbs'), readTemplate(path.join('partials', file)))
+  }
+
+  templates = Object.fromEntries(
+    TEMPLATE_NAMES.map((name) => [name, handlebars.compile(readTemplate(`${name}.hbs`))])
+  )
+  return templates
+}
+
+// the texts are plain strings with `{{variables}}`, they are HTML escaped where the template uses them
+function interpolate(texts, variables) {
+  return Object.fromEntries(
+    Object.entries(texts).map(([key, text]) => [key, handlebars.compile(text, { noEscape: true })(variables)])
+  )
+}
+
+// the first language of the locale chain (see `getLocaleChain`) with templates
+export function getTemplateLanguage(locale, locales) {
+  return getLocaleChain(locale, locales).find((language) => TEMPLATE_LANGUAGES.includes(language))
+}
+
+// Renders template `name` for a customer locale (e.g. `pt-BR`) into `{ language, subject, html, text, attachments }`.
+// `variables` are available to the texts and the template, e.g. `orderNumber`, `customerName`, `productName`,
+// `fileNumber` and `fileCount`.
+export function renderTemplate(name, locale, locales, variables = {}) {
+  if (!TEMPLATE_NAMES.includes(name)) throw new Error(`Unknown email template "${name}"`)
+
+  const template = getTemplates()[name]
+  const language = getTemplateLanguage(locale, locales)
+  const t = interpolate(getTexts(name, language), variables)
+  const html = template({
+    ...variables,
+    language,
+    t,
+    assets: Object.fromEntries(Object.entries(ASSETS).map(([key, { cid }]) => [key, cid]))
+  })
+
+  return {
+    language,
+    subject: t.subject,
+    html,
+    text: htmlToText(html),
+    attachments: Object.values(ASSETS).map(({ cid, filename }) => ({
+      cid,
+      filename,
+      path: path.join(TEMPLATES_DIR, 'assets', filename)
+    }))
+  }
+}
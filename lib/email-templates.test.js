@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { TEMPLATE_LANGUAGES, findMissingTranslations, getTexts, renderTemplate } from './email-templates'
+
+const TEXTS = {
+  en: {
+    common: { greeting: 'Hi {{customerName}},' },
+    'digital-file': { subject: 'Digital File - {{orderNumber}}', title: 'Your artwork is ready!' }
+  },
+  pt: {
+    common: { greeting: 'Olá {{customerName}},' },
+    'digital-file': { subject: 'Ficheiro Digital - {{orderNumber}}', title: ' ' }
+  },
+  es: {
+    common: { greeting: 'Hola {{customerName}},' }
+  }
+}
+
+describe('findMissingTranslations', () => {
+  it('finds none in the email texts', () => {
+    expect(TEMPLATE_LANGUAGES).toContain('pt')
+    expect(findMissingTranslations()).toEqual([])
+  })
+
+  it('lists the missing templates and texts of each language', () => {
+    expect(findMissingTranslations(TEXTS)).toEqual([
+      'pt "digital-file" is missing title',
+      'es is missing "digital-file"'
+    ])
+    expect(findMissingTranslations({ pt: TEXTS.pt })).toEqual(['the fallback language en is missing'])
+  })
+})
+
+describe('getTexts', () => {
+  it('falls back to the default language for the missing texts', () => {
+    expect(getTexts('digital-file', 'pt', TEXTS)).toEqual({
+      greeting: 'Olá {{customerName}},',
+      subject: 'Ficheiro Digital - {{orderNumber}}',
+      title: 'Your artwork is ready!'
+    })
+    expect(getTexts('digital-file', 'es', TEXTS)).toEqual({
+      greeting: 'Hola {{customerName}},',
+      subject: 'Digital File - {{orderNumber}}',
+      title: 'Your artwork is ready!'
+    })
+  })
+})
+
+describe('renderTemplate', () => {
+  it('renders in the customer language', () => {
+    const { language, subject, html, text } = renderTemplate('customer-delayed', 'pt-BR', {}, {
+      orderNumber: '#1042',
+      customerName: 'Ana'
+    })
+
+    expect(language).toBe('pt')
+    expect(subject).toContain('#1042')
+    expect(html).toContain('Ana')
+    expect(text).toContain('Ana')
+  })
+})
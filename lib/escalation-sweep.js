@@ -0,0 +1,95 @@
+import { getDueEscalationStages } from './order-state'
+import { ORDER_EVENT, transition } from './order-state-machine'
+import { getEscalationEmail } from './escalation'
+import { JOB_TYPE, enqueueJob } from './job-queue'
+import { withOrderLock } from './webhook-dedup'
+
+// Sends the escalation stages due for every paid order still waiting for its files, the work of the notification
+// cron routes. `services` as built by `createServices` (see `lib/services`), `actor` goes to the audit trail.
+// Resolves to `{ scanned, alerted, skipped, locked, errored, errors }`.
+export async function runEscalationSweep({ config, orderStates, sweepOrders, sendMail }, { actor }) {
+  // the escalation lives in the order state, so look at every paid order still waiting for its files,
+  // it starts at the earliest when the order is processed so newer orders can't have a stage due yet
+  const { escalationStages } = config
+  const firstStageAfter = escalationStages[0]?.after ?? 0
+  const escalationStartedBefore = new Date(new Date().getTime() - firstStageAfter).toISOString()
+  const pages = sweepOrders(
+    `financial_status:paid AND fulfillment_status:unfulfilled AND processed_at:<='${escalationStartedBefore}'`
+  )
+  const summary = { scanned: 0, alerted: 0, skipped: 0, locked: 0, errored: 0, errors: [] }
+
+  const getDueStages = (state, order) => (order.fullyPaid ? getDueEscalationStages(state, escalationStages) : [])
+
+  // sends the due stages of an order holding its lock, resolves to `{ alerted }` or to `{ failure }` where it stopped.
+  // The state is read again, the one of the sweep page may have changed before the lock was taken. Stage by stage:
+  // - send the stage email
+  // - record the stage in the order state right away, so a later stage failing doesn't send it again
+  const notify = async (order) => {
+    let state = await orderStates.load(order)
+    const dueStages = getDueStages(state, order)
+    if (dueStages.length === 0) return { alerted: false }
+
+    for (const stage of dueStages) {
+      const email = await sendMail(getEscalationEmail(stage, order, config))
+      if (!email.messageId) return { failure: { order: order.name, stage: stage.id, errors: email } }
+
+      state = transition(state, ORDER_EVENT.NOTIFIED, {
+        actor,
+        payload: order,
+        stage,
+        details: { stage: stage.id, messageId: email.messageId }
+      })
+
+      const { errors } = await orderStates.save(state)
+      if (errors) {
+        // the email is out, the queue keeps trying to record it
+        await enqueueJob(JOB_TYPE.ORDER_STATE, { state }, { orderId: order.id, orderNumber: order.name, error: errors })
+        return { failure: { order: order.name, stage: stage.id, errors } }
+      }
+    }
+
+    return { alerted: true }
+  }
+
+  try {
+    for await (const nodes of pages) {
+      for (const node of nodes) {
+        // the sweep query already holds the state (see `sweepOrders`), the audit payload doesn't need a copy of it
+        const { processingState, ...order } = node
+        summary.scanned++
+
+        try {
+          // most orders have nothing due, only those are locked and read again
+          if (getDueStages(await orderStates.load(node), order).length === 0) {
+            summary.skipped++
+            continue
+          }
+
+          const { status, result } = await withOrderLock(order.id, () => notify(order))
+          if (status === 'locked') {
+            // a delivery or queued job is saving this order, the next run gets to it
+            summary.locked++
+          } else if (result.failure) {
+            summary.errored++
+            summary.errors.push(result.failure)
+          } else if (result.alerted) {
+            summary.alerted++
+          } else {
+            summary.skipped++
+          }
+        } catch (e) {
+          console.log(`Failed to process order ${order.name}`, e)
+          summary.errored++
+          summary.errors.push({ order: order.name, errors: e.message })
+        }
+      }
+    }
+  } catch (e) {
+    // a page failed to load, report what was swept so far
+    console.log('Failed to fetch orders', e.errors ?? e)
+    summary.errored++
+    summary.errors.push({ errors: e.errors ?? e.message })
+  }
+
+  return summary
+}
@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createMemoryStore, setStore } from './storage'
+import { checkConfig } from './config'
+import { runEscalationSweep } from './escalation-sweep'
+import { createOrderState, createOrderStateStore } from './order-state'
+import { ORDER_EVENT, transition } from './order-state-machine'
+import { acquireOrderLock, releaseOrderLock } from './webhook-dedup'
+
+const { config } = checkConfig({
+  SHOPIFY_AUTH: 'momentus-test.myshopify.com:shpat_test',
+  SHOPIFY_WEBHOOK_SECRET: 'shpss_test',
+  MAIL_TRANSPORT: 'capture',
+  CRON_SECRET: 'cron-secret',
+  ADMIN_SECRET: 'admin-secret',
+  ALERT_EMAIL: 'alerts@example.com',
+  DOWNLOAD_LINK_SECRET: 'download-secret'
+})
+const ACTOR = 'cron:test'
+const HOUR = 60 * 60 * 1000
+
+const order = (number, fields) => ({
+  id: `gid://shopify/Order/${number}`,
+  name: `#${number}`,
+  tags: [],
+  fullyPaid: true,
+  email: `customer-${number}@example.com`,
+  customerLocale: 'en',
+  customer: { firstName: 'Ana' },
+  processingState: null,
+  ...fields
+})
+
+let orderStates
+let sendMail
+
+// the escalation of `number` started `hoursAgo`
+async function saveEscalating(number, hoursAgo) {
+  vi.setSystemTime(new Date().getTime() - hoursAgo * HOUR)
+  await orderStates.save(transition(createOrderState(`gid://shopify/Order/${number}`, `#${number}`), ORDER_EVENT.ESCALATION_STARTED, { actor: 'test' }))
+  vi.setSystemTime(new Date().getTime() + hoursAgo * HOUR)
+}
+
+const load = (number) => orderStates.load({ id: `gid://shopify/Order/${number}`, name: `#${number}` })
+
+const sweep = (orders) => runEscalationSweep({
+  config,
+  orderStates,
+  sendMail,
+  sweepOrders: async function* () { yield orders }
+}, { actor: ACTOR })
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(new Date('2026-03-02T10:00:00Z'))
+  setStore(createMemoryStore())
+  orderStates = createOrderStateStore(null, 'local')
+  sendMail = vi.fn(async () => ({ messageId: '<stage@momentus.shop>' }))
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+describe('runEscalationSweep', () => {
+  it('sends and records every stage due', async () => {
+    await saveEscalating(1, 3)
+
+    expect(await sweep([order(1)])).toEqual({ scanned: 1, alerted: 1, skipped: 0, locked: 0, errored: 0, errors: [] })
+
+    expect(sendMail.mock.calls.map(([{ to }]) => to)).toEqual(['alerts@example.com', 'alerts@example.com'])
+    const state = await load(1)
+    expect(Object.keys(state.escalations)).toEqual(['internal-alert', 'customer-reminder'])
+    expect(state.history.at(-1)).toMatchObject({ event: ORDER_EVENT.NOTIFIED, actor: ACTOR, details: { stage: 'customer-reminder' } })
+
+    expect(await sweep([order(1)])).toMatchObject({ alerted: 0, skipped: 1 })
+    expect(sendMail).toHaveBeenCalledTimes(2)
+  })
+
+  it('skips the orders with nothing due', async () => {
+    await saveEscalating(1, 3)
+    await saveEscalating(2, 0)
+
+    expect(await sweep([order(1, { fullyPaid: false }), order(2), order(3)])).toMatchObject({ scanned: 3, alerted: 0, skipped: 3 })
+    expect(sendMail).not.toHaveBeenCalled()
+  })
+
+  it('leaves a locked order to the next run', async () => {
+    await saveEscalating(1, 3)
+    const lock = await acquireOrderLock(order(1).id)
+
+    expect(await sweep([order(1)])).toMatchObject({ alerted: 0, locked: 1 })
+    expect(sendMail).not.toHaveBeenCalled()
+
+    await releaseOrderLock(order(1).id, lock)
+    expect(await sweep([order(1)])).toMatchObject({ alerted: 1, locked: 0 })
+  })
+
+  it('keeps the stages sent before one fails', async () => {
+    await saveEscalating(1, 3)
+    sendMail
+      .mockResolvedValueOnce({ messageId: '<alert@momentus.shop>' })
+      .mockResolvedValueOnce({ rejected: ['customer-1@example.com'] })
+
+    expect(await sweep([order(1)])).toMatchObject({
+      errored: 1,
+      errors: [{ order: '#1', stage: 'customer-reminder', errors: { rejected: ['customer-1@example.com'] } }]
+    })
+    expect(Object.keys((await load(1)).escalations)).toEqual(['internal-alert'])
+  })
+
+  it('reports a page that fails to load', async () => {
+    const summary = await runEscalationSweep({
+      config,
+      orderStates,
+      sendMail,
+      sweepOrders: async function* () { throw Object.assign(new Error('Throttled'), { errors: { message: 'Throttled' } }) }
+    }, { actor: ACTOR })
+
+    expect(summary).toMatchObject({ scanned: 0, errored: 1, errors: [{ errors: { message: 'Throttled' } }] })
+  })
+})
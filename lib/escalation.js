@@ -0,0 +1,79 @@
+// Escalation ladder for paid orders still waiting for their files. Each stage goes out once, `after` the
+// escalation started (when the order was first seen paid without files), and the ladder stops as soon as
+// a file is sent (see `isEscalating`).
+//
+// A stage is `{ id, after, recipient, template }`:
+// - `after`: milliseconds, or a duration such as `15m`, `2h` or `1d`
+// - `recipient`: `internal` (the shop) or `customer` (the order contact email)
+// - `template`: a key of `ESCALATION_TEMPLATES`
+//
+// The ladder can be replaced with a JSON array in `ESCALATION_STAGES`.
+
+import { routeCustomerEmail } from './customer-email'
+import { renderTemplate } from './email-templates'
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+export const DEFAULT_ESCALATION_STAGES = [
+  { id: 'internal-alert', after: '15m', recipient: 'internal', template: 'missing-file-alert' },
+  { id: 'customer-reminder', after: '2h', recipient: 'customer', template: 'customer-delayed' },
+  { id: 'internal-escalation', after: '24h', recipient: 'internal', template: 'missing-file-escalation' }
+]
+
+export const ESCALATION_TEMPLATES = {
+  'missing-file-alert': ({ order }) => ({
+    subject: `[ALERTA] Order ${order.name}: Continua sem ficheiro anexo`
+  }),
+  'missing-file-escalation': ({ order, stage }) => ({
+    subject: `[ALERTA] Order ${order.name}: Continua sem ficheiro anexo há mais de ${formatDuration(stage.after)}`
+  }),
+  'customer-delayed': ({ order, locales }) => {
+    const { subject, text, html, attachments } = renderTemplate('customer-delayed', order.customerLocale, locales, {
+      orderNumber: order.name,
+      customerName: order.customer?.firstName
+    })
+
+    return { subject, text, html, attachments }
+  }
+}
+
+export function parseDuration(duration) {
+  if (typeof duration === 'number' && Number.isFinite(duration) && duration >= 0) return duration
+
+  const match = /^(\d+)\s*([smhd])$/.exec(String(duration).trim())
+  if (!match) throw new Error(`Invalid duration "${duration}"`)
+
+  return Number(match[1]) * DURATION_UNITS[match[2]]
+}
+
+// e.g. `24 horas`, used in the internal (pt) alerts
+function formatDuration(ms) {
+  return ms % DURATION_UNITS.h === 0 ? `${ms / DURATION_UNITS.h} horas` : `${Math.round(ms / DURATION_UNITS.m)} minutos`
+}
+
+export function getEscalationStages(config = process.env.ESCALATION_STAGES) {
+  const stages = config ? JSON.parse(config) : DEFAULT_ESCALATION_STAGES
+
+  return stages
+    .map((stage) => {
+      if (!['internal', 'customer'].includes(stage.recipient)) {
+        throw new Error(`Invalid recipient "${stage.recipient}" for escalation stage "${stage.id}"`)
+      }
+      if (!ESCALATION_TEMPLATES[stage.template]) {
+        throw new Error(`Unknown template "${stage.template}" for escalation stage "${stage.id}"`)
+      }
+
+      return { ...stage, after: parseDuration(stage.after) }
+    })
+    .sort((a, b) => a.after - b.after)
+}
+
+// `config` from `lib/config`, `alertEmail` receives the internal stages. `order` needs `name` and,
+// for customer stages, `email` and `customerLocale`
+export function getEscalationEmail(stage, order, config) {
+  const content = ESCALATION_TEMPLATES[stage.template]({ order, stage, locales: config.locales })
+
+  return stage.recipient === 'customer'
+    ? routeCustomerEmail({ to: order.email, ...content }, config)
+    : { to: config.alertEmail, ...content }
+}
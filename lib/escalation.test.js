@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_ESCALATION_STAGES, getEscalationStages, parseDuration } from './escalation'
+import { ORDER_STATUS, createOrderState, getDueEscalationStages, recordEscalation, startEscalation } from './order-state'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+describe('parseDuration', () => {
+  it('reads seconds, minutes, hours and days', () => {
+    expect(parseDuration('30s')).toBe(30 * 1000)
+    expect(parseDuration('15m')).toBe(15 * MINUTE)
+    expect(parseDuration(' 2 h ')).toBe(2 * HOUR)
+    expect(parseDuration('1d')).toBe(24 * HOUR)
+  })
+
+  it('takes milliseconds as they are', () => {
+    expect(parseDuration(0)).toBe(0)
+    expect(parseDuration(90 * MINUTE)).toBe(90 * MINUTE)
+  })
+
+  it('refuses anything else', () => {
+    for (const duration of ['15', '1w', '1.5h', '-5m', 'h', '', '15m later', null, undefined, -1, NaN, Infinity]) {
+      expect(() => parseDuration(duration), String(duration)).toThrow(`Invalid duration "${duration}"`)
+    }
+  })
+})
+
+describe('getEscalationStages', () => {
+  it('defaults to the internal alert, the customer reminder and the internal escalation', () => {
+    expect(getEscalationStages(undefined)).toEqual([
+      { ...DEFAULT_ESCALATION_STAGES[0], after: 15 * MINUTE },
+      { ...DEFAULT_ESCALATION_STAGES[1], after: 2 * HOUR },
+      { ...DEFAULT_ESCALATION_STAGES[2], after: 24 * HOUR }
+    ])
+  })
+
+  it('reads a ladder from JSON, sorted by time', () => {
+    const stages = getEscalationStages(JSON.stringify([
+      { id: 'late', after: '1d', recipient: 'internal', template: 'missing-file-escalation' },
+      { id: 'early', after: 5 * MINUTE, recipient: 'customer', template: 'customer-delayed' }
+    ]))
+
+    expect(stages.map(({ id, after }) => [id, after])).toEqual([['early', 5 * MINUTE], ['late', 24 * HOUR]])
+  })
+
+  it('refuses a stage with an invalid duration, recipient or template', () => {
+    const ladder = (stage) => JSON.stringify([{ id: 'alert', after: '15m', recipient: 'internal', template: 'missing-file-alert', ...stage }])
+
+    expect(() => getEscalationStages(ladder({ after: '15 minutes' }))).toThrow('Invalid duration "15 minutes"')
+    expect(() => getEscalationStages(ladder({ after: -60000 }))).toThrow('Invalid duration "-60000"')
+    expect(() => getEscalationStages(ladder({ recipient: 'warehouse' })))
+      .toThrow('Invalid recipient "warehouse" for escalation stage "alert"')
+    expect(() => getEscalationStages(ladder({ template: 'sms' }))).toThrow('Unknown template "sms" for escalation stage "alert"')
+    expect(() => getEscalationStages('[{')).toThrow(SyntaxError)
+  })
+})
+
+describe('getDueEscalationStages', () => {
+  const stages = getEscalationStages(undefined)
+  const startedAt = new Date('2026-03-02T10:00:00Z')
+  const at = (ms) => new Date(startedAt.getTime() + ms)
+  const started = () => ({ ...startEscalation(createOrderState(ORDER_ID, '#1042')), escalationStartedAt: startedAt.toISOString() })
+  const dueIds = (state, ms) => getDueEscalationStages(state, stages, at(ms)).map(({ id }) => id)
+
+  it('makes each stage due once its time since the escalation started has passed', () => {
+    const state = started()
+
+    expect(dueIds(state, 15 * MINUTE - 1)).toEqual([])
+    expect(dueIds(state, 15 * MINUTE)).toEqual(['internal-alert'])
+    expect(dueIds(state, 2 * HOUR)).toEqual(['internal-alert', 'customer-reminder'])
+    expect(dueIds(state, 3 * 24 * HOUR)).toEqual(['internal-alert', 'customer-reminder', 'internal-escalation'])
+  })
+
+  it('leaves out the stages already recorded', () => {
+    let state = recordEscalation(started(), 'internal-alert')
+
+    expect(state.status).toBe(ORDER_STATUS.NOTIFIED)
+    expect(dueIds(state, 3 * HOUR)).toEqual(['customer-reminder'])
+
+    state = recordEscalation(state, 'customer-reminder')
+    expect(dueIds(state, 3 * HOUR)).toEqual([])
+    expect(dueIds(state, 24 * HOUR)).toEqual(['internal-escalation'])
+  })
+
+  it('has nothing due before the escalation starts or once a file was sent', () => {
+    expect(getDueEscalationStages(createOrderState(ORDER_ID, '#1042'), stages, at(3 * 24 * HOUR))).toEqual([])
+    expect(dueIds({ ...started(), status: ORDER_STATUS.FILES_PARTIALLY_SENT }, 3 * 24 * HOUR)).toEqual([])
+    expect(dueIds({ ...started(), status: ORDER_STATUS.FULFILLED }, 3 * 24 * HOUR)).toEqual([])
+  })
+})
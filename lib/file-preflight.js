@@ -0,0 +1,135 @@
+import { FILE_TYPES, detectFileType, readFileHead } from './file-types'
+import { fetchFromAllowedHosts, isAllowedHost } from './download-links'
+
+// Checks a design file before it is emailed: that its URL is on an allowed host and answers, that it is a PNG, JPEG, PDF or SVG
+// (see `lib/file-types`), its size and, for images, its dimensions. Only the start of the file is downloaded.
+//
+// { checkedAt, ok, status, type, size, width, height, problems: [messages] }
+// `size`, `width` and `height` are `null` when they can't be told (no `Content-Length`, a PDF)
+
+const PREFLIGHT_TIMEOUT = 10 * 1000
+// the header of every type fits, the dimensions of a JPEG come after its EXIF data
+const HEAD_LENGTH = 64 * 1024
+
+const toMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`
+
+function getPngDimensions(bytes) {
+  if (bytes.length < 24 || bytes.toString('ascii', 12, 16) !== 'IHDR') return null
+
+  return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) }
+}
+
+// walks the segments up to the frame header (SOF0-SOF15, except the DHT, JPG and DAC markers)
+function getJpegDimensions(bytes) {
+  let offset = 2
+  while (offset + 9 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null
+
+    const marker = bytes[offset + 1]
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) }
+    }
+
+    offset += 2 + bytes.readUInt16BE(offset + 2)
+  }
+
+  return null
+}
+
+// `width`/`height` in pixels, or the `viewBox` size
+function getSvgDimensions(bytes) {
+  const tag = bytes.toString('utf8').match(/<svg[^>]*>/i)?.[0]
+  if (!tag) return null
+
+  const attribute = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1]
+  const width = parseFloat(attribute('width'))
+  const height = parseFloat(attribute('height'))
+  if (/^[\d.]+(px)?$/.test(attribute('width') ?? '') && /^[\d.]+(px)?$/.test(attribute('height') ?? '')) {
+    return { width, height }
+  }
+
+  const viewBox = (attribute('viewBox') ?? '').trim().split(/[\s,]+/).map(Number)
+  return viewBox.length === 4 && viewBox.every(Number.isFinite) ? { width: viewBox[2], height: viewBox[3] } : null
+}
+
+const DIMENSIONS = {
+  'image/png': getPngDimensions,
+  'image/jpeg': getJpegDimensions,
+  'image/svg+xml': getSvgDimensions
+}
+
+// `{ width, height }` read from the start of a file of `type`, `null` for a PDF or when the header isn't there
+export function getFileDimensions(bytes, type) {
+  return DIMENSIONS[type]?.(Buffer.from(bytes)) ?? null
+}
+
+// `maxSize` in bytes, `minDimension` in pixels for the shorter side of an image (0 to skip it), `allowedHosts` as in
+// `isAllowedHost`. The URL comes from the order attributes, which the customer can set, so any other host is a problem
+// and isn't fetched, nor redirected to (neither here nor as an attachment, a file that fails isn't emailed)
+export async function preflightFile(url, { maxSize, minDimension = 0, allowedHosts }) {
+  const result = {
+    checkedAt: new Date().toISOString(),
+    ok: false,
+    status: null,
+    type: null,
+    size: null,
+    width: null,
+    height: null,
+    problems: []
+  }
+
+  if (!isAllowedHost(url, allowedHosts)) {
+    result.problems.push(`the URL isn't an https URL on ${allowedHosts.join(', ')} (DOWNLOAD_HOSTS)`)
+    return result
+  }
+
+  let response
+  let bytes
+  try {
+    // servers that ignore the range send the whole file, only its start is read
+    response = await fetchFromAllowedHosts(url, allowedHosts, {
+      headers: { range: `bytes=0-${HEAD_LENGTH - 1}` },
+      signal: AbortSignal.timeout(PREFLIGHT_TIMEOUT)
+    })
+    result.status = response.status
+    if (!response.ok) {
+      await response.body?.cancel()
+      result.problems.push(`the URL responded ${response.status}`)
+      return result
+    }
+
+    const reader = response.body.getReader()
+    bytes = await readFileHead(reader, HEAD_LENGTH)
+    await reader.cancel()
+  } catch (e) {
+    result.problems.push(`the URL can't be downloaded (${e.message})`)
+    return result
+  }
+
+  const total = response.status === 206
+    ? response.headers.get('content-range')?.match(/\/(\d+)$/)?.[1]
+    : response.headers.get('content-length')
+  result.size = total ? Number(total) : null
+  if (result.size !== null && result.size > maxSize) {
+    result.problems.push(`the file has ${toMB(result.size)}, more than the ${toMB(maxSize)} limit`)
+  }
+
+  const contentType = response.headers.get('content-type')
+  result.type = detectFileType(bytes, contentType)
+  if (!result.type) {
+    const types = Object.values(FILE_TYPES).map(({ extension }) => extension.toUpperCase())
+    result.problems.push(`the file isn't a ${types.slice(0, -1).join(', ')} or ${types.at(-1)} (Content-Type "${contentType}")`)
+  }
+
+  const dimensions = result.type ? getFileDimensions(bytes, result.type) : null
+  if (dimensions) {
+    result.width = dimensions.width
+    result.height = dimensions.height
+    if (Math.min(dimensions.width, dimensions.height) < minDimension) {
+      result.problems.push(`the image has ${dimensions.width}x${dimensions.height} pixels, less than ${minDimension} on a side`)
+    }
+  }
+
+  result.ok = result.problems.length === 0
+  return result
+}
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { getFileDimensions, preflightFile } from './file-preflight'
+
+const URL = 'https://cdn.shopify.com/s/files/1/0000/0001/files/design-1.png'
+const OPTIONS = { maxSize: 18 * 1024 * 1024, minDimension: 1000, allowedHosts: ['cdn.shopify.com'] }
+const MB = 1024 * 1024
+
+// a PNG signature and IHDR chunk of `width`x`height`
+function png(width, height) {
+  const bytes = Buffer.alloc(33)
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes)
+  bytes.writeUInt32BE(13, 8)
+  bytes.write('IHDR', 12, 'ascii')
+  bytes.writeUInt32BE(width, 16)
+  bytes.writeUInt32BE(height, 20)
+  return bytes
+}
+
+// SOI, an APP0 segment and a SOF0 frame header of `width`x`height`
+function jpeg(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0])
+  const sof0 = Buffer.alloc(19)
+  sof0.set([0xff, 0xc0, 0x00, 0x11, 0x08])
+  sof0.writeUInt16BE(height, 5)
+  sof0.writeUInt16BE(width, 7)
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0])
+}
+
+const respond = (body, { status = 200, headers = {} } = {}) => vi.fn(async () => new Response(body, { status, headers }))
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(new Date('2026-03-02T10:00:00Z'))
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.unstubAllGlobals()
+})
+
+describe('getFileDimensions', () => {
+  it('reads PNG, JPEG and SVG sizes', () => {
+    expect(getFileDimensions(png(3000, 2000), 'image/png')).toEqual({ width: 3000, height: 2000 })
+    expect(getFileDimensions(jpeg(1200, 1800), 'image/jpeg')).toEqual({ width: 1200, height: 1800 })
+    expect(getFileDimensions(Buffer.from('<svg width="300px" height="200">'), 'image/svg+xml')).toEqual({ width: 300, height: 200 })
+    expect(getFileDimensions(Buffer.from('<svg width="100%" viewBox="0 0 1500 900">'), 'image/svg+xml')).toEqual({ width: 1500, height: 900 })
+    expect(getFileDimensions(Buffer.from('%PDF-1.7'), 'application/pdf')).toBeNull()
+  })
+})
+
+describe('preflightFile', () => {
+  it('accepts an image of the right type, size and dimensions', async () => {
+    const fetch = respond(png(3000, 2000), { status: 206, headers: { 'content-type': 'image/png', 'content-range': `bytes 0-32/${2 * MB}` } })
+    vi.stubGlobal('fetch', fetch)
+
+    expect(await preflightFile(URL, OPTIONS)).toEqual({
+      checkedAt: '2026-03-02T10:00:00.000Z',
+      ok: true,
+      status: 206,
+      type: 'image/png',
+      size: 2 * MB,
+      width: 3000,
+      height: 2000,
+      problems: []
+    })
+    expect(fetch).toHaveBeenCalledWith(URL, expect.objectContaining({ headers: { range: 'bytes=0-65535' }, redirect: 'manual' }))
+  })
+
+  it('refuses a host outside the allowed ones without fetching it', async () => {
+    const fetch = respond(png(3000, 2000))
+    vi.stubGlobal('fetch', fetch)
+
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'https://evil.example.com/design.png', 'http://cdn.shopify.com/design.png']) {
+      expect(await preflightFile(url, OPTIONS)).toMatchObject({
+        ok: false,
+        status: null,
+        problems: ["the URL isn't an https URL on cdn.shopify.com (DOWNLOAD_HOSTS)"]
+      })
+    }
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('refuses a redirect to a host outside the allowed ones', async () => {
+    const fetch = respond(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } })
+    vi.stubGlobal('fetch', fetch)
+
+    expect(await preflightFile(URL, OPTIONS)).toMatchObject({
+      ok: false,
+      problems: ["the URL can't be downloaded (Redirected to a host that isn't allowed (http://169.254.169.254/latest/meta-data/))"]
+    })
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('refuses what is not a design file, whatever its Content-Type says', async () => {
+    vi.stubGlobal('fetch', respond('<html>Not found</html>', { headers: { 'content-type': 'image/png' } }))
+
+    const { ok, type, problems } = await preflightFile(URL, OPTIONS)
+    expect({ ok, type }).toEqual({ ok: false, type: null })
+    expect(problems).toEqual(['the file isn\'t a PNG, JPG, PDF or SVG (Content-Type "image/png")'])
+  })
+
+  it('detects the type from the bytes', async () => {
+    vi.stubGlobal('fetch', respond(jpeg(1200, 1800), { headers: { 'content-type': 'application/octet-stream' } }))
+
+    expect(await preflightFile(URL, OPTIONS)).toMatchObject({ ok: true, type: 'image/jpeg', width: 1200, height: 1800 })
+  })
+
+  it('refuses images smaller than the minimum dimension', async () => {
+    vi.stubGlobal('fetch', respond(jpeg(1200, 800)))
+
+    expect(await preflightFile(URL, OPTIONS)).toMatchObject({
+      ok: false,
+      problems: ['the image has 1200x800 pixels, less than 1000 on a side']
+    })
+    expect(await preflightFile(URL, { ...OPTIONS, minDimension: 0 })).toMatchObject({ ok: true })
+  })
+
+  it('refuses a file over the size limit', async () => {
+    vi.stubGlobal('fetch', respond(png(3000, 2000), { headers: { 'content-length': String(20 * MB) } }))
+
+    expect(await preflightFile(URL, OPTIONS)).toMatchObject({
+      ok: false,
+      size: 20 * MB,
+      problems: ['the file has 20.0 MB, more than the 18.0 MB limit']
+    })
+  })
+
+  it('reports a URL that fails', async () => {
+    vi.stubGlobal('fetch', respond(null, { status: 404 }))
+    expect(await preflightFile(URL, OPTIONS)).toMatchObject({ ok: false, status: 404, problems: ['the URL responded 404'] })
+
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('fetch failed') }))
+    expect(await preflightFile(URL, OPTIONS)).toMatchObject({ ok: false, problems: ["the URL can't be downloaded (fetch failed)"] })
+  })
+})
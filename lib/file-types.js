@@ -0,0 +1,52 @@
+// Types of the design files the download links serve (see `pages/api/img/[slug].js`), anything else coming
+// from upstream (e.g. an HTML error page) is refused.
+
+// an XML declaration, comments and a doctype may come before the `<svg>` root
+const SVG_PATTERN = /^\uFEFF?\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i
+
+export const FILE_TYPES = {
+  'image/png': { extension: 'png', signature: (bytes) => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/jpeg': { extension: 'jpg', signature: (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+  'application/pdf': { extension: 'pdf', signature: (bytes) => startsWith(bytes, [0x25, 0x50, 0x44, 0x46, 0x2d]) },
+  'image/svg+xml': { extension: 'svg', signature: (bytes) => SVG_PATTERN.test(Buffer.from(bytes).toString('utf8')) }
+}
+
+function startsWith(bytes, signature) {
+  return bytes.length >= signature.length && signature.every((byte, index) => bytes[index] === byte)
+}
+
+// the `Content-Type` when it is one of `FILE_TYPES`, `null` otherwise
+export function getDeclaredType(contentType) {
+  const declared = String(contentType ?? '').split(';')[0].trim().toLowerCase()
+
+  return FILE_TYPES[declared] ? declared : null
+}
+
+// the type of a file from its first bytes, `null` when it isn't one of `FILE_TYPES`.
+// The upstream `Content-Type` is only trusted when the bytes agree, storage services often send `application/octet-stream`
+export function detectFileType(bytes, contentType) {
+  const declared = getDeclaredType(contentType)
+  if (declared && FILE_TYPES[declared].signature(bytes)) return declared
+
+  return Object.keys(FILE_TYPES).find((type) => FILE_TYPES[type].signature(bytes)) ?? null
+}
+
+// `#1001_2.png` served as a JPEG becomes `#1001_2.jpg`
+export function withExtension(filename, type) {
+  return `${filename.replace(/\.[a-z0-9]+$/i, '')}.${FILE_TYPES[type].extension}`
+}
+
+// reads at least `length` bytes of a file body, less only when the file is shorter, the rest is left in `reader`
+export async function readFileHead(reader, length) {
+  const chunks = []
+  let size = 0
+  while (size < length) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    chunks.push(value)
+    size += value.length
+  }
+
+  return Buffer.concat(chunks)
+}
@@ -0,0 +1,179 @@
+import { isDigitalLineItem } from './line-items'
+
+// Fulfillment of the digital line items of an order. An order can have several open fulfillment orders (one per
+// location, or physical items apart), each is fulfilled on its own and only for its digital line items, `rules` tell
+// them apart (see `./line-items`). The physical line items stay open for the warehouse.
+//
+// Both functions resolve to `{ fulfillmentOrderIds, skipped, data, errors }`:
+// - `fulfillmentOrderIds`: the fulfillment orders fulfilled, empty when there was nothing left to fulfill
+// - `skipped`: `[{ fulfillmentOrderId, location, status, digitalLineItems, reason }]` the open ones left as they are
+// - `data`: a `fulfillmentCreateV2` response per fulfillment order (`fulfillment0`, `fulfillment1`…)
+
+const getFulfillmentOrdersOperation = `
+  query GetFulfillmentOrders($id: ID!) {
+    order(id: $id) {
+      fulfillmentOrders(first: 20, query: "-status:closed") {
+        nodes {
+          id
+          status
+          assignedLocation {
+            name
+          }
+          supportedActions {
+            action
+          }
+          lineItems(first: 50) {
+            nodes {
+              id
+              remainingQuantity
+              lineItem {
+                id
+                sku
+                product {
+                  productType
+                  tags
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`
+
+async function getFulfillmentOrders(client, orderId) {
+  const { data, errors } = await client.request(getFulfillmentOrdersOperation, {
+    variables: {
+      id: orderId
+    }
+  })
+
+  return { fulfillmentOrders: data?.order?.fulfillmentOrders.nodes ?? [], data, errors }
+}
+
+// `[{ fulfillmentOrderId, fulfillmentOrderLineItems }]`, without `fulfillmentOrderLineItems` the whole fulfillment order
+async function createFulfillments(client, fulfillments) {
+  // one fulfillment per fulfillment order, they may be at different locations
+  const fulfillmentCreate = `
+    mutation FulfillmentCreate(${fulfillments.map((fulfillment, index) => `$fulfillment${index}: FulfillmentV2Input!`).join(', ')}) {
+      ${fulfillments.map((fulfillment, index) => `
+        fulfillment${index}: fulfillmentCreateV2(fulfillment: $fulfillment${index}) {
+          userErrors {
+            field
+            message
+          }
+        }
+      `).join('')}
+    }
+  `
+
+  return client.request(fulfillmentCreate, {
+    variables: Object.fromEntries(fulfillments.map((fulfillment, index) => [`fulfillment${index}`, {
+      lineItemsByFulfillmentOrder: [fulfillment]
+    }]))
+  })
+}
+
+const canFulfill = (fulfillmentOrder) => fulfillmentOrder.supportedActions.some(({ action }) => action === 'CREATE_FULFILLMENT')
+// e.g. on hold, or scheduled for later
+const notFulfillable = (fulfillmentOrder) => `it can't be fulfilled while ${fulfillmentOrder.status.toLowerCase()}`
+
+async function fulfill(client, fulfillments, skipped) {
+  const fulfillmentOrderIds = fulfillments.map(({ fulfillmentOrderId }) => fulfillmentOrderId)
+  if (fulfillments.length === 0) return { fulfillmentOrderIds, skipped }
+
+  const { data, errors } = await createFulfillments(client, fulfillments)
+  return { fulfillmentOrderIds, skipped, data, errors }
+}
+
+// Fulfills the remaining digital line items of every open fulfillment order of the order
+export async function fulfillOrder(client, orderId, rules) {
+  const { fulfillmentOrders, data, errors } = await getFulfillmentOrders(client, orderId)
+  if (errors) return { fulfillmentOrderIds: [], skipped: [], data, errors }
+
+  const fulfillments = []
+  const skipped = []
+  for (const fulfillmentOrder of fulfillmentOrders) {
+    const items = fulfillmentOrder.lineItems.nodes.filter((item) => item.remainingQuantity > 0)
+    const digitalItems = items.filter((item) => isDigitalLineItem(item.lineItem, rules))
+    const skip = (reason) => skipped.push({
+      fulfillmentOrderId: fulfillmentOrder.id,
+      location: fulfillmentOrder.assignedLocation?.name ?? null,
+      status: fulfillmentOrder.status,
+      digitalLineItems: digitalItems.length,
+      reason
+    })
+
+    if (digitalItems.length === 0) {
+      skip('no digital line items')
+    } else if (!canFulfill(fulfillmentOrder)) {
+      skip(notFulfillable(fulfillmentOrder))
+    } else {
+      fulfillments.push({
+        fulfillmentOrderId: fulfillmentOrder.id,
+        // only the digital ones when it also holds physical items
+        ...(digitalItems.length < items.length && {
+          fulfillmentOrderLineItems: digitalItems.map(({ id, remainingQuantity }) => ({ id, quantity: remainingQuantity }))
+        })
+      })
+    }
+  }
+
+  return fulfill(client, fulfillments, skipped)
+}
+
+// Fulfills `quantity` units of each line item of `lineItems` (`[{ lineItemId, quantity }]`, `lineItemId` the line item GID)
+// from the open fulfillment orders that still hold them, so the order shows which products were delivered.
+// Only `skipped` fulfillment orders holding some of those line items are reported.
+export async function fulfillLineItems(client, orderId, lineItems, rules) {
+  const { fulfillmentOrders, data, errors } = await getFulfillmentOrders(client, orderId)
+  if (errors) return { fulfillmentOrderIds: [], skipped: [], data, errors }
+
+  const lineItemIds = lineItems.map(({ lineItemId }) => lineItemId)
+  const skipped = fulfillmentOrders
+    .filter((fulfillmentOrder) => !canFulfill(fulfillmentOrder))
+    .filter((fulfillmentOrder) => fulfillmentOrder.lineItems.nodes.some((item) => lineItemIds.includes(item.lineItem.id)))
+    .map((fulfillmentOrder) => ({
+      fulfillmentOrderId: fulfillmentOrder.id,
+      location: fulfillmentOrder.assignedLocation?.name ?? null,
+      status: fulfillmentOrder.status,
+      digitalLineItems: fulfillmentOrder.lineItems.nodes.filter((item) => isDigitalLineItem(item.lineItem, rules)).length,
+      reason: notFulfillable(fulfillmentOrder)
+    }))
+
+  // fulfillment order id => [{ id, quantity }] of its line items
+  const itemsByFulfillmentOrder = new Map()
+  for (const { lineItemId, quantity } of lineItems) {
+    let missing = quantity
+    for (const fulfillmentOrder of fulfillmentOrders.filter(canFulfill)) {
+      for (const item of fulfillmentOrder.lineItems.nodes) {
+        if (missing === 0 || item.lineItem.id !== lineItemId || item.remainingQuantity === 0) continue
+
+        const itemQuantity = Math.min(missing, item.remainingQuantity)
+        item.remainingQuantity -= itemQuantity
+        missing -= itemQuantity
+        itemsByFulfillmentOrder.set(fulfillmentOrder.id, [
+          ...(itemsByFulfillmentOrder.get(fulfillmentOrder.id) ?? []),
+          { id: item.id, quantity: itemQuantity }
+        ])
+      }
+    }
+  }
+
+  const fulfillments = [...itemsByFulfillmentOrder].map(([fulfillmentOrderId, fulfillmentOrderLineItems]) => ({
+    fulfillmentOrderId,
+    fulfillmentOrderLineItems
+  }))
+  return fulfill(client, fulfillments, skipped)
+}
+
+// `data` is the response of `fulfillOrder` or `fulfillLineItems`
+export function hasFulfillmentErrors({ data, errors }) {
+  return Boolean(errors || Object.values(data ?? {}).some((result) => result?.userErrors?.length))
+}
+
+// e.g. `Armazém: it can't be fulfilled while on_hold`, for logs and alerts
+export function describeSkipped(skipped) {
+  return skipped.map(({ fulfillmentOrderId, location, reason }) => `${location ?? fulfillmentOrderId}: ${reason}`)
+}
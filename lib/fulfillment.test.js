@@ -0,0 +1,180 @@
+import { describe, expect, it, vi } from 'vitest'
+import { describeSkipped, fulfillLineItems, fulfillOrder, hasFulfillmentErrors } from './fulfillment'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+const RULES = { skuPrefixes: ['DIG-'] }
+
+const item = (id, lineItemId, remainingQuantity, sku) => ({
+  id: `gid://shopify/FulfillmentOrderLineItem/${id}`,
+  remainingQuantity,
+  lineItem: { id: `gid://shopify/LineItem/${lineItemId}`, sku, product: null }
+})
+
+const fulfillmentOrder = (id, items, { status = 'OPEN', location = 'Online' } = {}) => ({
+  id: `gid://shopify/FulfillmentOrder/${id}`,
+  status,
+  assignedLocation: { name: location },
+  supportedActions: status === 'OPEN' ? [{ action: 'CREATE_FULFILLMENT' }, { action: 'HOLD' }] : [],
+  lineItems: { nodes: items }
+})
+
+// answers the fulfillment orders query with `fulfillmentOrders`, then every `fulfillmentCreateV2` without errors
+function stubClient(fulfillmentOrders, { errors } = {}) {
+  return {
+    request: vi.fn(async (operation, { variables }) => {
+      if (operation.includes('GetFulfillmentOrders')) {
+        return errors ? { errors } : { data: { order: { fulfillmentOrders: { nodes: fulfillmentOrders } } } }
+      }
+
+      return { data: Object.fromEntries(Object.keys(variables).map((name) => [name, { userErrors: [] }])) }
+    })
+  }
+}
+
+// the `fulfillmentOrderLineItems` sent by fulfillment order, `null` for a whole one
+const fulfilled = (client) => {
+  const [, { variables } = {}] = client.request.mock.calls[1] ?? []
+
+  return Object.values(variables ?? {}).map(({ lineItemsByFulfillmentOrder: [{ fulfillmentOrderId, fulfillmentOrderLineItems }] }) => [
+    fulfillmentOrderId,
+    fulfillmentOrderLineItems ?? null
+  ])
+}
+
+describe('fulfillOrder', () => {
+  it('fulfills each open fulfillment order on its own, only the digital line items of a mixed one', async () => {
+    const client = stubClient([
+      fulfillmentOrder(1, [item(11, 101, 2, 'DIG-MUG')]),
+      fulfillmentOrder(2, [item(21, 102, 1, 'DIG-SHIRT'), item(22, 103, 1, 'PRINT-A3')], { location: 'Armazém' })
+    ])
+
+    const result = await fulfillOrder(client, ORDER_ID, RULES)
+
+    expect(client.request.mock.calls[0][1]).toEqual({ variables: { id: ORDER_ID } })
+    expect(fulfilled(client)).toEqual([
+      ['gid://shopify/FulfillmentOrder/1', null],
+      ['gid://shopify/FulfillmentOrder/2', [{ id: 'gid://shopify/FulfillmentOrderLineItem/21', quantity: 1 }]]
+    ])
+    expect(result).toMatchObject({
+      fulfillmentOrderIds: ['gid://shopify/FulfillmentOrder/1', 'gid://shopify/FulfillmentOrder/2'],
+      skipped: []
+    })
+    expect(hasFulfillmentErrors(result)).toBe(false)
+  })
+
+  it('skips the fulfillment orders without digital line items left or that can\'t be fulfilled', async () => {
+    const client = stubClient([
+      fulfillmentOrder(1, [item(11, 101, 1, 'PRINT-A3')], { location: 'Armazém' }),
+      fulfillmentOrder(2, [item(21, 102, 1, 'DIG-MUG')], { status: 'ON_HOLD' }),
+      fulfillmentOrder(3, [item(31, 103, 0, 'DIG-SHIRT')]),
+      fulfillmentOrder(4, [item(41, 104, 1, 'DIG-CAP')], { status: 'CLOSED' }),
+      fulfillmentOrder(5, [item(51, 105, 1, 'DIG-CAP')])
+    ])
+
+    const { fulfillmentOrderIds, skipped } = await fulfillOrder(client, ORDER_ID, RULES)
+
+    // closed ones aren't even asked for
+    expect(client.request.mock.calls[0][0]).toContain('query: "-status:closed"')
+    expect(fulfillmentOrderIds).toEqual(['gid://shopify/FulfillmentOrder/5'])
+    expect(describeSkipped(skipped)).toEqual([
+      'Armazém: no digital line items',
+      'Online: it can\'t be fulfilled while on_hold',
+      'Online: no digital line items',
+      'Online: it can\'t be fulfilled while closed'
+    ])
+    expect(skipped[1]).toEqual({
+      fulfillmentOrderId: 'gid://shopify/FulfillmentOrder/2',
+      location: 'Online',
+      status: 'ON_HOLD',
+      digitalLineItems: 1,
+      reason: 'it can\'t be fulfilled while on_hold'
+    })
+  })
+
+  it('does nothing when nothing is left to fulfill', async () => {
+    const client = stubClient([fulfillmentOrder(1, [item(11, 101, 1, 'PRINT-A3')])])
+
+    expect(await fulfillOrder(client, ORDER_ID, RULES)).toEqual({
+      fulfillmentOrderIds: [],
+      skipped: [expect.objectContaining({ reason: 'no digital line items' })]
+    })
+    expect(client.request).toHaveBeenCalledTimes(1)
+  })
+
+  it('treats every line item as digital without rules', async () => {
+    const client = stubClient([fulfillmentOrder(1, [item(11, 101, 1, 'PRINT-A3'), item(12, 102, 1, undefined)])])
+
+    await fulfillOrder(client, ORDER_ID)
+
+    expect(fulfilled(client)).toEqual([['gid://shopify/FulfillmentOrder/1', null]])
+  })
+
+  it('reports the errors of the fulfillment orders query', async () => {
+    const errors = { message: 'Throttled' }
+    const client = stubClient([], { errors })
+
+    const result = await fulfillOrder(client, ORDER_ID, RULES)
+
+    expect(result).toEqual({ fulfillmentOrderIds: [], skipped: [], data: undefined, errors })
+    expect(hasFulfillmentErrors(result)).toBe(true)
+    expect(client.request).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('fulfillLineItems', () => {
+  const lineItem = (id, quantity) => ({ lineItemId: `gid://shopify/LineItem/${id}`, quantity })
+
+  it('only fulfills the units asked, split across the fulfillment orders holding them', async () => {
+    const client = stubClient([
+      fulfillmentOrder(1, [item(11, 101, 1, 'DIG-MUG'), item(12, 102, 3, 'DIG-SHIRT')]),
+      fulfillmentOrder(2, [item(21, 101, 2, 'DIG-MUG'), item(22, 103, 1, 'PRINT-A3')], { location: 'Armazém' })
+    ])
+
+    const { fulfillmentOrderIds, skipped } = await fulfillLineItems(client, ORDER_ID, [lineItem(101, 2), lineItem(102, 1)], RULES)
+
+    expect(fulfilled(client)).toEqual([
+      ['gid://shopify/FulfillmentOrder/1', [
+        { id: 'gid://shopify/FulfillmentOrderLineItem/11', quantity: 1 },
+        { id: 'gid://shopify/FulfillmentOrderLineItem/12', quantity: 1 }
+      ]],
+      ['gid://shopify/FulfillmentOrder/2', [{ id: 'gid://shopify/FulfillmentOrderLineItem/21', quantity: 1 }]]
+    ])
+    expect(fulfillmentOrderIds).toEqual(['gid://shopify/FulfillmentOrder/1', 'gid://shopify/FulfillmentOrder/2'])
+    expect(skipped).toEqual([])
+  })
+
+  it('passes over the units already fulfilled and the fulfillment orders that can\'t be fulfilled', async () => {
+    const client = stubClient([
+      fulfillmentOrder(1, [item(11, 101, 1, 'DIG-MUG')], { status: 'ON_HOLD' }),
+      fulfillmentOrder(2, [item(21, 101, 0, 'DIG-MUG')]),
+      fulfillmentOrder(3, [item(31, 101, 1, 'DIG-MUG')]),
+      fulfillmentOrder(4, [item(41, 102, 1, 'DIG-SHIRT')], { status: 'SCHEDULED' })
+    ])
+
+    const { fulfillmentOrderIds, skipped } = await fulfillLineItems(client, ORDER_ID, [lineItem(101, 2)], RULES)
+
+    expect(fulfilled(client)).toEqual([
+      ['gid://shopify/FulfillmentOrder/3', [{ id: 'gid://shopify/FulfillmentOrderLineItem/31', quantity: 1 }]]
+    ])
+    expect(fulfillmentOrderIds).toEqual(['gid://shopify/FulfillmentOrder/3'])
+    // only the one holding the line item is reported
+    expect(describeSkipped(skipped)).toEqual(['Online: it can\'t be fulfilled while on_hold'])
+  })
+
+  it('does nothing when the line items were already fulfilled', async () => {
+    const client = stubClient([fulfillmentOrder(1, [item(11, 101, 0, 'DIG-MUG')])])
+
+    expect(await fulfillLineItems(client, ORDER_ID, [lineItem(101, 1)], RULES)).toEqual({ fulfillmentOrderIds: [], skipped: [] })
+    expect(client.request).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('hasFulfillmentErrors', () => {
+  it('tells the user errors of any fulfillment', () => {
+    expect(hasFulfillmentErrors({ data: { fulfillment0: { userErrors: [] }, fulfillment1: { userErrors: [] } } })).toBe(false)
+    expect(hasFulfillmentErrors({
+      data: { fulfillment0: { userErrors: [] }, fulfillment1: { userErrors: [{ field: ['id'], message: 'Invalid' }] } }
+    })).toBe(true)
+    expect(hasFulfillmentErrors({ data: undefined })).toBe(false)
+  })
+})
@@ -0,0 +1,52 @@
+// Plain text version of an email, generated from its HTML so the two can't drift apart.
+// Handles what the templates use: paragraphs, line breaks, links, lists and tables.
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", middot: '·' }
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)))
+    }
+
+    return ENTITIES[code.toLowerCase()] ?? entity
+  })
+}
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, ' ')
+
+const normalizeUrl = (url) => url.replace(/\/$/, '')
+
+// the `<url>` of a link must survive the tags being stripped
+const LINK_START = '\u0000'
+const LINK_END = '\u0001'
+
+export function htmlToText(html) {
+  const text = html
+    .replace(/<head[\s\S]*?<\/head>/gi, '')
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<img[^>]*>/gi, '')
+    // `content <url>`, like the email clients show it, unless the content already is the url
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, content) => {
+      const label = decodeEntities(stripTags(content)).replace(/\s+/g, ' ').trim()
+      if (!label || normalizeUrl(label) === normalizeUrl(href)) return `${label || href}\n`
+
+      return `${label} ${LINK_START}${href}${LINK_END}\n`
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]>\s*(?=<t[dh][\s>])/gi, ' | ')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/(p|div|table|h[1-6]|ul|ol)>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '')
+
+  return decodeEntities(text)
+    .replaceAll(LINK_START, '<')
+    .replaceAll(LINK_END, '>')
+    .split('\n')
+    // a table row ending in empty cells leaves a dangling separator
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim().replace(/( \|)+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
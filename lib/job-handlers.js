@@ -0,0 +1,122 @@
+import { JOB_TYPE, enqueueJob } from './job-queue'
+import { ORDER_EVENT, canTransition, transition } from './order-state-machine'
+import { isFileSent } from './order-state'
+import { hasFulfillmentErrors } from './fulfillment'
+import { countLineItems } from './order-files'
+import { withOrderLock } from './webhook-dedup'
+
+// Handlers for `drainQueue`, built from the services (see `lib/services`) so each one can be swapped for a fake.
+//
+// - email: { mail, files: [{ key, legacyKey, name, url, preflight, lineItemId }], fulfillWhenSent: [{ key, legacyKey, url }] | null }
+//   sends `mail`, records `files` as sent and fulfills the order once every file of `fulfillWhenSent` is sent,
+//   until then only the line items of `files`
+//   (jobs queued before batch emails hold a single `file`, and before the URL keys `fulfillWhenSent` holds keys),
+//   with `printNotified` it is the "print in production" email (no `files`) and records it was sent,
+//   with neither it only sends `mail` (e.g. an alert)
+// - order-state: { state } writes a state that failed to be saved, unless a newer one was saved since
+// - fulfillment: { lineItems: [{ lineItemId, quantity }] } fulfills those units, the whole order without `lineItems`
+//
+// Each job holds the order lock (see `lib/webhook-dedup`) from start to end, one that finds it taken throws
+// so the queue runs it again later instead of overwriting the state being saved.
+export function createJobHandlers({ orderStates, fulfillOrder, fulfillLineItems, sendMail }) {
+  const withLock = (handler) => async (job) => {
+    const { status, result } = await withOrderLock(job.orderId, () => handler(job))
+    if (status === 'locked') throw new Error(`Order ${job.orderNumber} is being processed, retrying later`)
+
+    return result
+  }
+
+  const getAudit = (job) => ({ actor: `queue:${job.type}:${job.id}`, payload: job.payload })
+
+  const saveState = async (job, state) => {
+    const { errors } = await orderStates.save(state)
+    if (errors) {
+      await enqueueJob(JOB_TYPE.ORDER_STATE, { state }, { orderId: job.orderId, orderNumber: job.orderNumber, error: errors })
+    }
+  }
+
+  const fulfill = async (job, state) => {
+    const { fulfillmentOrderIds, skipped, data, errors } = await fulfillOrder(job.orderId)
+    if (hasFulfillmentErrors({ data, errors })) return { errors: { data, errors } }
+
+    await saveState(job, transition(state, ORDER_EVENT.FULFILLED, {
+      ...getAudit(job),
+      details: { fulfillmentOrderIds, skipped }
+    }))
+  }
+
+  const fulfillUnits = async (job, state, lineItems) => {
+    const { fulfillmentOrderIds, skipped, data, errors } = await fulfillLineItems(job.orderId, lineItems)
+    if (hasFulfillmentErrors({ data, errors })) return { errors: { data, errors } }
+
+    await saveState(job, transition(state, ORDER_EVENT.LINE_ITEMS_FULFILLED, {
+      ...getAudit(job),
+      lineItems,
+      details: { lineItems, fulfillmentOrderIds, skipped }
+    }))
+  }
+
+  return {
+    [JOB_TYPE.EMAIL]: withLock(async (job) => {
+      const { mail, file, files = file ? [file] : [], fulfillWhenSent, printNotified } = job.payload
+      const email = await sendMail(mail)
+      if (!email.messageId) return { errors: email }
+      if (files.length === 0 && !printNotified) return
+
+      let state = await orderStates.load({ id: job.orderId, name: job.orderNumber })
+      if (printNotified) {
+        if (!canTransition(state, ORDER_EVENT.PRINT_NOTIFIED)) return
+
+        return saveState(job, transition(state, ORDER_EVENT.PRINT_NOTIFIED, {
+          ...getAudit(job),
+          details: { messageId: email.messageId }
+        }))
+      }
+
+      for (const sentFile of files) {
+        if (!canTransition(state, ORDER_EVENT.FILE_SENT, sentFile)) continue
+
+        state = transition(state, ORDER_EVENT.FILE_SENT, {
+          ...getAudit(job),
+          ...sentFile,
+          messageId: email.messageId,
+          details: { file: sentFile.name, messageId: email.messageId }
+        })
+      }
+
+      if (!canTransition(state, ORDER_EVENT.FULFILLED)) return saveState(job, state)
+
+      // the email is out, a failed fulfillment is retried on its own
+      const isComplete = fulfillWhenSent?.every((file) => isFileSent(state, file))
+      const lineItems = countLineItems(files.map((sentFile) => sentFile.lineItemId))
+      if (!isComplete && lineItems.length === 0) return saveState(job, state)
+
+      const { errors } = (isComplete ? await fulfill(job, state) : await fulfillUnits(job, state, lineItems)) ?? {}
+      if (errors) {
+        const fileKeys = files.map(({ key }) => key).join(',')
+        await saveState(job, state)
+        await enqueueJob(JOB_TYPE.FULFILLMENT, isComplete ? {} : { lineItems }, {
+          orderId: job.orderId,
+          orderNumber: job.orderNumber,
+          dedupKey: isComplete ? `fulfillment:${job.orderId}` : `fulfillment:${job.orderId}:${fileKeys}`,
+          error: errors
+        })
+      }
+    }),
+    [JOB_TYPE.ORDER_STATE]: withLock(async (job) => {
+      const { state } = job.payload
+      const current = await orderStates.load({ id: job.orderId, name: job.orderNumber })
+
+      // the audit trail only grows, a longer one means a newer state was saved in the meantime
+      if ((current.history ?? []).length > (state.history ?? []).length) return
+
+      return orderStates.save(state)
+    }),
+    [JOB_TYPE.FULFILLMENT]: withLock(async (job) => {
+      const state = await orderStates.load({ id: job.orderId, name: job.orderNumber })
+      if (!canTransition(state, ORDER_EVENT.FULFILLED)) return
+
+      return job.payload.lineItems ? fulfillUnits(job, state, job.payload.lineItems) : fulfill(job, state)
+    })
+  }
+}
@@ -0,0 +1,289 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { createMemoryStore, setStore } from './storage'
+import { checkConfig } from './config'
+import { createServices } from './services'
+import { createJobHandlers } from './job-handlers'
+import { JOB_TYPE, getPendingJobs } from './job-queue'
+import { ORDER_STATUS, createOrderState, createOrderStateStore } from './order-state'
+import { ORDER_EVENT, transition } from './order-state-machine'
+import { acquireOrderLock, processWebhookOnce } from './webhook-dedup'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+const ORDER_NUMBER = '#1042'
+
+const { config } = checkConfig({
+  SHOPIFY_AUTH: 'momentus-test.myshopify.com:shpat_test',
+  SHOPIFY_WEBHOOK_SECRET: 'shpss_test',
+  MAIL_TRANSPORT: 'capture',
+  CRON_SECRET: 'cron-secret',
+  ADMIN_SECRET: 'admin-secret',
+  ALERT_EMAIL: 'alerts@example.com',
+  DOWNLOAD_LINK_SECRET: 'download-secret'
+})
+
+const file = (number) => ({
+  key: `design-${number}`,
+  legacyKey: null,
+  name: `design-${number}.png`,
+  url: `https://cdn.shopify.com/s/files/1/0000/0001/files/design-${number}.png`,
+  preflight: null,
+  lineItemId: `gid://shopify/LineItem/10${number}`
+})
+
+// one open fulfillment order holding a unit of each design
+const FULFILLMENT_ORDER = {
+  id: 'gid://shopify/FulfillmentOrder/1',
+  status: 'OPEN',
+  assignedLocation: { name: 'Armazém' },
+  supportedActions: [{ action: 'CREATE_FULFILLMENT' }],
+  lineItems: {
+    nodes: [1, 2].map((number) => ({
+      id: `gid://shopify/FulfillmentOrderLineItem/${number}`,
+      remainingQuantity: 1,
+      lineItem: { id: `gid://shopify/LineItem/10${number}`, sku: `DES-${number}`, product: null }
+    }))
+  }
+}
+
+// answers the fulfillment operations like the Admin API, `userErrors` for `fulfillmentCreateV2` when given
+function createFakeClient({ userErrors = [] } = {}) {
+  return {
+    request: vi.fn(async (operation, { variables } = {}) => {
+      const [, name] = operation.match(/(?:query|mutation) (\w+)/)
+      switch (name) {
+        case 'GetFulfillmentOrders':
+          return { data: { order: { fulfillmentOrders: { nodes: [structuredClone(FULFILLMENT_ORDER)] } } } }
+        case 'FulfillmentCreate':
+          return { data: Object.fromEntries(Object.keys(variables).map((alias) => [alias, { userErrors }])) }
+        default:
+          throw new Error(`Unexpected operation ${name}`)
+      }
+    })
+  }
+}
+
+const fulfillments = (client) => client.request.mock.calls
+  .filter(([operation]) => operation.includes('mutation FulfillmentCreate'))
+  .map(([, { variables }]) => Object.values(variables).map(({ lineItemsByFulfillmentOrder }) => lineItemsByFulfillmentOrder))
+
+const createFakeTransport = () => ({
+  sendMail: vi.fn(async () => ({ messageId: '<1042.1@momentus.shop>' }))
+})
+
+const emailJob = (payload) => ({
+  id: 'job-1',
+  type: JOB_TYPE.EMAIL,
+  orderId: ORDER_ID,
+  orderNumber: ORDER_NUMBER,
+  payload: { mail: { to: 'customer@example.com', subject: `Design ${ORDER_NUMBER}` }, fulfillWhenSent: null, ...payload }
+})
+
+let orderStates
+
+function setup({ client = createFakeClient(), transport = createFakeTransport() } = {}) {
+  const services = createServices({ config, client, transport, orderStates })
+  return { client, transport, handlers: createJobHandlers(services) }
+}
+
+const load = () => orderStates.load({ id: ORDER_ID, name: ORDER_NUMBER })
+
+async function saveSent(...files) {
+  let state = createOrderState(ORDER_ID, ORDER_NUMBER)
+  for (const sentFile of files) {
+    state = transition(state, ORDER_EVENT.FILE_SENT, { actor: 'test', ...sentFile, messageId: '<earlier@momentus.shop>' })
+  }
+  await orderStates.save(state)
+
+  return state
+}
+
+beforeEach(() => {
+  setStore(createMemoryStore())
+  orderStates = createOrderStateStore(null, 'local')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+describe('email job', () => {
+  it('sends the email, records the file and fulfills its line item', async () => {
+    const { client, transport, handlers } = setup()
+
+    expect(await handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(1)], fulfillWhenSent: [file(1), file(2)] }))).toBeUndefined()
+
+    expect(transport.sendMail).toHaveBeenCalledWith({
+      from: config.fromEmail,
+      to: 'customer@example.com',
+      subject: `Design ${ORDER_NUMBER}`
+    })
+    expect(fulfillments(client)).toEqual([[[{
+      fulfillmentOrderId: FULFILLMENT_ORDER.id,
+      fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/1', quantity: 1 }]
+    }]]])
+
+    const state = await load()
+    expect(state.status).toBe(ORDER_STATUS.FILES_PARTIALLY_SENT)
+    expect(state.files['design-1']).toMatchObject({ name: 'design-1.png', messageId: '<1042.1@momentus.shop>' })
+    expect(state.fulfilledLineItems).toEqual({ 'gid://shopify/LineItem/101': 1 })
+  })
+
+  it('fulfills the order once the last file is sent', async () => {
+    await saveSent(file(1))
+    const { client, handlers } = setup()
+
+    await handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(2)], fulfillWhenSent: [file(1), file(2)] }))
+
+    expect(fulfillments(client)).toEqual([[[{ fulfillmentOrderId: FULFILLMENT_ORDER.id }]]])
+    const state = await load()
+    expect(state.status).toBe(ORDER_STATUS.FULFILLED)
+    expect(state.fulfilledAt).not.toBeNull()
+    expect(Object.keys(state.files)).toEqual(['design-1', 'design-2'])
+  })
+
+  it('keeps the email as sent and queues the fulfillment when it fails', async () => {
+    await saveSent(file(1))
+    const { handlers } = setup({ client: createFakeClient({ userErrors: [{ field: ['id'], message: 'Fulfillment order is on hold' }] }) })
+
+    expect(await handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(2)], fulfillWhenSent: [file(1), file(2)] }))).toBeUndefined()
+
+    const state = await load()
+    expect(state.status).toBe(ORDER_STATUS.FILES_PARTIALLY_SENT)
+    expect(state.files['design-2']).toBeDefined()
+    expect(await getPendingJobs()).toMatchObject([{
+      type: JOB_TYPE.FULFILLMENT,
+      payload: {},
+      orderId: ORDER_ID,
+      dedupKey: `fulfillment:${ORDER_ID}`
+    }])
+  })
+
+  it('fails without recording anything when the email is not sent', async () => {
+    const transport = { sendMail: vi.fn(async () => { throw new Error('421 Service not available') }) }
+    const { client, handlers } = setup({ transport })
+
+    await expect(handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(1)] }))).rejects.toThrow('421 Service not available')
+
+    expect(client.request).not.toHaveBeenCalled()
+    expect((await load()).files).toEqual({})
+  })
+
+  it('fails when the transport does not return a message id', async () => {
+    const transport = { sendMail: vi.fn(async () => ({ rejected: ['customer@example.com'] })) }
+    const { handlers } = setup({ transport })
+
+    expect(await handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(1)] }))).toEqual({
+      errors: { rejected: ['customer@example.com'] }
+    })
+    expect((await load()).files).toEqual({})
+  })
+
+  it('records the print in production email', async () => {
+    let state = await saveSent(file(1))
+    state = transition(state, ORDER_EVENT.FULFILLED, { actor: 'test' })
+    await orderStates.save(state)
+    const { client, handlers } = setup()
+
+    await handlers[JOB_TYPE.EMAIL](emailJob({ printNotified: true }))
+
+    expect(client.request).not.toHaveBeenCalled()
+    expect((await load()).printNotifiedAt).not.toBeNull()
+  })
+})
+
+describe('alert email job', () => {
+  it('only sends the email', async () => {
+    const { client, transport, handlers } = setup()
+    const mail = { to: config.alertEmail, subject: `[ALERTA] Order ${ORDER_NUMBER}`, text: 'Revisão' }
+
+    expect(await handlers[JOB_TYPE.EMAIL]({ ...emailJob(), payload: { mail } })).toBeUndefined()
+
+    expect(transport.sendMail).toHaveBeenCalledWith({ from: config.fromEmail, ...mail })
+    expect(client.request).not.toHaveBeenCalled()
+    expect((await load()).history).toEqual([])
+  })
+})
+
+describe('order-state job', () => {
+  it('writes the state that failed to be saved', async () => {
+    const state = await saveSent()
+    const nextState = transition(state, ORDER_EVENT.FILE_SENT, { actor: 'test', ...file(1), messageId: '<1@momentus.shop>' })
+    const { handlers } = setup()
+
+    await handlers[JOB_TYPE.ORDER_STATE]({ type: JOB_TYPE.ORDER_STATE, orderId: ORDER_ID, orderNumber: ORDER_NUMBER, payload: { state: nextState } })
+
+    expect((await load()).files['design-1']).toBeDefined()
+  })
+
+  it('keeps a newer state saved in the meantime', async () => {
+    const state = createOrderState(ORDER_ID, ORDER_NUMBER)
+    await saveSent(file(1), file(2))
+    const { handlers } = setup()
+
+    await handlers[JOB_TYPE.ORDER_STATE]({ type: JOB_TYPE.ORDER_STATE, orderId: ORDER_ID, orderNumber: ORDER_NUMBER, payload: { state } })
+
+    expect(Object.keys((await load()).files)).toEqual(['design-1', 'design-2'])
+  })
+})
+
+describe('fulfillment job', () => {
+  const fulfillmentJob = (payload) => ({ id: 'job-2', type: JOB_TYPE.FULFILLMENT, orderId: ORDER_ID, orderNumber: ORDER_NUMBER, payload })
+
+  it('fulfills the units of the job', async () => {
+    await saveSent(file(2))
+    const { client, handlers } = setup()
+
+    await handlers[JOB_TYPE.FULFILLMENT](fulfillmentJob({ lineItems: [{ lineItemId: 'gid://shopify/LineItem/102', quantity: 1 }] }))
+
+    expect(fulfillments(client)).toEqual([[[{
+      fulfillmentOrderId: FULFILLMENT_ORDER.id,
+      fulfillmentOrderLineItems: [{ id: 'gid://shopify/FulfillmentOrderLineItem/2', quantity: 1 }]
+    }]]])
+    expect((await load()).fulfilledLineItems).toEqual({ 'gid://shopify/LineItem/102': 1 })
+  })
+
+  it('reports the userErrors so the queue retries it', async () => {
+    await saveSent(file(1), file(2))
+    const { handlers } = setup({ client: createFakeClient({ userErrors: [{ field: null, message: 'Fulfillment order is on hold' }] }) })
+
+    const { errors } = await handlers[JOB_TYPE.FULFILLMENT](fulfillmentJob({}))
+
+    expect(errors.data.fulfillment0.userErrors).toEqual([{ field: null, message: 'Fulfillment order is on hold' }])
+    expect((await load()).status).toBe(ORDER_STATUS.FILES_PARTIALLY_SENT)
+  })
+
+  it('does nothing once the order is fulfilled', async () => {
+    const state = await saveSent(file(1))
+    await orderStates.save(transition(state, ORDER_EVENT.FULFILLED, { actor: 'test' }))
+    const { client, handlers } = setup()
+
+    expect(await handlers[JOB_TYPE.FULFILLMENT](fulfillmentJob({}))).toBeUndefined()
+    expect(client.request).not.toHaveBeenCalled()
+  })
+})
+
+describe('order lock', () => {
+  it('waits for a webhook saving the same order instead of overwriting its state', async () => {
+    const { transport, handlers } = setup()
+    let finish
+    const webhook = processWebhookOnce('webhook-1', ORDER_ID, async () => {
+      await new Promise((resolve) => { finish = resolve })
+      await saveSent(file(1))
+    })
+    await vi.waitFor(() => expect(finish).toBeDefined())
+
+    await expect(handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(2)] }))).rejects.toThrow('Order #1042 is being processed')
+    expect(transport.sendMail).not.toHaveBeenCalled()
+
+    finish()
+    await webhook
+    await handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(2)] }))
+
+    expect(Object.keys((await load()).files)).toEqual(['design-1', 'design-2'])
+  })
+
+  it('releases the lock when the job fails', async () => {
+    const transport = { sendMail: vi.fn(async () => { throw new Error('421 Service not available') }) }
+    const { handlers } = setup({ transport })
+
+    await expect(handlers[JOB_TYPE.EMAIL](emailJob({ files: [file(1)] }))).rejects.toThrow('421 Service not available')
+    expect(await acquireOrderLock(ORDER_ID)).toBeTruthy()
+  })
+})
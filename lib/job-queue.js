@@ -0,0 +1,181 @@
+import crypto from 'node:crypto'
+import { getStore } from './storage'
+
+// Durable queue for the work that failed inside a webhook or cron (emails, order state writes, fulfillments).
+// Jobs are retried with exponential backoff by `drainQueue` (see `pages/api/job-queue-cronjob.js`) and moved
+// to the dead-letter list after `MAX_ATTEMPTS`.
+//
+// job: {
+//   id, type, payload, orderId, orderNumber, dedupKey,
+//   attempts, nextRunAt, createdAt,
+//   errors: [{ at, error }]
+// }
+
+export const JOB_TYPE = {
+  EMAIL: 'email',
+  ORDER_STATE: 'order-state',
+  FULFILLMENT: 'fulfillment'
+}
+
+// outcome of `retryDeadLetter`
+export const RETRY_STATUS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  // someone else is retrying the same job
+  BUSY: 'busy',
+  // it was already retried, skipped or fulfilled
+  MISSING: 'missing'
+}
+
+export const MAX_ATTEMPTS = 5
+const BASE_DELAY = 60 * 1000
+const MAX_DELAY = 6 * 60 * 60 * 1000
+const DRAIN_LOCK_TTL = 5 * 60 * 1000
+
+const QUEUE_KEY = 'job-queue:pending'
+const DEAD_LETTER_KEY = 'job-queue:dead'
+
+export function getBackoffDelay(attempts) {
+  return Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY)
+}
+
+// `error` is the failure that made the work end up in the queue, it counts as the first attempt.
+// Resolves to `undefined` when a job with the same `dedupKey` is already pending.
+export async function enqueueJob(type, payload, { orderId, orderNumber, dedupKey = null, error }) {
+  const now = new Date()
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    orderId,
+    orderNumber,
+    dedupKey,
+    attempts: 1,
+    nextRunAt: new Date(now.getTime() + getBackoffDelay(1)).toISOString(),
+    createdAt: now.toISOString(),
+    errors: [{ at: now.toISOString(), error }]
+  }
+
+  let isQueued
+  await getStore().update(QUEUE_KEY, (jobs = []) => {
+    isQueued = !dedupKey || !jobs.some((pending) => pending.dedupKey === dedupKey)
+    return isQueued ? [...jobs, job] : jobs
+  })
+
+  if (isQueued) console.log(`Queued ${type} job ${job.id} for order ${orderNumber}`)
+
+  return isQueued ? job : undefined
+}
+
+export async function isJobPending(dedupKey) {
+  const jobs = (await getStore().get(QUEUE_KEY)) ?? []
+  return jobs.some((job) => job.dedupKey === dedupKey)
+}
+
+export async function getPendingJobs() {
+  return (await getStore().get(QUEUE_KEY)) ?? []
+}
+
+export async function getDeadLetters() {
+  return (await getStore().get(DEAD_LETTER_KEY)) ?? []
+}
+
+// keeps track of a failed manual action on a dead job
+export async function appendDeadLetterError(jobId, error) {
+  await getStore().update(DEAD_LETTER_KEY, (jobs = []) => jobs.map((job) => (
+    job.id === jobId ? { ...job, errors: [...job.errors, { at: new Date().toISOString(), error }] } : job
+  )))
+}
+
+export async function removeDeadLetter(jobId) {
+  await getStore().update(DEAD_LETTER_KEY, (jobs = []) => jobs.filter(({ id }) => id !== jobId))
+}
+
+// resolves to what made `job` fail, `undefined` when its handler succeeded
+async function runJob(job, handlers) {
+  try {
+    const handler = handlers[job.type]
+    if (!handler) throw new Error(`No handler for job type "${job.type}"`)
+
+    return (await handler(job))?.errors
+  } catch (e) {
+    return e.message
+  }
+}
+
+// Runs a single dead job right away with `handlers[job.type](job)`, e.g. from the dashboard. It leaves the dead-letter
+// list when it succeeds and stays there with one more attempt and the new error when it fails. Resolves to
+// `{ status, job }`, `status` is a RETRY_STATUS.
+export async function retryDeadLetter(jobId, handlers) {
+  const lockKey = `lock:job:${jobId}`
+  if (!(await getStore().add(lockKey, true, { ttl: DRAIN_LOCK_TTL }))) return { status: RETRY_STATUS.BUSY }
+
+  try {
+    const job = (await getDeadLetters()).find(({ id }) => id === jobId)
+    if (!job) return { status: RETRY_STATUS.MISSING }
+
+    const error = await runJob(job, handlers)
+    if (!error) {
+      await removeDeadLetter(jobId)
+      return { status: RETRY_STATUS.SUCCEEDED, job }
+    }
+
+    let failedJob
+    await getStore().update(DEAD_LETTER_KEY, (jobs = []) => jobs.map((deadJob) => {
+      if (deadJob.id !== jobId) return deadJob
+
+      failedJob = { ...deadJob, attempts: deadJob.attempts + 1, errors: [...deadJob.errors, { at: new Date().toISOString(), error }] }
+      return failedJob
+    }))
+
+    return { status: RETRY_STATUS.FAILED, job: failedJob ?? job }
+  } finally {
+    await getStore().delete(lockKey)
+  }
+}
+
+// Runs every due job with `handlers[job.type](job)`, a handler resolves to `{ errors }` (`undefined` on success)
+// or throws. `onDeadLetter(job)` is called for each job that ran out of attempts.
+export async function drainQueue(handlers, { onDeadLetter } = {}) {
+  const summary = { processed: 0, succeeded: 0, retried: 0, deadLettered: 0 }
+
+  // a single drain at a time, an overlapping cron call just skips
+  if (!(await getStore().add('lock:job-queue', true, { ttl: DRAIN_LOCK_TTL }))) return { ...summary, skipped: true }
+
+  try {
+    const now = new Date()
+    const dueJobs = (await getPendingJobs()).filter((job) => new Date(job.nextRunAt).getTime() <= now.getTime())
+
+    for (const job of dueJobs) {
+      summary.processed++
+
+      const error = await runJob(job, handlers)
+      const attempts = job.attempts + 1
+      const failedJob = error && {
+        ...job,
+        attempts,
+        nextRunAt: new Date(now.getTime() + getBackoffDelay(attempts)).toISOString(),
+        errors: [...job.errors, { at: new Date().toISOString(), error }]
+      }
+
+      await getStore().update(QUEUE_KEY, (jobs = []) => {
+        const remaining = jobs.filter(({ id }) => id !== job.id)
+        return failedJob && attempts < MAX_ATTEMPTS ? [...remaining, failedJob] : remaining
+      })
+
+      if (!failedJob) {
+        summary.succeeded++
+      } else if (attempts < MAX_ATTEMPTS) {
+        summary.retried++
+      } else {
+        summary.deadLettered++
+        await getStore().update(DEAD_LETTER_KEY, (jobs = []) => [...jobs, failedJob])
+        if (onDeadLetter) await onDeadLetter(failedJob)
+      }
+    }
+  } finally {
+    await getStore().delete('lock:job-queue')
+  }
+
+  return summary
+}
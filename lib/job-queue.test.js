@@ -0,0 +1,201 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createMemoryStore, getStore, setStore } from './storage'
+import {
+  JOB_TYPE,
+  MAX_ATTEMPTS,
+  RETRY_STATUS,
+  drainQueue,
+  enqueueJob,
+  getBackoffDelay,
+  getDeadLetters,
+  getPendingJobs,
+  retryDeadLetter
+} from './job-queue'
+
+const ORDER = { orderId: 'gid://shopify/Order/5620328415512', orderNumber: '#1042' }
+const MINUTE = 60 * 1000
+
+beforeEach(() => {
+  setStore(createMemoryStore())
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+// drains until the job runs out of attempts, moving the clock past each backoff
+async function deadLetter(type, handlers) {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  const job = await enqueueJob(type, { state: {} }, { ...ORDER, error: 'first failure' })
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    vi.advanceTimersByTime(24 * 60 * 60 * 1000)
+    await drainQueue(handlers)
+  }
+  vi.useRealTimers()
+
+  return job
+}
+
+describe('getBackoffDelay', () => {
+  it('doubles from a minute up to six hours', () => {
+    expect([1, 2, 3, 4, 5, 6, 9, 10, 20].map(getBackoffDelay)).toEqual([
+      MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE, 16 * MINUTE, 32 * MINUTE, 256 * MINUTE, 360 * MINUTE, 360 * MINUTE
+    ])
+  })
+})
+
+describe('enqueueJob', () => {
+  it('counts the failure as the first attempt and runs the job a minute later', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-03-02T10:00:00Z'))
+
+    const job = await enqueueJob(JOB_TYPE.EMAIL, { mail: {} }, { ...ORDER, error: 'SMTP down' })
+    expect(job).toMatchObject({
+      type: JOB_TYPE.EMAIL,
+      ...ORDER,
+      attempts: 1,
+      nextRunAt: '2026-03-02T10:01:00.000Z',
+      errors: [{ at: '2026-03-02T10:00:00.000Z', error: 'SMTP down' }]
+    })
+    expect(await getPendingJobs()).toEqual([job])
+  })
+
+  it('queues a single job per dedup key', async () => {
+    const job = await enqueueJob(JOB_TYPE.FULFILLMENT, {}, { ...ORDER, dedupKey: 'fulfillment:1', error: 'x' })
+    expect(await enqueueJob(JOB_TYPE.FULFILLMENT, {}, { ...ORDER, dedupKey: 'fulfillment:1', error: 'y' })).toBeUndefined()
+    await enqueueJob(JOB_TYPE.FULFILLMENT, {}, { ...ORDER, dedupKey: 'fulfillment:2', error: 'z' })
+
+    expect((await getPendingJobs()).map(({ dedupKey }) => dedupKey)).toEqual(['fulfillment:1', 'fulfillment:2'])
+    expect((await getPendingJobs())[0].id).toBe(job.id)
+  })
+})
+
+describe('drainQueue', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-03-02T10:00:00Z'))
+  })
+
+  it('runs the due jobs and drops the ones that succeed', async () => {
+    const job = await enqueueJob(JOB_TYPE.EMAIL, { mail: {} }, { ...ORDER, error: 'SMTP down' })
+    const handlers = { [JOB_TYPE.EMAIL]: vi.fn(async () => undefined) }
+
+    expect(await drainQueue(handlers)).toEqual({ processed: 0, succeeded: 0, retried: 0, deadLettered: 0 })
+
+    vi.advanceTimersByTime(MINUTE)
+    expect(await drainQueue(handlers)).toEqual({ processed: 1, succeeded: 1, retried: 0, deadLettered: 0 })
+    expect(handlers[JOB_TYPE.EMAIL]).toHaveBeenCalledWith(job)
+    expect(await getPendingJobs()).toEqual([])
+  })
+
+  it('retries a failing job on the backoff schedule and dead-letters it after MAX_ATTEMPTS', async () => {
+    await enqueueJob(JOB_TYPE.ORDER_STATE, { state: {} }, { ...ORDER, error: 'first failure' })
+    const handlers = {
+      [JOB_TYPE.ORDER_STATE]: vi.fn()
+        .mockResolvedValueOnce({ errors: { userErrors: [{ message: 'Throttled' }] } })
+        .mockRejectedValue(new Error('Shopify is down'))
+    }
+    const onDeadLetter = vi.fn()
+
+    const runAt = []
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      const [pending] = await getPendingJobs()
+      runAt.push(pending.nextRunAt)
+
+      // not due a second earlier
+      vi.setSystemTime(new Date(pending.nextRunAt).getTime() - 1000)
+      expect((await drainQueue(handlers, { onDeadLetter })).processed).toBe(0)
+
+      vi.setSystemTime(new Date(pending.nextRunAt))
+      const summary = await drainQueue(handlers, { onDeadLetter })
+      expect(summary).toMatchObject(attempt < MAX_ATTEMPTS ? { retried: 1 } : { deadLettered: 1 })
+    }
+
+    expect(runAt).toEqual([
+      '2026-03-02T10:01:00.000Z',
+      '2026-03-02T10:03:00.000Z',
+      '2026-03-02T10:07:00.000Z',
+      '2026-03-02T10:15:00.000Z'
+    ])
+    expect(await getPendingJobs()).toEqual([])
+
+    const [deadJob] = await getDeadLetters()
+    expect(deadJob.attempts).toBe(MAX_ATTEMPTS)
+    expect(deadJob.errors.map(({ error }) => error)).toEqual([
+      'first failure',
+      { userErrors: [{ message: 'Throttled' }] },
+      'Shopify is down',
+      'Shopify is down',
+      'Shopify is down'
+    ])
+    expect(onDeadLetter).toHaveBeenCalledTimes(1)
+    expect(onDeadLetter).toHaveBeenCalledWith(deadJob)
+  })
+
+  it('fails jobs without a handler', async () => {
+    await enqueueJob('unknown', {}, { ...ORDER, error: 'x' })
+    vi.advanceTimersByTime(MINUTE)
+    await drainQueue({})
+
+    expect((await getPendingJobs())[0].errors.at(-1).error).toBe('No handler for job type "unknown"')
+  })
+
+  it('skips while another drain holds the lock', async () => {
+    await getStore().add('lock:job-queue', true)
+    await enqueueJob(JOB_TYPE.EMAIL, {}, { ...ORDER, error: 'x' })
+    vi.advanceTimersByTime(MINUTE)
+
+    const handlers = { [JOB_TYPE.EMAIL]: vi.fn() }
+    expect(await drainQueue(handlers)).toMatchObject({ processed: 0, skipped: true })
+    expect(handlers[JOB_TYPE.EMAIL]).not.toHaveBeenCalled()
+  })
+})
+
+describe('retryDeadLetter', () => {
+  it('runs only that job and drops it when it succeeds', async () => {
+    const failing = { [JOB_TYPE.ORDER_STATE]: async () => ({ errors: 'still failing' }) }
+    const job = await deadLetter(JOB_TYPE.ORDER_STATE, failing)
+    const other = await enqueueJob(JOB_TYPE.EMAIL, {}, { ...ORDER, error: 'SMTP down' })
+
+    const handlers = { [JOB_TYPE.ORDER_STATE]: vi.fn(async () => undefined), [JOB_TYPE.EMAIL]: vi.fn() }
+    expect(await retryDeadLetter(job.id, handlers)).toMatchObject({ status: RETRY_STATUS.SUCCEEDED, job: { id: job.id } })
+
+    expect(handlers[JOB_TYPE.ORDER_STATE]).toHaveBeenCalledTimes(1)
+    expect(handlers[JOB_TYPE.EMAIL]).not.toHaveBeenCalled()
+    expect(await getDeadLetters()).toEqual([])
+    expect((await getPendingJobs()).map(({ id }) => id)).toEqual([other.id])
+  })
+
+  it('keeps a job that fails again with the new error', async () => {
+    const failing = { [JOB_TYPE.ORDER_STATE]: async () => ({ errors: 'still failing' }) }
+    const job = await deadLetter(JOB_TYPE.ORDER_STATE, failing)
+
+    const { status, job: failedJob } = await retryDeadLetter(job.id, {
+      [JOB_TYPE.ORDER_STATE]: async () => { throw new Error('Shopify is down') }
+    })
+
+    expect(status).toBe(RETRY_STATUS.FAILED)
+    expect(failedJob.attempts).toBe(MAX_ATTEMPTS + 1)
+    expect(failedJob.errors.at(-1).error).toBe('Shopify is down')
+    expect(await getDeadLetters()).toEqual([failedJob])
+    expect(await getPendingJobs()).toEqual([])
+  })
+
+  it('reports a job that is gone or already being retried', async () => {
+    const failing = { [JOB_TYPE.ORDER_STATE]: async () => ({ errors: 'still failing' }) }
+    const job = await deadLetter(JOB_TYPE.ORDER_STATE, failing)
+
+    let finish
+    const handlers = { [JOB_TYPE.ORDER_STATE]: () => new Promise((resolve) => { finish = resolve }) }
+    const first = retryDeadLetter(job.id, handlers)
+    await vi.waitFor(() => expect(finish).toBeDefined())
+
+    expect(await retryDeadLetter(job.id, handlers)).toEqual({ status: RETRY_STATUS.BUSY })
+
+    finish()
+    expect((await first).status).toBe(RETRY_STATUS.SUCCEEDED)
+    expect(await retryDeadLetter(job.id, handlers)).toEqual({ status: RETRY_STATUS.MISSING })
+  })
+})
@@ -0,0 +1,73 @@
+// Which line items of an order are design files, delivered by email, and which are printed and shipped by the
+// warehouse. `rules` is `{ productTypes, tags, skuPrefixes }` (DIGITAL_PRODUCT_TYPES, DIGITAL_PRODUCT_TAGS and
+// DIGITAL_SKU_PREFIXES, see `lib/config`): a line item is digital when its product type or one of its product tags
+// is listed, or its SKU starts with a listed prefix. Without any rule every line item is digital, as in a shop
+// that only sells design files.
+//
+// The design email only maps files to and fulfills the digital line items, the physical ones stay open.
+
+const lowerCase = (values) => values.map((value) => value.toLowerCase())
+
+// rules on the product type or tags need the product, the webhook payload doesn't have it
+export function needsProductDetails(rules = {}) {
+  return (rules.productTypes?.length ?? 0) + (rules.tags?.length ?? 0) > 0
+}
+
+// `lineItem` as in the GraphQL API: `{ sku, product: { productType, tags } }`
+export function isDigitalLineItem(lineItem, rules = {}) {
+  const { productTypes = [], tags = [], skuPrefixes = [] } = rules
+  if (productTypes.length + tags.length + skuPrefixes.length === 0) return true
+
+  const productTags = lowerCase(lineItem.product?.tags ?? [])
+  return lowerCase(productTypes).includes(lineItem.product?.productType?.toLowerCase()) ||
+    lowerCase(tags).some((tag) => productTags.includes(tag)) ||
+    skuPrefixes.some((prefix) => Boolean(lineItem.sku?.startsWith(prefix)))
+}
+
+const getLineItemProductsOperation = `
+  query GetLineItemProducts($id: ID!) {
+    order(id: $id) {
+      lineItems(first: 100) {
+        nodes {
+          id
+          product {
+            productType
+            tags
+          }
+        }
+      }
+    }
+  }
+`
+
+// splits the webhook `line_items` into `{ digital, physical, errors }`, the products are only read when the rules need them
+export async function classifyLineItems(client, orderId, line_items = [], rules = {}) {
+  let products = new Map()
+  if (needsProductDetails(rules)) {
+    const { data, errors } = await client.request(getLineItemProductsOperation, {
+      variables: {
+        id: orderId
+      }
+    })
+    if (errors) return { digital: [], physical: [], errors }
+
+    products = new Map((data?.order?.lineItems.nodes ?? []).map(({ id, product }) => [id, product]))
+  }
+
+  const digital = []
+  const physical = []
+  for (const lineItem of line_items) {
+    const isDigital = isDigitalLineItem({
+      sku: lineItem.sku,
+      product: products.get(lineItem.admin_graphql_api_id) ?? null
+    }, rules)
+
+    if (isDigital) {
+      digital.push(lineItem)
+    } else {
+      physical.push(lineItem)
+    }
+  }
+
+  return { digital, physical }
+}
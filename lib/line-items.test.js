@@ -0,0 +1,133 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { classifyLineItems, isDigitalLineItem, needsProductDetails } from './line-items'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+
+const lineItem = (sku, productType, tags = []) => ({ sku, product: { productType, tags } })
+
+describe('isDigitalLineItem', () => {
+  it('makes every line item digital without rules', () => {
+    expect(isDigitalLineItem(lineItem('PRINT-A3', 'Poster'))).toBe(true)
+    expect(isDigitalLineItem({ sku: null, product: null }, { productTypes: [], tags: [], skuPrefixes: [] })).toBe(true)
+  })
+
+  it('matches the product type, whatever its case', () => {
+    const rules = { productTypes: ['Digital Design'] }
+
+    expect(isDigitalLineItem(lineItem('A1', 'digital design'), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('A1', 'Digital Design Kit'), rules)).toBe(false)
+    expect(isDigitalLineItem({ sku: 'A1', product: null }, rules)).toBe(false)
+  })
+
+  it('matches any of the product tags, whatever their case', () => {
+    const rules = { tags: ['download', 'Digital'] }
+
+    expect(isDigitalLineItem(lineItem('A1', 'Poster', ['sale', 'DIGITAL']), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('A1', 'Poster', ['downloadable']), rules)).toBe(false)
+  })
+
+  it('matches the start of the SKU', () => {
+    const rules = { skuPrefixes: ['DIG-', 'PDF'] }
+
+    expect(isDigitalLineItem(lineItem('DIG-MUG', null), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('PDF001', null), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('MUG-DIG-', null), rules)).toBe(false)
+    expect(isDigitalLineItem(lineItem('dig-mug', null), rules)).toBe(false)
+    expect(isDigitalLineItem(lineItem(null, null), rules)).toBe(false)
+  })
+
+  it('is digital when any rule matches', () => {
+    const rules = { productTypes: ['Design'], tags: ['download'], skuPrefixes: ['DIG-'] }
+
+    expect(isDigitalLineItem(lineItem('PRINT-A3', 'Design'), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('PRINT-A3', 'Poster', ['download']), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('DIG-A3', 'Poster'), rules)).toBe(true)
+    expect(isDigitalLineItem(lineItem('PRINT-A3', 'Poster', ['print']), rules)).toBe(false)
+  })
+})
+
+describe('classifyLineItems', () => {
+  const LINE_ITEMS = [
+    { id: 101, admin_graphql_api_id: 'gid://shopify/LineItem/101', sku: 'DIG-MUG', quantity: 1 },
+    { id: 102, admin_graphql_api_id: 'gid://shopify/LineItem/102', sku: 'PRINT-A3', quantity: 2 },
+    { id: 103, admin_graphql_api_id: 'gid://shopify/LineItem/103', sku: 'A3', quantity: 1 }
+  ]
+  const PRODUCTS = {
+    order: {
+      lineItems: {
+        nodes: [
+          { id: 'gid://shopify/LineItem/101', product: { productType: 'Mug', tags: [] } },
+          { id: 'gid://shopify/LineItem/102', product: { productType: 'Poster', tags: ['print'] } },
+          { id: 'gid://shopify/LineItem/103', product: { productType: 'Design', tags: [] } }
+        ]
+      }
+    }
+  }
+  const stubClient = (response) => ({ request: vi.fn(async () => response) })
+  const ids = ({ digital, physical }) => ({ digital: digital.map(({ id }) => id), physical: physical.map(({ id }) => id) })
+
+  it('only reads the products for rules on the product type or tags', async () => {
+    const client = stubClient({ data: PRODUCTS })
+
+    expect(needsProductDetails({ skuPrefixes: ['DIG-'] })).toBe(false)
+    expect(ids(await classifyLineItems(client, ORDER_ID, LINE_ITEMS, { skuPrefixes: ['DIG-'] })))
+      .toEqual({ digital: [101], physical: [102, 103] })
+    expect(ids(await classifyLineItems(client, ORDER_ID, LINE_ITEMS))).toEqual({ digital: [101, 102, 103], physical: [] })
+    expect(client.request).not.toHaveBeenCalled()
+  })
+
+  it('matches the products read from the order by line item GID', async () => {
+    const client = stubClient({ data: PRODUCTS })
+    const rules = { productTypes: ['Design'], skuPrefixes: ['DIG-'] }
+
+    expect(needsProductDetails(rules)).toBe(true)
+    expect(ids(await classifyLineItems(client, ORDER_ID, LINE_ITEMS, rules))).toEqual({ digital: [101, 103], physical: [102] })
+    expect(client.request).toHaveBeenCalledWith(expect.stringContaining('GetLineItemProducts'), { variables: { id: ORDER_ID } })
+  })
+
+  it('leaves a line item whose product isn\'t found physical under product rules', async () => {
+    const client = stubClient({ data: { order: null } })
+
+    expect(ids(await classifyLineItems(client, ORDER_ID, LINE_ITEMS, { tags: ['download'] })))
+      .toEqual({ digital: [], physical: [101, 102, 103] })
+  })
+
+  // the webhook throws on `errors`, so the delivery fails with a 500 and Shopify sends it again
+  it('returns the errors of the products query instead of a classification', async () => {
+    const errors = { message: 'Throttled' }
+    const client = stubClient({ errors })
+
+    expect(await classifyLineItems(client, ORDER_ID, LINE_ITEMS, { productTypes: ['Design'] }))
+      .toEqual({ digital: [], physical: [], errors })
+  })
+})
+
+describe('order webhook', () => {
+  afterEach(() => {
+    vi.doUnmock('micro')
+    vi.doUnmock('./shopify-webhook')
+    vi.doUnmock('./services')
+    vi.resetModules()
+    vi.restoreAllMocks()
+  })
+
+  it('fails the delivery without recording it when the line items can\'t be classified', async () => {
+    const order = { admin_graphql_api_id: ORDER_ID, name: '#1042', line_items: [], note_attributes: [] }
+    const classify = vi.fn(async () => ({ digital: [], physical: [], errors: { message: 'Throttled' } }))
+    vi.doMock('micro', () => ({ buffer: async () => Buffer.from(JSON.stringify(order)) }))
+    vi.doMock('./shopify-webhook', () => ({ verifyWebhook: async () => true }))
+    vi.doMock('./services', () => ({ getServices: () => ({ config: {}, classifyLineItems: classify }) }))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    const { setStore, createMemoryStore } = await import('./storage')
+    setStore(createMemoryStore())
+    const { default: handler } = await import('../pages/api/shopify-update-webhook')
+    const req = { headers: { 'x-shopify-webhook-id': 'webhook-1', 'x-shopify-topic': 'orders/updated' } }
+    const res = { status: vi.fn(() => res), send: vi.fn(() => res) }
+
+    // Next answers a handler that throws with a 500
+    await expect(handler(req, res)).rejects.toThrow('Failed to read the line items of #1042')
+    await expect(handler(req, res)).rejects.toThrow('Failed to read the line items of #1042')
+    expect(classify).toHaveBeenCalledTimes(2)
+    expect(res.status).not.toHaveBeenCalled()
+  })
+})
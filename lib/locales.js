@@ -0,0 +1,24 @@
+// Customer locales and the order in which their email languages are tried, `CUSTOMER_LOCALES` (see `lib/config`)
+// can point a locale to another one, e.g. `{"gl-ES":"es"}`.
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const DEFAULT_CUSTOMER_LOCALES = {}
+
+// `pt-BR` → `['pt-BR', 'pt', 'en']`, each locale followed by the one it's mapped to (if any)
+// and its parent, always ending in `DEFAULT_LANGUAGE`
+export function getLocaleChain(locale, locales = DEFAULT_CUSTOMER_LOCALES) {
+  const chain = []
+  const queue = locale ? [locale] : []
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    if (chain.includes(current)) continue
+
+    chain.push(current)
+    if (locales[current]) queue.push(locales[current])
+    if (current.includes('-')) queue.push(current.slice(0, current.lastIndexOf('-')))
+  }
+
+  return chain.includes(DEFAULT_LANGUAGE) ? chain : [...chain, DEFAULT_LANGUAGE]
+}
@@ -0,0 +1,37 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import nodemailer from 'nodemailer'
+
+function getCaptureFileName(messageId) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+
+  return `${timestamp}-${messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_')}.eml`
+}
+
+// Writes every email to `<captureDir>/<timestamp>-<message id>.eml` instead of sending it, so the whole flow
+// can run without an SMTP server. Same `sendMail` and `verify` as a nodemailer transport.
+export function createCaptureTransport(captureDir) {
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+
+  return {
+    sendMail: async (mail) => {
+      const { message, ...info } = await stream.sendMail(mail)
+      const fileName = getCaptureFileName(info.messageId)
+
+      await fs.mkdir(captureDir, { recursive: true })
+      await fs.writeFile(path.join(captureDir, fileName), message)
+      console.log(`Captured email "${mail.subject}" in ${fileName}`)
+
+      return { ...info, response: `captured ${fileName}` }
+    },
+    verify: async () => {
+      await fs.mkdir(captureDir, { recursive: true })
+      return true
+    }
+  }
+}
+
+// `config` from `lib/config`
+export function createMailTransport({ mailTransport, smtp, captureDir }) {
+  return mailTransport === 'capture' ? createCaptureTransport(captureDir) : nodemailer.createTransport(smtp)
+}
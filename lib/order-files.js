@@ -0,0 +1,87 @@
+import crypto from 'node:crypto'
+
+// Design files of an order, read from the webhook payload. The design app adds a note attribute with the
+// file URL for each unit ordered. A file belongs to:
+// - the line item with a property (`properties`) holding its URL
+// - the line item whose id is in the attribute name, e.g. `Design 14040441225445`
+// - otherwise the next unit without a file, in the order of the line items, so file N belongs to the Nth unit
+//
+// Each file is identified by `key`, a hash of its normalized URL, in the order state and the job queue.
+// Files sent before were recorded under `legacyKey` (also the `sent:img:<key>` tags), see `isFileSent` in `lib/order-state`.
+
+export function isValidURL(string) {
+  try {
+    new URL(string)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+// query parameters added by links in emails and ads, they don't change the file
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga)$/
+
+// the same file whatever the case of the host, the order of the query, its tracking parameters or the fragment
+export function normalizeUrl(url) {
+  const normalized = new URL(url)
+  normalized.hash = ''
+  for (const name of [...normalized.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(name)) normalized.searchParams.delete(name)
+  }
+  normalized.searchParams.sort()
+
+  return normalized.toString()
+}
+
+export function getFileKey(url) {
+  return `url:${crypto.createHash('sha256').update(normalizeUrl(url)).digest('hex').slice(0, 16)}`
+}
+
+// the first and last dash separated parts of the file name without `.png`, different designs can share it
+export function getLegacyFileKey(url) {
+  const parts = url.split('/').pop().replace('.png', '').split('-')
+  return `${parts[0]}-${parts[parts.length - 1]}`
+}
+
+// the line item an attribute names, through a property or its id, `undefined` when none does
+function findNamedLineItem(attr, line_items) {
+  const nameParts = attr.name.split(/\D+/)
+
+  return line_items.find((lineItem) => (lineItem.properties ?? []).some((property) => property.value === attr.value)) ??
+    line_items.find((lineItem) => lineItem.id !== undefined && nameParts.includes(String(lineItem.id)))
+}
+
+// `[{ number, key, legacyKey, name, url, lineItem }]`, `number` starts at 1 and `lineItem` is `null` for a file without a unit
+export function getOrderFiles(note_attributes = [], line_items = []) {
+  const attrs = note_attributes.filter((attr) => attr.value && isValidURL(attr.value))
+  // units without a file yet by line item
+  const freeUnits = new Map(line_items.map((lineItem) => [lineItem, lineItem.quantity]))
+  const takeUnit = (lineItem) => {
+    if (!lineItem || !(freeUnits.get(lineItem) > 0)) return null
+
+    freeUnits.set(lineItem, freeUnits.get(lineItem) - 1)
+    return lineItem
+  }
+
+  const namedLineItems = attrs.map((attr) => takeUnit(findNamedLineItem(attr, line_items)))
+
+  return attrs.map((attr, index) => ({
+    number: index + 1,
+    key: getFileKey(attr.value),
+    legacyKey: getLegacyFileKey(attr.value),
+    name: attr.name,
+    url: attr.value,
+    lineItem: namedLineItems[index] ?? takeUnit(line_items.find((lineItem) => freeUnits.get(lineItem) > 0))
+  }))
+}
+
+// `[{ lineItemId, quantity }]` for `fulfillLineItems` (see `lib/fulfillment`), one unit per line item GID,
+// `null` ids (files without a line item) are left out
+export function countLineItems(lineItemIds) {
+  const quantities = new Map()
+  for (const lineItemId of lineItemIds) {
+    if (lineItemId) quantities.set(lineItemId, (quantities.get(lineItemId) ?? 0) + 1)
+  }
+
+  return [...quantities].map(([lineItemId, quantity]) => ({ lineItemId, quantity }))
+}
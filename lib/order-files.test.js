@@ -0,0 +1,156 @@
+import { describe, expect, it } from 'vitest'
+import { getFileKey, getLegacyFileKey, getOrderFiles, normalizeUrl } from './order-files'
+import { createOrderState, fromLegacyTags, isFileSent, recordFileSent } from './order-state'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+const CDN = 'https://cdn.shopify.com/s/files/1/0000/0001/files'
+
+const attr = (name, value) => ({ name, value })
+
+describe('getFileKey', () => {
+  it('is the same for a URL that only differs in the query order, tracking parameters, host case or fragment', () => {
+    const key = getFileKey(`${CDN}/design.png?v=2&width=800`)
+
+    expect(getFileKey(`${CDN}/design.png?width=800&v=2`)).toBe(key)
+    expect(getFileKey(`${CDN}/design.png?utm_source=email&v=2&width=800&utm_campaign=teeinblue&fbclid=x`)).toBe(key)
+    expect(getFileKey(`https://CDN.Shopify.com/s/files/1/0000/0001/files/design.png?v=2&width=800#preview`)).toBe(key)
+    expect(normalizeUrl(`${CDN}/design.png?width=800&gclid=x&v=2`)).toBe(`${CDN}/design.png?v=2&width=800`)
+  })
+
+  it('differs for another file or version', () => {
+    const key = getFileKey(`${CDN}/design.png?v=2`)
+
+    expect(getFileKey(`${CDN}/design.png?v=3`)).not.toBe(key)
+    expect(getFileKey(`${CDN}/design.png`)).not.toBe(key)
+    expect(getFileKey(`${CDN}/Design.png?v=2`)).not.toBe(key)
+    expect(key).toMatch(/^url:[0-9a-f]{16}$/)
+  })
+
+  it('tells apart designs that share the legacy key', () => {
+    const a = `${CDN}/1042-front-blue-0001.png`
+    const b = `${CDN}/1042-back-red-0001.png`
+
+    expect(getLegacyFileKey(a)).toBe('1042-0001')
+    expect(getLegacyFileKey(b)).toBe('1042-0001')
+    expect(getFileKey(a)).not.toBe(getFileKey(b))
+  })
+})
+
+describe('isFileSent', () => {
+  const [file] = getOrderFiles([attr('Design 1', `${CDN}/1042-front-0001.png`)])
+  const send = (state, sent) => recordFileSent(state, sent.key, { ...sent, messageId: '<1@momentus.shop>' })
+
+  it('finds a file by its key, whatever tracking parameters its URL gets later', () => {
+    const state = send(createOrderState(ORDER_ID, '#1042'), file)
+    const [tracked] = getOrderFiles([attr('Design 1', `${file.url}?utm_medium=email`)])
+
+    expect(isFileSent(state, file)).toBe(true)
+    expect(isFileSent(state, file.key)).toBe(true)
+    expect(isFileSent(state, tracked)).toBe(true)
+  })
+
+  it('falls back to the `sent:img:` tag of an order recorded before the migration', () => {
+    const state = fromLegacyTags(ORDER_ID, '#1042', ['sent:img:1042-0001'])
+
+    expect(isFileSent(state, file)).toBe(true)
+    // by key only, the legacy record can't be found
+    expect(isFileSent(state, file.key)).toBe(false)
+  })
+
+  it('only falls back to a legacy record of the same URL once URLs were recorded', () => {
+    const [other] = getOrderFiles([attr('Design 2', `${CDN}/1042-back-0001.png`)])
+    const state = {
+      ...createOrderState(ORDER_ID, '#1042'),
+      files: { '1042-0001': { name: 'Design 1', url: file.url, messageId: '<1@momentus.shop>', sentAt: '2026-03-01T10:00:00.000Z' } }
+    }
+
+    expect(isFileSent(state, file)).toBe(true)
+    expect(isFileSent(state, other)).toBe(false)
+  })
+
+  it('finds nothing on an order without files', () => {
+    const state = createOrderState(ORDER_ID, '#1042')
+
+    expect(getOrderFiles([], [])).toEqual([])
+    expect(getOrderFiles(undefined, undefined)).toEqual([])
+    expect(getOrderFiles([attr('gift_message', 'Happy birthday'), attr('Design 1', '')])).toEqual([])
+    expect(isFileSent(state, file)).toBe(false)
+    expect(fromLegacyTags(ORDER_ID, '#1042', ['vip'])).toBeUndefined()
+  })
+})
+
+describe('getOrderFiles', () => {
+  const lineItem = (id, quantity = 1, properties = []) => ({ id, quantity, properties })
+  const lineItemIds = (files) => files.map((file) => file.lineItem?.id ?? null)
+
+  it('maps a file to the line item with a property holding its URL first', () => {
+    const mug = lineItem(111, 1, [{ name: '_design', value: `${CDN}/mug.png` }])
+    const shirt = lineItem(222)
+
+    const files = getOrderFiles([attr('Design 222', `${CDN}/mug.png`), attr('Design', `${CDN}/shirt.png`)], [shirt, mug])
+
+    expect(lineItemIds(files)).toEqual([111, 222])
+    expect(files[0]).toEqual({
+      number: 1,
+      key: getFileKey(`${CDN}/mug.png`),
+      legacyKey: 'mug-mug',
+      name: 'Design 222',
+      url: `${CDN}/mug.png`,
+      lineItem: mug
+    })
+  })
+
+  it('then to the line item whose id is in the attribute name', () => {
+    const files = getOrderFiles(
+      [attr('Design (111)', `${CDN}/a.png`), attr('Design_222_back', `${CDN}/b.png`), attr('Design 2222', `${CDN}/c.png`)],
+      [lineItem(111), lineItem(222), lineItem(333)]
+    )
+
+    // `2222` isn't the id 222, the third file takes the next free unit
+    expect(lineItemIds(files)).toEqual([111, 222, 333])
+  })
+
+  it('then to the next unit without a file, in the order of the line items', () => {
+    const files = getOrderFiles(
+      [attr('Design 1', `${CDN}/a.png`), attr('Design 333', `${CDN}/b.png`), attr('Design 3', `${CDN}/c.png`)],
+      [lineItem(111), lineItem(222), lineItem(333)]
+    )
+
+    // the named file keeps its unit even though it comes before an unnamed one
+    expect(lineItemIds(files)).toEqual([111, 333, 222])
+  })
+
+  it('gives a line item with a quantity above 1 as many files', () => {
+    const files = getOrderFiles(
+      [attr('Design 1', `${CDN}/a.png`), attr('Design 2', `${CDN}/b.png`), attr('Design 3', `${CDN}/c.png`)],
+      [lineItem(111, 2), lineItem(222)]
+    )
+
+    expect(lineItemIds(files)).toEqual([111, 111, 222])
+  })
+
+  it('only maps a named line item while it has units without a file', () => {
+    const files = getOrderFiles(
+      [attr('Design 111', `${CDN}/a.png`), attr('Design 111 again', `${CDN}/b.png`)],
+      [lineItem(111), lineItem(222)]
+    )
+
+    expect(lineItemIds(files)).toEqual([111, 222])
+  })
+
+  it('leaves the files beyond the units without a line item', () => {
+    const files = getOrderFiles(
+      [attr('Design 1', `${CDN}/a.png`), attr('Design 2', `${CDN}/b.png`), attr('Design 3', `${CDN}/c.png`)],
+      [lineItem(111, 2)]
+    )
+
+    expect(lineItemIds(files)).toEqual([111, 111, null])
+    expect(files.map(({ number }) => number)).toEqual([1, 2, 3])
+  })
+
+  it('skips the attributes that aren\'t URLs', () => {
+    const files = getOrderFiles([attr('gift_message', 'Happy birthday'), attr('Design 1', `${CDN}/a.png`)], [lineItem(111)])
+
+    expect(files).toMatchObject([{ number: 1, name: 'Design 1', lineItem: { id: 111 } }])
+  })
+})
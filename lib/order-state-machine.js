@@ -0,0 +1,136 @@
+import crypto from 'node:crypto'
+import {
+  ORDER_STATUS,
+  getDueEscalationStages,
+  getOpenRevision,
+  isFileSent,
+  markFailed,
+  markFulfilled,
+  markNeedsAttention,
+  recordLineItemsFulfilled,
+  recordEscalation,
+  recordFileSent,
+  recordPrintNotified,
+  requestRevision,
+  startEscalation
+} from './order-state'
+
+// Every change to an order state goes through `transition`, which checks the event is legal from the
+// current status, applies it and appends an entry to the order audit trail (`state.history`):
+// { at, event, from, to, actor, payloadHash, details }
+
+export const ORDER_EVENT = {
+  ESCALATION_STARTED: 'escalation_started',
+  NOTIFIED: 'notified',
+  FILE_SENT: 'file_sent',
+  NEEDS_ATTENTION: 'needs_attention',
+  LINE_ITEMS_FULFILLED: 'line_items_fulfilled',
+  FULFILLED: 'fulfilled',
+  PRINT_NOTIFIED: 'print_notified',
+  REVISION_REQUESTED: 'revision_requested',
+  FAILED: 'failed'
+}
+
+const {
+  RECEIVED,
+  AWAITING_FILES,
+  FILES_PARTIALLY_SENT,
+  NOTIFIED,
+  NEEDS_ATTENTION,
+  FULFILLED,
+  REVISION_REQUESTED,
+  FAILED
+} = ORDER_STATUS
+const OPEN_STATUSES = [RECEIVED, AWAITING_FILES, FILES_PARTIALLY_SENT, NOTIFIED, NEEDS_ATTENTION, FAILED]
+// a revision reopens the delivery of a fulfilled order until its new file is sent
+const DELIVERY_STATUSES = [...OPEN_STATUSES, REVISION_REQUESTED]
+
+const transitions = {
+  [ORDER_EVENT.ESCALATION_STARTED]: {
+    from: [RECEIVED, FAILED],
+    guard: (state) => state.escalationStartedAt === null,
+    apply: (state) => startEscalation(state)
+  },
+  // one stage of the escalation ladder was sent
+  [ORDER_EVENT.NOTIFIED]: {
+    from: [AWAITING_FILES, NOTIFIED],
+    guard: (state, { stage }) => getDueEscalationStages(state, [stage]).length === 1,
+    apply: (state, { stage }) => recordEscalation(state, stage.id)
+  },
+  [ORDER_EVENT.FILE_SENT]: {
+    from: DELIVERY_STATUSES,
+    guard: (state, { key, legacyKey, url }) => !isFileSent(state, { key, legacyKey, url }),
+    apply: (state, { key, legacyKey, name, url, messageId, preflight }) => (
+      recordFileSent(state, key, { name, url, legacyKey, messageId, preflight })
+    )
+  },
+  // some files failed the preflight, only a different set of problems than the one recorded is a new step
+  [ORDER_EVENT.NEEDS_ATTENTION]: {
+    from: DELIVERY_STATUSES,
+    guard: (state, { files }) => JSON.stringify(state.attention?.files ?? {}) !== JSON.stringify(files),
+    apply: (state, { files }) => markNeedsAttention(state, files)
+  },
+  // units fulfilled ahead of the whole order, as their files were sent
+  [ORDER_EVENT.LINE_ITEMS_FULFILLED]: {
+    from: DELIVERY_STATUSES,
+    apply: (state, { lineItems }) => recordLineItemsFulfilled(state, lineItems)
+  },
+  // an order with an open revision waits for its new file
+  [ORDER_EVENT.FULFILLED]: {
+    from: OPEN_STATUSES,
+    guard: (state) => getOpenRevision(state) === undefined,
+    apply: (state) => markFulfilled(state)
+  },
+  // the customer asked for changes (see `./revisions`), `previousKeys` are the files the order has now
+  [ORDER_EVENT.REVISION_REQUESTED]: {
+    from: [FULFILLED, REVISION_REQUESTED],
+    apply: (state, { message, previousKeys }) => requestRevision(state, { message, previousKeys })
+  },
+  // the "print in production" email went out, once the design files were delivered. Orders fulfilled before
+  // `printNotifiedAt` existed, or migrated from the `Entregue` tag (no `fulfilledAt`), don't get it
+  [ORDER_EVENT.PRINT_NOTIFIED]: {
+    from: [FULFILLED],
+    guard: (state) => state.printNotifiedAt === null && state.fulfilledAt !== null,
+    apply: (state) => recordPrintNotified(state)
+  },
+  [ORDER_EVENT.FAILED]: {
+    from: DELIVERY_STATUSES,
+    apply: (state, { error }) => markFailed(state, error)
+  }
+}
+
+export function hashPayload(payload) {
+  if (payload === undefined) return null
+
+  const content = Buffer.isBuffer(payload) || typeof payload === 'string' ? payload : JSON.stringify(payload)
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+export function canTransition(state, event, params = {}) {
+  const definition = transitions[event]
+  if (!definition || !definition.from.includes(state.status)) return false
+
+  return definition.guard ? definition.guard(state, params) : true
+}
+
+// `actor` identifies what triggered the step (e.g. `webhook:orders/updated:<webhook id>` or `cron:late-notification`),
+// `payload` is what it received and only its hash is kept, `details` is stored as is
+export function transition(state, event, { actor, payload, details, ...params } = {}) {
+  if (!canTransition(state, event, params)) {
+    throw new Error(`Illegal order transition "${event}" from "${state.status}" (order: ${state.orderNumber})`)
+  }
+
+  const nextState = transitions[event].apply(state, params)
+  const entry = {
+    at: nextState.updatedAt,
+    event,
+    from: state.status,
+    to: nextState.status,
+    actor,
+    payloadHash: hashPayload(payload),
+    // failures keep the error next to the step that caused it
+    details: details ?? params.error ?? null
+  }
+
+  return { ...nextState, history: [...(state.history ?? []), entry] }
+}
@@ -0,0 +1,197 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { ORDER_STATUS, createOrderState } from './order-state'
+import { ORDER_EVENT, canTransition, hashPayload, transition } from './order-state-machine'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+const NOW = new Date('2026-03-02T10:00:00Z')
+const HOUR = 60 * 60 * 1000
+
+const {
+  RECEIVED,
+  AWAITING_FILES,
+  FILES_PARTIALLY_SENT,
+  NOTIFIED,
+  NEEDS_ATTENTION,
+  FULFILLED,
+  REVISION_REQUESTED,
+  FAILED
+} = ORDER_STATUS
+
+const file = {
+  key: 'url:0123456789abcdef',
+  legacyKey: 'design-1',
+  name: 'Design 1',
+  url: 'https://cdn.shopify.com/s/files/1/0000/0001/files/design-1.png',
+  messageId: '<1@momentus.shop>'
+}
+const problems = { 'url:fedcba9876543210': { name: 'Design 2', url: file.url, problems: ['too small'] } }
+
+// an order in `status` that passes every guard of the events leaving it
+const stateIn = (status) => ({
+  ...createOrderState(ORDER_ID, '#1042'),
+  status,
+  escalationStartedAt: [RECEIVED, FAILED].includes(status) ? null : new Date(NOW.getTime() - HOUR).toISOString(),
+  fulfilledAt: [FULFILLED, REVISION_REQUESTED].includes(status) ? NOW.toISOString() : null
+})
+
+const OPEN = [RECEIVED, AWAITING_FILES, FILES_PARTIALLY_SENT, NOTIFIED, NEEDS_ATTENTION, FAILED]
+const DELIVERY = [...OPEN, REVISION_REQUESTED]
+
+// the statuses each event may leave, with parameters passing its guard
+const TABLE = [
+  [ORDER_EVENT.ESCALATION_STARTED, {}, [RECEIVED, FAILED]],
+  [ORDER_EVENT.NOTIFIED, { stage: { id: 'internal-alert', after: 15 * 60 * 1000 } }, [AWAITING_FILES, NOTIFIED]],
+  [ORDER_EVENT.FILE_SENT, file, DELIVERY],
+  [ORDER_EVENT.NEEDS_ATTENTION, { files: problems }, DELIVERY],
+  [ORDER_EVENT.LINE_ITEMS_FULFILLED, { lineItems: [{ lineItemId: 'gid://shopify/LineItem/101', quantity: 1 }] }, DELIVERY],
+  [ORDER_EVENT.FULFILLED, {}, OPEN],
+  [ORDER_EVENT.REVISION_REQUESTED, { message: 'Bigger letters', previousKeys: [] }, [FULFILLED, REVISION_REQUESTED]],
+  [ORDER_EVENT.PRINT_NOTIFIED, {}, [FULFILLED]],
+  [ORDER_EVENT.FAILED, { error: 'Timeout' }, DELIVERY]
+]
+
+// the status each event leads to
+const TARGETS = {
+  [ORDER_EVENT.ESCALATION_STARTED]: AWAITING_FILES,
+  [ORDER_EVENT.NOTIFIED]: NOTIFIED,
+  [ORDER_EVENT.FILE_SENT]: FILES_PARTIALLY_SENT,
+  [ORDER_EVENT.NEEDS_ATTENTION]: NEEDS_ATTENTION,
+  [ORDER_EVENT.FULFILLED]: FULFILLED,
+  [ORDER_EVENT.REVISION_REQUESTED]: REVISION_REQUESTED,
+  [ORDER_EVENT.FAILED]: FAILED
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(NOW)
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('transition table', () => {
+  it('covers every event', () => {
+    expect(TABLE.map(([event]) => event).sort()).toEqual(Object.values(ORDER_EVENT).sort())
+  })
+
+  for (const [event, params, allowed] of TABLE) {
+    for (const status of Object.values(ORDER_STATUS)) {
+      const legal = allowed.includes(status)
+
+      it(`${legal ? 'allows' : 'refuses'} ${event} from ${status}`, () => {
+        const state = stateIn(status)
+        expect(canTransition(state, event, params)).toBe(legal)
+
+        if (legal) {
+          // events without a target keep the status
+          expect(transition(state, event, { actor: 'test', ...params }).status).toBe(TARGETS[event] ?? status)
+        } else {
+          expect(() => transition(state, event, { actor: 'test', ...params }))
+            .toThrow(`Illegal order transition "${event}" from "${status}" (order: #1042)`)
+        }
+      })
+    }
+  }
+
+  it('refuses an unknown event', () => {
+    expect(canTransition(stateIn(RECEIVED), 'shipped')).toBe(false)
+    expect(() => transition(stateIn(RECEIVED), 'shipped')).toThrow('Illegal order transition "shipped" from "received"')
+  })
+})
+
+describe('guards', () => {
+  it('starts the escalation once', () => {
+    const state = { ...stateIn(FAILED), escalationStartedAt: NOW.toISOString() }
+
+    expect(canTransition(state, ORDER_EVENT.ESCALATION_STARTED)).toBe(false)
+  })
+
+  it('only sends a stage that is due and wasn\'t sent', () => {
+    const stage = { id: 'customer-reminder', after: 2 * HOUR }
+    const state = stateIn(AWAITING_FILES)
+
+    expect(canTransition(state, ORDER_EVENT.NOTIFIED, { stage })).toBe(false)
+    expect(canTransition(state, ORDER_EVENT.NOTIFIED, { stage: { ...stage, after: HOUR } })).toBe(true)
+
+    const notified = transition(state, ORDER_EVENT.NOTIFIED, { actor: 'test', stage: { ...stage, after: HOUR } })
+    expect(canTransition(notified, ORDER_EVENT.NOTIFIED, { stage: { ...stage, after: HOUR } })).toBe(false)
+  })
+
+  it('sends a file once', () => {
+    const state = transition(stateIn(AWAITING_FILES), ORDER_EVENT.FILE_SENT, { actor: 'test', ...file })
+
+    expect(canTransition(state, ORDER_EVENT.FILE_SENT, file)).toBe(false)
+    expect(canTransition(state, ORDER_EVENT.FILE_SENT, { ...file, key: 'url:fedcba9876543210' })).toBe(true)
+  })
+
+  it('only records a different set of preflight problems', () => {
+    const state = transition(stateIn(AWAITING_FILES), ORDER_EVENT.NEEDS_ATTENTION, { actor: 'test', files: problems })
+
+    expect(canTransition(state, ORDER_EVENT.NEEDS_ATTENTION, { files: problems })).toBe(false)
+    expect(canTransition(state, ORDER_EVENT.NEEDS_ATTENTION, { files: {} })).toBe(true)
+  })
+
+  it('sends the print email once, and not for orders fulfilled without `fulfilledAt`', () => {
+    const state = transition(stateIn(FULFILLED), ORDER_EVENT.PRINT_NOTIFIED, { actor: 'test' })
+
+    expect(canTransition(state, ORDER_EVENT.PRINT_NOTIFIED)).toBe(false)
+    expect(canTransition({ ...stateIn(FULFILLED), fulfilledAt: null }, ORDER_EVENT.PRINT_NOTIFIED)).toBe(false)
+  })
+})
+
+describe('history', () => {
+  it('appends an entry per step with its actor and the hash of its payload', () => {
+    const payload = Buffer.from('{"id":5620328415512}')
+    let state = stateIn(RECEIVED)
+    state = transition(state, ORDER_EVENT.ESCALATION_STARTED, { actor: 'webhook:orders/updated:1', payload })
+    vi.setSystemTime(new Date(NOW.getTime() + HOUR))
+    state = transition(state, ORDER_EVENT.FILE_SENT, {
+      actor: 'webhook:orders/updated:2',
+      payload: { id: 1 },
+      details: { to: 'customer@example.com' },
+      ...file
+    })
+    state = transition(state, ORDER_EVENT.FAILED, { actor: 'queue:fulfillment', error: 'Timeout' })
+
+    expect(state.history).toEqual([
+      {
+        at: '2026-03-02T10:00:00.000Z',
+        event: ORDER_EVENT.ESCALATION_STARTED,
+        from: RECEIVED,
+        to: AWAITING_FILES,
+        actor: 'webhook:orders/updated:1',
+        payloadHash: hashPayload(payload),
+        details: null
+      },
+      {
+        at: '2026-03-02T11:00:00.000Z',
+        event: ORDER_EVENT.FILE_SENT,
+        from: AWAITING_FILES,
+        to: FILES_PARTIALLY_SENT,
+        actor: 'webhook:orders/updated:2',
+        payloadHash: hashPayload(JSON.stringify({ id: 1 })),
+        details: { to: 'customer@example.com' }
+      },
+      {
+        at: '2026-03-02T11:00:00.000Z',
+        event: ORDER_EVENT.FAILED,
+        from: FILES_PARTIALLY_SENT,
+        to: FAILED,
+        actor: 'queue:fulfillment',
+        payloadHash: null,
+        // a failure keeps its error
+        details: 'Timeout'
+      }
+    ])
+    expect(hashPayload(payload)).toMatch(/^[0-9a-f]{64}$/)
+  })
+
+  it('leaves the state as it was when the step is illegal', () => {
+    const state = stateIn(FULFILLED)
+
+    expect(() => transition(state, ORDER_EVENT.FILE_SENT, { actor: 'test', ...file })).toThrow('Illegal order transition')
+    expect(state.history).toEqual([])
+    expect(state.status).toBe(FULFILLED)
+  })
+})
@@ -0,0 +1,351 @@
+import { getStore } from './storage'
+
+// Per order processing state, replaces the `notification`, `timer:<ms>`, `notified`, `sent:img:<name>`
+// and `Entregue` tags previously used to track the workflow.
+//
+// {
+//   orderId, orderNumber, status,
+//   createdAt, updatedAt, escalationStartedAt, notifiedAt, fulfilledAt, failedAt,
+//   escalations: { [stage id]: sentAt }, see `./escalation`
+//   error,
+//   attention: { at, files: { [key]: { name, url, problems } } } | null, files that failed the preflight (see `./file-preflight`)
+//   files: { [key]: { name, url, legacyKey, messageId, sentAt, preflight } }, see `./order-files` for the keys
+//   fulfilledLineItems: { [line item GID]: quantity }, units fulfilled as their files were sent
+//   printNotifiedAt: when the customer was told the physical line items are in production (see `./line-items`),
+//   missing in the states saved before it existed, those orders were delivered without it
+//   revisions: [{ number, requestedAt, messages: [{ at, message }], previousKeys, sentAt, fileKeys }], changes asked by
+//   the customer (see `./revisions`), `previousKeys` are the files attached when it was asked and `sentAt` is `null`
+//   until a new file goes out
+//   history: audit trail appended by `transition` in `./order-state-machine`
+// }
+
+export const ORDER_STATUS = {
+  RECEIVED: 'received',
+  AWAITING_FILES: 'awaiting_files',
+  FILES_PARTIALLY_SENT: 'files_partially_sent',
+  NOTIFIED: 'notified',
+  NEEDS_ATTENTION: 'needs_attention',
+  FULFILLED: 'fulfilled',
+  REVISION_REQUESTED: 'revision_requested',
+  FAILED: 'failed'
+}
+
+export const METAFIELD_NAMESPACE = 'momentus'
+export const METAFIELD_KEY = 'processing_state'
+
+// workflow tags written before the state store existed
+export const LEGACY_TAG_PREFIXES = ['timer:', 'sent:img:']
+export const LEGACY_TAGS = ['notification', 'notified']
+export const LEGACY_FULFILLED_TAG = 'Entregue'
+// the `timer:<ms>` tag held the time of the single alert, set 15 minutes after the order was seen without files
+const LEGACY_TIMER_TIMEOUT = 15 * 60 * 1000
+const LEGACY_ESCALATION_STAGE = 'internal-alert'
+
+const now = () => new Date().toISOString()
+
+export function createOrderState(orderId, orderNumber) {
+  const createdAt = now()
+
+  return {
+    orderId,
+    orderNumber,
+    status: ORDER_STATUS.RECEIVED,
+    createdAt,
+    updatedAt: createdAt,
+    escalationStartedAt: null,
+    escalations: {},
+    notifiedAt: null,
+    fulfilledAt: null,
+    failedAt: null,
+    error: null,
+    attention: null,
+    files: {},
+    fulfilledLineItems: {},
+    printNotifiedAt: null,
+    revisions: [],
+    history: []
+  }
+}
+
+export function isLegacyTag(tag) {
+  return LEGACY_TAGS.includes(tag) || LEGACY_TAG_PREFIXES.some((prefix) => tag.startsWith(prefix))
+}
+
+// builds the state of an order that was processed with the tags workflow, `undefined` when it has none
+export function fromLegacyTags(orderId, orderNumber, tags) {
+  if (!tags.some((tag) => isLegacyTag(tag) || tag === LEGACY_FULFILLED_TAG)) return undefined
+
+  const state = createOrderState(orderId, orderNumber)
+
+  let timer = null
+  for (const tag of tags) {
+    if (tag.startsWith('timer:')) {
+      timer = Number(tag.split(':')[1])
+      state.escalationStartedAt = new Date(timer - LEGACY_TIMER_TIMEOUT).toISOString()
+    } else if (tag.startsWith('sent:img:')) {
+      const key = tag.replace('sent:img:', '')
+      state.files[key] = { name: key, url: null, messageId: null, sentAt: null }
+    }
+  }
+
+  if (tags.includes('notified')) {
+    state.notifiedAt = timer !== null ? new Date(timer).toISOString() : state.createdAt
+    state.escalations[LEGACY_ESCALATION_STAGE] = state.notifiedAt
+  }
+
+  if (tags.includes(LEGACY_FULFILLED_TAG)) {
+    state.status = ORDER_STATUS.FULFILLED
+  } else if (Object.keys(state.files).length > 0) {
+    state.status = ORDER_STATUS.FILES_PARTIALLY_SENT
+  } else if (tags.includes('notified')) {
+    state.status = ORDER_STATUS.NOTIFIED
+  } else if (tags.includes('notification')) {
+    state.status = ORDER_STATUS.AWAITING_FILES
+  }
+
+  state.history.push({
+    at: state.createdAt,
+    event: 'migrated',
+    from: null,
+    to: state.status,
+    actor: 'migration:tags',
+    payloadHash: null,
+    details: { tags: tags.filter((tag) => isLegacyTag(tag) || tag === LEGACY_FULFILLED_TAG) }
+  })
+
+  return state
+}
+
+// The helpers below return an updated copy of the state, routes apply them through `transition`
+// in `./order-state-machine` so each step is checked and audited
+
+export function startEscalation(state) {
+  return {
+    ...state,
+    status: ORDER_STATUS.AWAITING_FILES,
+    escalationStartedAt: now(),
+    escalations: {},
+    updatedAt: now()
+  }
+}
+
+// the ladder only runs while no file was sent
+export function isEscalating(state) {
+  return state.escalationStartedAt !== null &&
+    [ORDER_STATUS.AWAITING_FILES, ORDER_STATUS.NOTIFIED].includes(state.status)
+}
+
+// stages of the ladder that are due and weren't sent yet, `stages` as returned by `getEscalationStages`
+export function getDueEscalationStages(state, stages, at = new Date()) {
+  if (!isEscalating(state)) return []
+
+  const startedAt = new Date(state.escalationStartedAt).getTime()
+  return stages.filter(({ id, after }) => !state.escalations[id] && startedAt + after <= at.getTime())
+}
+
+export function recordEscalation(state, stageId) {
+  return {
+    ...state,
+    status: ORDER_STATUS.NOTIFIED,
+    escalations: { ...state.escalations, [stageId]: now() },
+    notifiedAt: state.notifiedAt ?? now(),
+    updatedAt: now()
+  }
+}
+
+// the revision waiting for a new file, `undefined` when there is none
+export function getOpenRevision(state) {
+  return (state.revisions ?? []).find((revision) => revision.sentAt === null)
+}
+
+// a file attached after a revision was asked is a new design, even when its legacy key is the one of the file it replaces
+export function isAttachedAfterRevision(state, key) {
+  return (state.revisions ?? []).some((revision) => !revision.previousKeys.includes(key))
+}
+
+// `file` is `{ key, legacyKey, url }` (see `getOrderFiles` in `./order-files`) or just a key.
+// A record under the legacy key only counts when it is of the same URL or came from a `sent:img:` tag (no URL),
+// two designs could share that key
+export function isFileSent(state, file) {
+  const { key, legacyKey, url } = typeof file === 'string' ? { key: file } : file
+  if (state.files[key] !== undefined) return true
+
+  const legacy = legacyKey ? state.files[legacyKey] : undefined
+  return legacy !== undefined && (legacy.url === null || legacy.url === url) && !isAttachedAfterRevision(state, key)
+}
+
+// a file that failed the preflight before no longer needs attention once it goes out,
+// a new file delivers the open revision
+export function recordFileSent(state, key, { name, url, legacyKey = null, messageId, preflight = null }) {
+  const { [key]: resolved, ...attentionFiles } = state.attention?.files ?? {}
+  const needsAttention = Object.keys(attentionFiles).length > 0
+  const revision = getOpenRevision(state)
+  const isRevision = revision !== undefined && !revision.previousKeys.includes(key)
+
+  return {
+    ...state,
+    revisions: isRevision
+      ? state.revisions.map((item) => (item === revision ? { ...item, sentAt: now(), fileKeys: [key] } : item))
+      : state.revisions,
+    status: needsAttention ? ORDER_STATUS.NEEDS_ATTENTION : ORDER_STATUS.FILES_PARTIALLY_SENT,
+    attention: needsAttention ? { ...state.attention, files: attentionFiles } : null,
+    files: { ...state.files, [key]: { name, url, legacyKey, messageId, sentAt: now(), preflight } },
+    updatedAt: now()
+  }
+}
+
+// `files` as in `state.attention.files`
+export function markNeedsAttention(state, files) {
+  return { ...state, status: ORDER_STATUS.NEEDS_ATTENTION, attention: { at: now(), files }, updatedAt: now() }
+}
+
+// `lineItems` is `[{ lineItemId, quantity }]`
+export function recordLineItemsFulfilled(state, lineItems) {
+  const fulfilledLineItems = { ...state.fulfilledLineItems }
+  for (const { lineItemId, quantity } of lineItems) {
+    fulfilledLineItems[lineItemId] = (fulfilledLineItems[lineItemId] ?? 0) + quantity
+  }
+
+  return { ...state, fulfilledLineItems, updatedAt: now() }
+}
+
+export function markFulfilled(state) {
+  return { ...state, status: ORDER_STATUS.FULFILLED, fulfilledAt: now(), error: null, attention: null, updatedAt: now() }
+}
+
+// another message while a revision is open is added to it, `previousKeys` as in `state.revisions`
+export function requestRevision(state, { message, previousKeys }) {
+  const revisions = state.revisions ?? []
+  const revision = getOpenRevision(state)
+  const entry = { at: now(), message }
+
+  return {
+    ...state,
+    status: ORDER_STATUS.REVISION_REQUESTED,
+    revisions: revision
+      ? revisions.map((item) => (item === revision ? { ...item, messages: [...item.messages, entry] } : item))
+      : [
+          ...revisions,
+          { number: revisions.length + 1, requestedAt: now(), messages: [entry], previousKeys, sentAt: null, fileKeys: [] }
+        ],
+    updatedAt: now()
+  }
+}
+
+export function recordPrintNotified(state) {
+  return { ...state, printNotifiedAt: now(), updatedAt: now() }
+}
+
+export function markFailed(state, error) {
+  return { ...state, status: ORDER_STATUS.FAILED, failedAt: now(), error, updatedAt: now() }
+}
+
+// selects the stored state along with the orders of a query, so `load` doesn't read each one again (see `sweepOrders`)
+export const ORDER_STATE_FIELD = `
+  processingState: metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${METAFIELD_KEY}") {
+    value
+  }
+`
+
+// Storage adapters, both implement:
+// - read(orderId, order): the stored state or `undefined`, `order` is what `load` was given
+// - write(state): resolves to `{ errors }` where `errors` is `undefined` on success
+
+export function createMetafieldAdapter(client) {
+  const parse = (value) => (value ? JSON.parse(value) : undefined)
+
+  return {
+    read: async (orderId, order) => {
+      // `processingState` is `null` when the order has no state yet
+      if (order?.processingState !== undefined) return parse(order.processingState?.value)
+
+      const getOrderStateOperation = `
+        query GetOrderState($id: ID!) {
+          order(id: $id) {
+            metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${METAFIELD_KEY}") {
+              value
+            }
+          }
+        }
+      `
+      const { data, errors } = await client.request(getOrderStateOperation, {
+        variables: {
+          id: orderId
+        }
+      })
+      if (errors) throw new Error(`Failed to read order state: ${JSON.stringify(errors)}`)
+
+      return parse(data?.order?.metafield?.value)
+    },
+    write: async (state) => {
+      const metafieldsSetOperation = `
+        mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `
+      const { data, errors } = await client.request(metafieldsSetOperation, {
+        variables: {
+          metafields: [{
+            ownerId: state.orderId,
+            namespace: METAFIELD_NAMESPACE,
+            key: METAFIELD_KEY,
+            type: 'json',
+            value: JSON.stringify(state)
+          }]
+        }
+      })
+      const userErrors = data?.metafieldsSet?.userErrors ?? []
+
+      return { errors: errors || userErrors.length ? { errors, userErrors } : undefined }
+    }
+  }
+}
+
+export function createLocalAdapter(store = getStore()) {
+  return {
+    read: (orderId) => store.get(`order-state:${orderId}`),
+    write: async (state) => {
+      await store.set(`order-state:${state.orderId}`, state)
+      return { errors: undefined }
+    }
+  }
+}
+
+// `backend` is ORDER_STATE_BACKEND (see `lib/config`)
+export function createOrderStateStore(client, backend) {
+  let adapter
+  switch (backend) {
+    case 'metafield':
+      adapter = createMetafieldAdapter(client)
+      break
+    case 'local':
+      adapter = createLocalAdapter()
+      break
+    default:
+      throw new Error(`Unknown ORDER_STATE_BACKEND "${backend}"`)
+  }
+
+  return {
+    // `order` needs `id`, `name` and `tags` (array), orders still on the tags workflow are converted on read.
+    // An order queried with `ORDER_STATE_FIELD` already holds its state
+    load: async (order) => {
+      const { id, name, tags = [] } = order
+      return (await adapter.read(id, order)) ?? fromLegacyTags(id, name, tags) ?? createOrderState(id, name)
+    },
+    save: (state) => adapter.write({ ...state, updatedAt: now() }),
+    // stores the state of an order still on the tags workflow (unless it already has one),
+    // resolves to the legacy tags that can now be removed from the order
+    migrateLegacyTags: async ({ id, name, tags = [] }) => {
+      const legacyTags = tags.filter(isLegacyTag)
+      if (legacyTags.length === 0 || (await adapter.read(id)) !== undefined) return { legacyTags }
+
+      const { errors } = await adapter.write(fromLegacyTags(id, name, tags))
+      return errors ? { legacyTags: [], errors } : { legacyTags }
+    }
+  }
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it, vi } from 'vitest'
+import { createOrderState, createOrderStateStore } from './order-state'
+
+const ORDER = { id: 'gid://shopify/Order/5620328415512', name: '#1042', tags: [] }
+
+describe('metafield order state store', () => {
+  const stored = { ...createOrderState(ORDER.id, ORDER.name), status: 'notified' }
+  const createClient = () => ({
+    request: vi.fn(async () => ({ data: { order: { metafield: { value: JSON.stringify(stored) } } } }))
+  })
+
+  it('reads the state of an order on its own', async () => {
+    const client = createClient()
+
+    expect(await createOrderStateStore(client, 'metafield').load(ORDER)).toEqual(stored)
+    expect(client.request).toHaveBeenCalledTimes(1)
+  })
+
+  it('takes the state an orders query already selected', async () => {
+    const client = createClient()
+    const orderStates = createOrderStateStore(client, 'metafield')
+
+    expect(await orderStates.load({ ...ORDER, processingState: { value: JSON.stringify(stored) } })).toEqual(stored)
+    expect(await orderStates.load({ ...ORDER, processingState: null })).toMatchObject({ orderId: ORDER.id, status: 'received' })
+    expect(client.request).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,33 @@
+import { TOKEN_STATUS, createSignedToken, verifySignedToken } from './download-links'
+
+// Signed "request changes" links of the delivery emails, served by `pages/api/revision/[slug].js` (`/revision/<token>`).
+//
+// The token is signed like the download links (see `lib/download-links`) with `{ k: 'revision', o, n, l }`: the order id,
+// order number and the language of the email it came in. `k` keeps a revision token from being used as a download link
+// and the other way around.
+
+export const REVISION_TOKEN_KIND = 'revision'
+// the form takes a few paragraphs, not a design brief
+export const REVISION_MESSAGE_MAX_LENGTH = 2000
+
+export function createRevisionToken({ orderId, orderNumber, language }, options) {
+  return createSignedToken({ k: REVISION_TOKEN_KIND, o: orderId, n: orderNumber, l: language }, options)
+}
+
+// resolves to `{ status, orderId, orderNumber, language, expiresAt }`, everything but `status` is missing unless it is `valid`
+export function verifyRevisionToken(token, options) {
+  const { status, claims, expiresAt } = verifySignedToken(token, options)
+  if (status !== TOKEN_STATUS.VALID) return { status, expiresAt }
+  if (claims.k !== REVISION_TOKEN_KIND || !claims.o) return { status: TOKEN_STATUS.INVALID }
+
+  return { status, orderId: claims.o, orderNumber: claims.n, language: claims.l, expiresAt }
+}
+
+// the `/revision/<token>` link of an order, valid for REVISION_LINK_TTL_DAYS
+export function getRevisionUrl({ orderId, orderNumber, language }, config) {
+  const token = createRevisionToken({ orderId, orderNumber, language }, {
+    secret: config.downloadLinkSecret,
+    ttl: config.revisionLinkTtl
+  })
+  return `${config.publicUrl}/revision/${token}`
+}
@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { TOKEN_STATUS, createDownloadToken } from './download-links'
+import { createRevisionToken, getRevisionUrl, verifyRevisionToken } from './revisions'
+import { ORDER_STATUS, createOrderState, getOpenRevision, isAttachedAfterRevision, isFileSent } from './order-state'
+import { ORDER_EVENT, canTransition, transition } from './order-state-machine'
+
+const SECRET = 'download-secret'
+const NOW = new Date('2026-03-02T10:00:00Z').getTime()
+const DAY = 24 * 60 * 60 * 1000
+const ORDER = { orderId: 'gid://shopify/Order/5620328415512', orderNumber: '#1042', language: 'pt' }
+
+const file = (name) => ({
+  key: `https://cdn.shopify.com/s/files/1/0000/0001/files/${name}`,
+  legacyKey: name,
+  name,
+  url: `https://cdn.shopify.com/s/files/1/0000/0001/files/${name}`
+})
+
+// an order fulfilled with `design.png`
+function fulfilledState() {
+  let state = createOrderState(ORDER.orderId, ORDER.orderNumber)
+  state = transition(state, ORDER_EVENT.FILE_SENT, { actor: 'test', ...file('design.png'), messageId: '<1@momentus.shop>' })
+  return transition(state, ORDER_EVENT.FULFILLED, { actor: 'test' })
+}
+
+const requestChanges = (state, message) => transition(state, ORDER_EVENT.REVISION_REQUESTED, {
+  actor: 'test',
+  message,
+  previousKeys: [file('design.png').key]
+})
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(new Date(NOW))
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('verifyRevisionToken', () => {
+  const token = (options) => createRevisionToken(ORDER, { secret: SECRET, ttl: 90 * DAY, now: NOW, ...options })
+
+  it('reads back a valid token', () => {
+    expect(verifyRevisionToken(token(), { secret: SECRET, now: NOW })).toEqual({
+      status: TOKEN_STATUS.VALID,
+      ...ORDER,
+      expiresAt: '2026-05-31T10:00:00.000Z'
+    })
+  })
+
+  it('refuses a tampered, expired or download token', () => {
+    const [payload, signature] = token().split('.')
+
+    expect(verifyRevisionToken(`${payload}.${signature.slice(1)}x`, { secret: SECRET })).toEqual({ status: TOKEN_STATUS.INVALID })
+    expect(verifyRevisionToken(token({ secret: 'other-secret' }), { secret: SECRET })).toEqual({ status: TOKEN_STATUS.INVALID })
+    expect(verifyRevisionToken(token(), { secret: SECRET, now: NOW + 90 * DAY })).toMatchObject({ status: TOKEN_STATUS.EXPIRED })
+
+    const downloadToken = createDownloadToken({ orderId: ORDER.orderId, url: file('design.png').url, filename: 'design.png' }, {
+      secret: SECRET,
+      ttl: DAY,
+      now: NOW
+    })
+    expect(verifyRevisionToken(downloadToken, { secret: SECRET })).toEqual({ status: TOKEN_STATUS.INVALID })
+  })
+
+  it('is linked from the public URL', () => {
+    const url = getRevisionUrl(ORDER, { downloadLinkSecret: SECRET, revisionLinkTtl: 90 * DAY, publicUrl: 'https://momentus.example.com' })
+
+    expect(verifyRevisionToken(url.replace('https://momentus.example.com/revision/', ''), { secret: SECRET })).toMatchObject(ORDER)
+  })
+})
+
+describe('requestRevision', () => {
+  it('only applies to a delivered order', () => {
+    expect(canTransition(createOrderState(ORDER.orderId, ORDER.orderNumber), ORDER_EVENT.REVISION_REQUESTED)).toBe(false)
+    expect(canTransition(fulfilledState(), ORDER_EVENT.REVISION_REQUESTED)).toBe(true)
+  })
+
+  it('opens a revision with the files attached so far and adds later messages to it', () => {
+    let state = requestChanges(fulfilledState(), 'Bigger letters')
+    vi.setSystemTime(new Date(NOW + DAY))
+    state = requestChanges(state, 'And a blue background')
+
+    expect(state.status).toBe(ORDER_STATUS.REVISION_REQUESTED)
+    expect(state.revisions).toEqual([{
+      number: 1,
+      requestedAt: '2026-03-02T10:00:00.000Z',
+      messages: [
+        { at: '2026-03-02T10:00:00.000Z', message: 'Bigger letters' },
+        { at: '2026-03-03T10:00:00.000Z', message: 'And a blue background' }
+      ],
+      previousKeys: [file('design.png').key],
+      sentAt: null,
+      fileKeys: []
+    }])
+    expect(canTransition(state, ORDER_EVENT.FULFILLED)).toBe(false)
+  })
+
+  it('is delivered by the next new file, a later request opens the next revision', () => {
+    let state = requestChanges(fulfilledState(), 'Bigger letters')
+    state = transition(state, ORDER_EVENT.FILE_SENT, { actor: 'test', ...file('design-v2.png'), messageId: '<2@momentus.shop>' })
+
+    expect(getOpenRevision(state)).toBeUndefined()
+    expect(state.revisions[0]).toMatchObject({ sentAt: '2026-03-02T10:00:00.000Z', fileKeys: [file('design-v2.png').key] })
+    expect(canTransition(state, ORDER_EVENT.FULFILLED)).toBe(true)
+
+    state = transition(state, ORDER_EVENT.FULFILLED, { actor: 'test' })
+    state = requestChanges(state, 'Smaller logo')
+    expect(state.revisions.map(({ number }) => number)).toEqual([1, 2])
+  })
+})
+
+describe('isAttachedAfterRevision', () => {
+  it('tells the files attached after a revision was asked', () => {
+    const state = requestChanges(fulfilledState(), 'Bigger letters')
+
+    expect(isAttachedAfterRevision(fulfilledState(), file('design-v2.png').key)).toBe(false)
+    expect(isAttachedAfterRevision(state, file('design.png').key)).toBe(false)
+    expect(isAttachedAfterRevision(state, file('design-v2.png').key)).toBe(true)
+  })
+
+  it('keeps a revised file with the legacy key of a tagged one from counting as sent', () => {
+    let state = fulfilledState()
+    state = { ...state, files: { 'design.png': { name: 'design.png', url: null, messageId: null, sentAt: null } } }
+    const revised = { ...file('design.png'), key: 'https://cdn.shopify.com/s/files/1/0000/0001/files/design.png?v=2' }
+
+    expect(isFileSent(state, revised)).toBe(true)
+    expect(isFileSent(requestChanges(state, 'Bigger letters'), revised)).toBe(false)
+  })
+})
@@ -0,0 +1,173 @@
+import { createAdminApiClient } from '@shopify/admin-api-client'
+import { ORDER_STATE_FIELD, createOrderStateStore } from './order-state'
+import { fulfillLineItems, fulfillOrder } from './fulfillment'
+import { classifyLineItems } from './line-items'
+import { paginate } from './shopify-pagination'
+import { getConfig } from './config'
+import { createMailTransport } from './mail-transport'
+
+// Shopify and SMTP operations shared by the routes, so each route only maps a request to them.
+// `getServices()` builds them from the validated configuration (see `lib/config`) on first use, `setServices()` swaps them for fakes in tests.
+
+export const SHOPIFY_API_VERSION = '2024-01'
+
+const ORDER_FIELDS = `
+  id
+  name
+  tags
+  fullyPaid
+  email
+  customerLocale
+  customer {
+    firstName
+  }
+  customAttributes {
+    key
+    value
+  }
+`
+
+// every dependency can be passed in, the missing ones are created from `config`
+export function createServices({
+  config = getConfig(),
+  client = createAdminApiClient({
+    apiVersion: SHOPIFY_API_VERSION,
+    storeDomain: config.storeDomain,
+    accessToken: config.accessToken
+  }),
+  transport = createMailTransport(config),
+  orderStates = createOrderStateStore(client, config.orderStateBackend)
+} = {}) {
+  const sendMail = (mail) => transport.sendMail({ from: config.fromEmail, ...mail })
+
+  const listOrders = async (query, { first = 50, after = null } = {}) => {
+    const listOrdersOperation = `
+      query ListOrders($query: String, $first: Int!, $after: String) {
+        orders(first: $first, after: $after, query: $query) {
+          nodes {
+            ${ORDER_FIELDS}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `
+    const { data, errors } = await client.request(listOrdersOperation, {
+      variables: { query, first, after }
+    })
+    if (errors) return { orders: [], nextCursor: null, errors }
+
+    const { nodes, pageInfo } = data.orders
+    return { orders: nodes, nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null }
+  }
+
+  return {
+    config,
+    client,
+    transport,
+    orderStates,
+    // resolves to the order (see `ORDER_FIELDS`), `null` when it doesn't exist
+    getOrder: async (id) => {
+      const getOrderOperation = `
+        query GetOrder($id: ID!) {
+          order(id: $id) {
+            ${ORDER_FIELDS}
+          }
+        }
+      `
+      const { data, errors } = await client.request(getOrderOperation, {
+        variables: {
+          id
+        }
+      })
+
+      return { order: data?.order ?? null, errors }
+    },
+    // `number` with or without the leading `#`
+    findOrderByNumber: async (number) => {
+      const { orders, errors } = await listOrders(`name:#${String(number).replace(/^#/, '')}`, { first: 1 })
+      return { order: orders[0] ?? null, errors }
+    },
+    listOrders,
+    // one page of the orders with any of `tags`, `nextCursor` is `null` on the last one
+    listOrdersByTag: (tags, options) => listOrders(tags.map((tag) => `tag:${tag}`).join(' OR '), options),
+    // yields every page of the orders matching `query`, throws with `.errors` when a page fails.
+    // The orders come with their state, so `orderStates.load` costs no extra request per order
+    sweepOrders: (query) => paginate(client, `
+      query SweepOrders($query: String, $after: String) {
+        orders(first: 50, after: $after, query: $query) {
+          nodes {
+            ${ORDER_FIELDS}
+            ${ORDER_STATE_FIELD}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, {
+      variables: { query },
+      getConnection: (data) => data.orders
+    }),
+    // resolves to `{ errors }`, `undefined` on success
+    updateTags: async (id, { add = [], remove = [] }) => {
+      const tagsUpdateOperation = `
+        mutation TagsUpdate($id: ID!, $add: [String!]!, $remove: [String!]!, $hasAdd: Boolean!, $hasRemove: Boolean!) {
+          tagsAdd(id: $id, tags: $add) @include(if: $hasAdd) {
+            userErrors {
+              field
+              message
+            }
+          }
+          tagsRemove(id: $id, tags: $remove) @include(if: $hasRemove) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `
+      const { data, errors } = await client.request(tagsUpdateOperation, {
+        variables: {
+          id,
+          add,
+          remove,
+          hasAdd: add.length > 0,
+          hasRemove: remove.length > 0
+        }
+      })
+      const userErrors = [
+        ...(data?.tagsAdd?.userErrors ?? []),
+        ...(data?.tagsRemove?.userErrors ?? [])
+      ]
+
+      return { errors: errors || userErrors.length ? { errors, userErrors } : undefined }
+    },
+    // only the digital line items, see `lib/line-items`
+    fulfillOrder: (id) => fulfillOrder(client, id, config.digitalLineItems),
+    // `lineItems` is `[{ lineItemId, quantity }]`
+    fulfillLineItems: (id, lineItems) => fulfillLineItems(client, id, lineItems, config.digitalLineItems),
+    // `{ digital, physical, errors }` of the webhook `line_items` of an order
+    classifyLineItems: (id, lineItems) => classifyLineItems(client, id, lineItems, config.digitalLineItems),
+    // `from` defaults to the shop address
+    sendMail,
+    // internal email to the shop
+    sendAlert: (subject, text) => sendMail({ to: config.alertEmail, subject, text })
+  }
+}
+
+let services
+
+export function getServices() {
+  if (!services) services = createServices()
+
+  return services
+}
+
+// replaces the services, e.g. with `createServices({ client, transport })` and fakes in tests
+export function setServices(nextServices) {
+  services = nextServices
+}
@@ -0,0 +1,57 @@
+const MAX_THROTTLED_RETRIES = 3
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function isThrottled(errors) {
+  return errors?.graphQLErrors?.some((error) => error.extensions?.code === 'THROTTLED') ?? false
+}
+
+// time to wait until the bucket has restored enough points for another request of the same cost
+function getThrottleDelay(cost) {
+  const { requestedQueryCost, throttleStatus } = cost ?? {}
+  if (!throttleStatus || requestedQueryCost === undefined) return 0
+
+  const { currentlyAvailable, restoreRate } = throttleStatus
+  if (currentlyAvailable >= requestedQueryCost) return 0
+
+  return Math.ceil(((requestedQueryCost - currentlyAvailable) / restoreRate) * 1000)
+}
+
+async function request(client, operation, variables) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await client.request(operation, { variables })
+    if (!isThrottled(response.errors) || attempt === MAX_THROTTLED_RETRIES) return response
+
+    const delay = getThrottleDelay(response.extensions?.cost) || 1000
+    console.log(`throttled by Shopify, retrying in ${delay}ms`)
+    await sleep(delay)
+  }
+}
+
+// Yields every page of nodes of a connection, following `pageInfo.endCursor` and waiting on Shopify's
+// throttle status between pages so the sweep stays within the GraphQL cost budget.
+// `operation` must accept an `$after: String` variable and select `nodes` and `pageInfo { hasNextPage endCursor }`,
+// `getConnection` picks the connection out of the response data.
+export async function * paginate(client, operation, { variables = {}, getConnection }) {
+  let after = null
+
+  do {
+    const { data, errors, extensions } = await request(client, operation, { ...variables, after })
+    if (errors) {
+      const error = new Error(`Failed to fetch page${after ? ` after ${after}` : ''}`)
+      error.errors = errors
+      throw error
+    }
+
+    const { nodes, pageInfo } = getConnection(data)
+    yield nodes
+
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null
+
+    const delay = after ? getThrottleDelay(extensions?.cost) : 0
+    if (delay > 0) {
+      console.log(`waiting ${delay}ms for the Shopify cost budget to restore`)
+      await sleep(delay)
+    }
+  } while (after)
+}
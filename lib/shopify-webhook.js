@@ -0,0 +1,43 @@
+import crypto from 'node:crypto'
+import { getConfig } from './config'
+
+// alert once the webhook routes reject this many requests inside the window
+const FAILURE_THRESHOLD = 5
+const FAILURE_WINDOW = 10 * 60 * 1000
+
+let failures = []
+
+export function isValidHmac(rawBody, hmacHeader, secret) {
+  if (!secret || typeof hmacHeader !== 'string' || hmacHeader.length === 0) return false
+
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest()
+  const received = Buffer.from(hmacHeader, 'base64')
+
+  // timingSafeEqual throws on different lengths
+  return received.length === digest.length && crypto.timingSafeEqual(received, digest)
+}
+
+// returns the number of failures in the current window when it just reached the threshold
+function recordFailure() {
+  const now = new Date().getTime()
+  failures = [...failures.filter((at) => now - at < FAILURE_WINDOW), now]
+
+  return failures.length === FAILURE_THRESHOLD ? failures.length : 0
+}
+
+// checks the `X-Shopify-Hmac-Sha256` header against the raw body already read by the route and SHOPIFY_WEBHOOK_SECRET
+// (see `lib/config`), `onRepeatedFailure` is called when too many requests fail verification in a short period
+export async function verifyWebhook(req, rawBody, { onRepeatedFailure } = {}) {
+  const hmacHeader = req.headers['x-shopify-hmac-sha256']
+
+  if (isValidHmac(rawBody, hmacHeader, getConfig().webhookSecret)) return true
+
+  console.log(`Webhook HMAC verification failed (topic: "${req.headers['x-shopify-topic']}")`)
+
+  const failureCount = recordFailure()
+  if (failureCount && onRepeatedFailure) {
+    await onRepeatedFailure(failureCount)
+  }
+
+  return false
+}
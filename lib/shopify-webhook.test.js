@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+const SECRET = 'shpss_test_secret_5f2b'
+// an `orders/updated` delivery signed with SECRET, as Shopify sends it
+const BODY = '{"id":5620328415512,"admin_graphql_api_id":"gid://shopify/Order/5620328415512","name":"#1042","email":"customer@example.com","financial_status":"paid","note_attributes":[{"name":"_design_1","value":"https://cdn.shopify.com/s/files/1/0000/0001/files/design-1.png"}]}'
+const HMAC = 'PBZzGTBa1dh1QmOh8gTAcTg7L19dfU+u24EgkMDnKSg='
+
+// the secret is read through `getConfig`, which needs the whole configuration
+const ENV = {
+  SHOPIFY_AUTH: 'momentus-test.myshopify.com:shpat_test',
+  SHOPIFY_WEBHOOK_SECRET: SECRET,
+  MAIL_TRANSPORT: 'capture',
+  CRON_SECRET: 'cron-secret',
+  ADMIN_SECRET: 'admin-secret',
+  ALERT_EMAIL: 'alerts@example.com',
+  DOWNLOAD_LINK_SECRET: 'download-secret'
+}
+
+const request = (hmac) => ({
+  headers: {
+    'x-shopify-topic': 'orders/updated',
+    ...(hmac !== undefined && { 'x-shopify-hmac-sha256': hmac })
+  }
+})
+
+// the failure count lives in the module, every test starts from a fresh one
+let isValidHmac
+let verifyWebhook
+
+beforeEach(async () => {
+  vi.resetModules()
+  for (const [name, value] of Object.entries(ENV)) vi.stubEnv(name, value)
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  ;({ isValidHmac, verifyWebhook } = await import('./shopify-webhook'))
+})
+
+afterEach(() => {
+  vi.unstubAllEnvs()
+  vi.restoreAllMocks()
+  vi.useRealTimers()
+})
+
+describe('isValidHmac', () => {
+  it('accepts the signature of the body', () => {
+    expect(isValidHmac(Buffer.from(BODY), HMAC, SECRET)).toBe(true)
+  })
+
+  it('rejects a tampered body', () => {
+    expect(isValidHmac(Buffer.from(BODY.replace('"paid"', '"refunded"')), HMAC, SECRET)).toBe(false)
+  })
+
+  it('rejects a signature made with another secret', () => {
+    expect(isValidHmac(Buffer.from(BODY), HMAC, 'shpss_other_secret')).toBe(false)
+  })
+
+  it('rejects a missing or malformed header', () => {
+    for (const header of [undefined, '', 'not base64 at all', HMAC.slice(0, 20), ['a', 'b']]) {
+      expect(isValidHmac(Buffer.from(BODY), header, SECRET)).toBe(false)
+    }
+  })
+
+  it('rejects everything without a secret', () => {
+    expect(isValidHmac(Buffer.from(BODY), HMAC, undefined)).toBe(false)
+  })
+})
+
+describe('verifyWebhook', () => {
+  it('verifies the header against SHOPIFY_WEBHOOK_SECRET', async () => {
+    expect(await verifyWebhook(request(HMAC), Buffer.from(BODY))).toBe(true)
+    expect(await verifyWebhook(request(HMAC), Buffer.from(`${BODY} `))).toBe(false)
+    expect(await verifyWebhook(request(undefined), Buffer.from(BODY))).toBe(false)
+  })
+
+  it('alerts once when failures reach the threshold inside the window', async () => {
+    const onRepeatedFailure = vi.fn()
+    for (let i = 0; i < 7; i++) {
+      expect(await verifyWebhook(request('bm9wZQ=='), Buffer.from(BODY), { onRepeatedFailure })).toBe(false)
+    }
+
+    expect(onRepeatedFailure).toHaveBeenCalledTimes(1)
+    expect(onRepeatedFailure).toHaveBeenCalledWith(5)
+  })
+
+  it('does not count valid deliveries as failures', async () => {
+    const onRepeatedFailure = vi.fn()
+    for (let i = 0; i < 4; i++) {
+      await verifyWebhook(request(undefined), Buffer.from(BODY), { onRepeatedFailure })
+      await verifyWebhook(request(HMAC), Buffer.from(BODY), { onRepeatedFailure })
+    }
+
+    expect(onRepeatedFailure).not.toHaveBeenCalled()
+  })
+
+  it('forgets failures older than the window', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-03-02T10:00:00Z'))
+    const onRepeatedFailure = vi.fn()
+    for (let i = 0; i < 4; i++) await verifyWebhook(request(''), Buffer.from(BODY), { onRepeatedFailure })
+
+    vi.setSystemTime(new Date('2026-03-02T10:11:00Z'))
+    await verifyWebhook(request(''), Buffer.from(BODY), { onRepeatedFailure })
+    expect(onRepeatedFailure).not.toHaveBeenCalled()
+
+    for (let i = 0; i < 4; i++) await verifyWebhook(request(''), Buffer.from(BODY), { onRepeatedFailure })
+    expect(onRepeatedFailure).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,218 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { getConfig } from './config'
+
+// Key/value storage shared by the webhook and cron routes. Every backend implements:
+// - get(key)
+// - set(key, value, { ttl })
+// - add(key, value, { ttl }): like `set` but only when the key is missing, resolves to `true` if it was stored
+// - update(key, fn, { ttl }): atomically replaces the value with `fn(value)` (`undefined` deletes it), resolves to the new value.
+//   `fn` may run again when another write got in between, so it must only depend on the value it is given
+// - delete(key)
+// `ttl` is in milliseconds, entries without one never expire.
+//
+// Values must survive `JSON.stringify`. STORAGE_BACKEND picks the backend (see `lib/config`): on Vercel each
+// function instance has its own memory and a read-only file system, only `kv` is shared by all of them.
+
+function isExpired(entry, now = new Date().getTime()) {
+  return entry.expiresAt !== undefined && entry.expiresAt <= now
+}
+
+function toEntry(value, ttl) {
+  return ttl ? { value, expiresAt: new Date().getTime() + ttl } : { value }
+}
+
+export function createMemoryStore() {
+  const entries = new Map()
+
+  // synchronous so `add` and `update` can't interleave with other calls
+  const read = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return undefined
+    if (isExpired(entry)) {
+      entries.delete(key)
+      return undefined
+    }
+
+    return entry.value
+  }
+
+  return {
+    get: async (key) => read(key),
+    set: async (key, value, { ttl } = {}) => {
+      entries.set(key, toEntry(value, ttl))
+    },
+    add: async (key, value, { ttl } = {}) => {
+      if (read(key) !== undefined) return false
+
+      entries.set(key, toEntry(value, ttl))
+      return true
+    },
+    update: async (key, fn, { ttl } = {}) => {
+      const value = fn(read(key))
+      if (value === undefined) {
+        entries.delete(key)
+      } else {
+        entries.set(key, toEntry(value, ttl))
+      }
+
+      return value
+    },
+    delete: async (key) => {
+      entries.delete(key)
+    }
+  }
+}
+
+// keeps everything in a single JSON file, meant for local development and tests
+export function createFileStore(filePath) {
+  // serialize every read-modify-write so concurrent requests in the same process don't clobber each other
+  let queue = Promise.resolve()
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (e) {
+      if (e.code === 'ENOENT') return {}
+      throw e
+    }
+  }
+
+  const write = async (entries) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, JSON.stringify(entries, null, ' '))
+  }
+
+  const withEntries = (fn) => {
+    const result = queue.then(async () => {
+      const entries = await read()
+      const now = new Date().getTime()
+      for (const key of Object.keys(entries)) {
+        if (isExpired(entries[key], now)) delete entries[key]
+      }
+
+      const { value, changed } = await fn(entries)
+      if (changed) await write(entries)
+
+      return value
+    })
+    queue = result.catch(() => {})
+
+    return result
+  }
+
+  return {
+    get: (key) => withEntries((entries) => ({ value: entries[key]?.value })),
+    set: (key, value, { ttl } = {}) => withEntries((entries) => {
+      entries[key] = toEntry(value, ttl)
+      return { changed: true }
+    }),
+    add: (key, value, { ttl } = {}) => withEntries((entries) => {
+      if (entries[key] !== undefined) return { value: false }
+
+      entries[key] = toEntry(value, ttl)
+      return { value: true, changed: true }
+    }),
+    update: (key, fn, { ttl } = {}) => withEntries((entries) => {
+      const value = fn(entries[key]?.value)
+      if (value === undefined) {
+        delete entries[key]
+      } else {
+        entries[key] = toEntry(value, ttl)
+      }
+
+      return { value, changed: true }
+    }),
+    delete: (key) => withEntries((entries) => {
+      const changed = entries[key] !== undefined
+      delete entries[key]
+      return { changed }
+    })
+  }
+}
+
+// replaces the value only if it is still `expected` (`''` for a missing key), `next` `''` deletes it
+const COMPARE_AND_SET_SCRIPT = `
+  if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+  if ARGV[2] == '' then
+    redis.call('DEL', KEYS[1])
+  elseif ARGV[3] == '' then
+    redis.call('SET', KEYS[1], ARGV[2])
+  else
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+  end
+  return 1
+`
+const MAX_UPDATE_ATTEMPTS = 10
+
+// Redis through the Upstash REST API, which is also what Vercel KV speaks (KV_REST_API_URL and KV_REST_API_TOKEN)
+export function createKvStore({ url, token }) {
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args),
+      cache: 'no-store'
+    })
+    const { result, error } = await response.json().catch(() => ({ error: `HTTP ${response.status}` }))
+    if (!response.ok || error) throw new Error(`KV ${args[0]} failed: ${error ?? `HTTP ${response.status}`}`)
+
+    return result
+  }
+
+  const expiry = (ttl) => (ttl ? ['PX', ttl] : [])
+  const parse = (raw) => (raw === null ? undefined : JSON.parse(raw))
+
+  return {
+    get: async (key) => parse(await command('GET', key)),
+    set: async (key, value, { ttl } = {}) => {
+      await command('SET', key, JSON.stringify(value), ...expiry(ttl))
+    },
+    add: async (key, value, { ttl } = {}) => (await command('SET', key, JSON.stringify(value), 'NX', ...expiry(ttl))) === 'OK',
+    // optimistic: reads the value, computes the new one and only writes it if nobody changed the key meanwhile
+    update: async (key, fn, { ttl } = {}) => {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const raw = await command('GET', key)
+        const value = fn(parse(raw))
+        const next = value === undefined ? '' : JSON.stringify(value)
+
+        if (await command('EVAL', COMPARE_AND_SET_SCRIPT, 1, key, raw ?? '', next, ttl ? String(ttl) : '')) return value
+      }
+
+      throw new Error(`KV update of "${key}" kept conflicting after ${MAX_UPDATE_ATTEMPTS} attempts`)
+    },
+    delete: async (key) => {
+      await command('DEL', key)
+    }
+  }
+}
+
+// `config` as in `lib/config`
+export function createStore({ storageBackend, storageFile, kvUrl, kvToken }) {
+  switch (storageBackend) {
+    case 'memory':
+      return createMemoryStore()
+    case 'file':
+      return createFileStore(storageFile)
+    case 'kv':
+      return createKvStore({ url: kvUrl, token: kvToken })
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${storageBackend}"`)
+  }
+}
+
+let store
+
+export function getStore() {
+  if (!store) store = createStore(getConfig())
+
+  return store
+}
+
+// replaces the backend, e.g. with a memory store in tests
+export function setStore(nextStore) {
+  store = nextStore
+}
@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createKvStore, createMemoryStore } from './storage'
+
+// answers the commands `createKvStore` sends like the Upstash REST API, the EVAL script as a compare-and-set
+function createFakeKv() {
+  const entries = new Map()
+  const read = (key) => {
+    const entry = entries.get(key)
+    if (entry?.expiresAt <= Date.now()) entries.delete(key)
+
+    return entries.get(key)?.value ?? null
+  }
+  const write = (key, value, px) => entries.set(key, { value, expiresAt: px ? Date.now() + Number(px) : undefined })
+
+  const commands = {
+    GET: (key) => read(key),
+    SET: (key, value, ...options) => {
+      if (options.includes('NX') && read(key) !== null) return null
+
+      write(key, value, options.includes('PX') ? options[options.indexOf('PX') + 1] : undefined)
+      return 'OK'
+    },
+    DEL: (key) => Number(entries.delete(key)),
+    EVAL: (script, keyCount, key, expected, next, px) => {
+      if ((read(key) ?? '') !== expected) return 0
+
+      if (next === '') {
+        entries.delete(key)
+      } else {
+        write(key, next, px || undefined)
+      }
+      return 1
+    }
+  }
+
+  const fetch = vi.fn(async (url, { headers, body }) => {
+    if (headers.Authorization !== 'Bearer kv-token') return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 })
+
+    const [name, ...args] = JSON.parse(body)
+    return new Response(JSON.stringify({ result: commands[name](...args) }))
+  })
+
+  return { entries, fetch }
+}
+
+for (const [name, create] of [
+  ['memory', () => createMemoryStore()],
+  ['kv', () => createKvStore({ url: 'https://kv.example.com', token: 'kv-token' })]
+]) {
+  describe(`${name} store`, () => {
+    let store
+
+    beforeEach(() => {
+      vi.stubGlobal('fetch', createFakeKv().fetch)
+      store = create()
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+      vi.useRealTimers()
+    })
+
+    it('reads back what it stores', async () => {
+      expect(await store.get('a')).toBeUndefined()
+
+      await store.set('a', { jobs: [1, 2] })
+      expect(await store.get('a')).toEqual({ jobs: [1, 2] })
+
+      await store.delete('a')
+      expect(await store.get('a')).toBeUndefined()
+    })
+
+    it('only adds missing keys', async () => {
+      expect(await store.add('lock', 1)).toBe(true)
+      expect(await store.add('lock', 2)).toBe(false)
+      expect(await store.get('lock')).toBe(1)
+    })
+
+    it('expires entries after their ttl', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      await store.add('lock', true, { ttl: 60 * 1000 })
+
+      vi.advanceTimersByTime(59 * 1000)
+      expect(await store.add('lock', true, { ttl: 60 * 1000 })).toBe(false)
+
+      vi.advanceTimersByTime(2 * 1000)
+      expect(await store.get('lock')).toBeUndefined()
+      expect(await store.add('lock', true, { ttl: 60 * 1000 })).toBe(true)
+    })
+
+    it('updates and deletes through a function of the current value', async () => {
+      expect(await store.update('queue', (jobs = []) => [...jobs, 'a'])).toEqual(['a'])
+      expect(await store.update('queue', (jobs = []) => [...jobs, 'b'])).toEqual(['a', 'b'])
+
+      await store.update('queue', () => undefined)
+      expect(await store.get('queue')).toBeUndefined()
+    })
+  })
+}
+
+describe('kv store', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('runs an update again when the key changed in between', async () => {
+    const { entries, fetch } = createFakeKv()
+    vi.stubGlobal('fetch', fetch)
+    const store = createKvStore({ url: 'https://kv.example.com', token: 'kv-token' })
+    await store.set('queue', ['a'])
+
+    const fn = vi.fn((jobs) => {
+      // another instance appends its job between the read and the write of the first run
+      if (fn.mock.calls.length === 1) entries.set('queue', { value: JSON.stringify([...jobs, 'b']) })
+      return [...jobs, 'c']
+    })
+
+    expect(await store.update('queue', fn)).toEqual(['a', 'b', 'c'])
+    expect(fn).toHaveBeenCalledTimes(2)
+    expect(await store.get('queue')).toEqual(['a', 'b', 'c'])
+  })
+
+  it('fails with the error of the API', async () => {
+    vi.stubGlobal('fetch', createFakeKv().fetch)
+    const store = createKvStore({ url: 'https://kv.example.com', token: 'wrong' })
+
+    await expect(store.get('a')).rejects.toThrow('KV GET failed: Unauthorized')
+  })
+})
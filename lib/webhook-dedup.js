@@ -0,0 +1,65 @@
+import crypto from 'node:crypto'
+import { getStore } from './storage'
+
+// The processed webhook ids and the order locks must be seen by every instance that can receive a delivery, so they
+// live in the shared storage backend (STORAGE_BACKEND `kv` once deployed, see `lib/storage`). With a per-instance
+// backend a retried delivery or a concurrent one that reaches another instance is processed again.
+
+// Shopify keeps retrying a delivery for up to 48 hours
+const WEBHOOK_ID_TTL = 48 * 60 * 60 * 1000
+// the longest a route that takes order locks may run, in seconds. Each of them declares it as its `maxDuration`
+// (a literal, Next.js reads it statically), so a lock always outlives the invocation holding it and a crashed one
+// only keeps the order locked a little longer
+export const ROUTE_MAX_DURATION = 60
+const ORDER_LOCK_TTL = (ROUTE_MAX_DURATION + 30) * 1000
+
+export async function isProcessedWebhook(webhookId) {
+  if (!webhookId) return false
+
+  return (await getStore().get(`webhook:${webhookId}`)) !== undefined
+}
+
+export async function markWebhookProcessed(webhookId) {
+  if (!webhookId) return
+
+  await getStore().set(`webhook:${webhookId}`, new Date().getTime(), { ttl: WEBHOOK_ID_TTL })
+}
+
+// resolves to the lock token, or `false` when another delivery for the same order is still being processed
+export async function acquireOrderLock(orderId) {
+  const token = crypto.randomUUID()
+  return (await getStore().add(`lock:order:${orderId}`, token, { ttl: ORDER_LOCK_TTL })) && token
+}
+
+// only releases the lock `token` holds, once it expired another delivery may have taken it (that one is kept, its ttl restarts)
+export async function releaseOrderLock(orderId, token) {
+  await getStore().update(`lock:order:${orderId}`, (current) => (current === token ? undefined : current), { ttl: ORDER_LOCK_TTL })
+}
+
+// runs `fn` holding the lock of `orderId`, resolves to `{ status: 'processed', result }` or to `{ status: 'locked' }`
+// without running it while a delivery, queued job or route is working on the same order
+export async function withOrderLock(orderId, fn) {
+  const lock = await acquireOrderLock(orderId)
+  if (!lock) return { status: 'locked' }
+
+  try {
+    return { status: 'processed', result: await fn() }
+  } finally {
+    await releaseOrderLock(orderId, lock)
+  }
+}
+
+// runs `fn` once per webhook id and never concurrently for the same order:
+// - replayed deliveries resolve to `{ status: 'duplicate' }` without running `fn`
+// - overlapping deliveries resolve to `{ status: 'locked' }`, the route should answer with a non 2xx so Shopify retries later
+// - a delivery is only recorded as processed when `fn` doesn't throw, so it can be retried
+export async function processWebhookOnce(webhookId, orderId, fn) {
+  if (await isProcessedWebhook(webhookId)) return { status: 'duplicate' }
+
+  return withOrderLock(orderId, async () => {
+    const result = await fn()
+    await markWebhookProcessed(webhookId)
+
+    return result
+  })
+}
@@ -0,0 +1,91 @@
+import fs from 'node:fs'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createMemoryStore, setStore } from './storage'
+import { ROUTE_MAX_DURATION, acquireOrderLock, processWebhookOnce, releaseOrderLock } from './webhook-dedup'
+
+const ORDER_ID = 'gid://shopify/Order/5620328415512'
+
+beforeEach(() => {
+  setStore(createMemoryStore())
+})
+
+describe('processWebhookOnce', () => {
+  it('runs a delivery once', async () => {
+    const fn = vi.fn(async () => 'done')
+
+    expect(await processWebhookOnce('webhook-1', ORDER_ID, fn)).toEqual({ status: 'processed', result: 'done' })
+    expect(await processWebhookOnce('webhook-1', ORDER_ID, fn)).toEqual({ status: 'duplicate' })
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  it('refuses a delivery while another one of the same order runs', async () => {
+    let finish
+    const first = processWebhookOnce('webhook-1', ORDER_ID, () => new Promise((resolve) => { finish = resolve }))
+    await vi.waitFor(() => expect(finish).toBeDefined())
+
+    expect(await processWebhookOnce('webhook-2', ORDER_ID, vi.fn())).toEqual({ status: 'locked' })
+    expect(await processWebhookOnce('webhook-3', 'gid://shopify/Order/1', async () => 'other')).toMatchObject({ status: 'processed' })
+
+    finish()
+    await first
+    expect(await processWebhookOnce('webhook-2', ORDER_ID, async () => 'done')).toMatchObject({ status: 'processed' })
+  })
+
+  it('lets a delivery that threw be retried', async () => {
+    await expect(processWebhookOnce('webhook-1', ORDER_ID, async () => { throw new Error('Shopify is down') }))
+      .rejects.toThrow('Shopify is down')
+
+    expect(await processWebhookOnce('webhook-1', ORDER_ID, async () => 'done')).toMatchObject({ status: 'processed' })
+  })
+})
+
+describe('releaseOrderLock', () => {
+  it('keeps a lock taken by someone else', async () => {
+    const lock = await acquireOrderLock(ORDER_ID)
+    expect(lock).toBeTruthy()
+    expect(await acquireOrderLock(ORDER_ID)).toBe(false)
+
+    await releaseOrderLock(ORDER_ID, 'an expired lock')
+    expect(await acquireOrderLock(ORDER_ID)).toBe(false)
+
+    await releaseOrderLock(ORDER_ID, lock)
+    expect(await acquireOrderLock(ORDER_ID)).toBeTruthy()
+  })
+})
+
+describe('acquireOrderLock', () => {
+  // every route that takes order locks, through the webhook dedup, the job handlers, the sweep or the dashboard actions
+  const LOCKING_ROUTES = [
+    'pages/api/shopify-update-webhook.js',
+    'pages/api/upcoming/fulfill-order.js',
+    'pages/api/job-queue-cronjob.js',
+    'pages/api/late-notification-cronjob.js',
+    'pages/api/upcoming/delayed-fulfillment-notification.js',
+    'pages/api/revision/[slug].js',
+    'app/page.js'
+  ]
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('holds the lock as long as the longest route may run', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    expect(await acquireOrderLock(ORDER_ID)).toBeTruthy()
+
+    vi.advanceTimersByTime(ROUTE_MAX_DURATION * 1000)
+    expect(await acquireOrderLock(ORDER_ID)).toBe(false)
+
+    // a crashed invocation doesn't keep the order locked for good
+    vi.advanceTimersByTime(60 * 1000)
+    expect(await acquireOrderLock(ORDER_ID)).toBeTruthy()
+  })
+
+  it('is only taken by routes that declare that max duration', () => {
+    for (const route of LOCKING_ROUTES) {
+      const source = fs.readFileSync(new URL(`../${route}`, import.meta.url), 'utf8')
+
+      expect(source.match(/maxDuration(?::| =) (\d+)/)?.[1], route).toBe(String(ROUTE_MAX_DURATION))
+    }
+  })
+})
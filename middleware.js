@@ -0,0 +1,26 @@
+import { NextResponse } from "next/server";
+
+// the internal dashboard is behind HTTP basic auth, checked by `/api/dashboard-auth` with the ADMIN_SECRET of
+// `lib/config` (the Edge runtime can't load it)
+export async function middleware(request) {
+    const authorization = request.headers.get("authorization");
+
+    if (authorization) {
+        const response = await fetch(new URL("/api/dashboard-auth", request.url), {
+            headers: { authorization },
+            cache: "no-store",
+        });
+        if (response.ok) {
+            return NextResponse.next();
+        }
+    }
+
+    return new NextResponse("Authentication required", {
+        status: 401,
+        headers: { "WWW-Authenticate": 'Basic realm="Momentus Shop"' },
+    });
+}
+
+export const config = {
+    matcher: ["/"],
+};
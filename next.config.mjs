@@ -1,7 +1,16 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  experimental: {
+    // bundled, its `require.extensions` hook warns on every build, it only needs to run on the server
+    serverComponentsExternalPackages: ['handlebars'],
+    // the email templates are read from disk when rendered (see `lib/email-templates`)
+    outputFileTracingIncludes: {
+      '/api/**/*': ['./email-templates/**/*']
+    }
+  },
   rewrites: () => [
-    { source: '/img/:slug*', destination: '/api/img/:slug*' }
+    { source: '/img/:slug*', destination: '/api/img/:slug*' },
+    { source: '/revision/:slug*', destination: '/api/revision/:slug*' }
   ]
 };
 
@@ -0,0 +1,18 @@
+import { getConfig } from '../../lib/config'
+
+// the password of a `Basic` authorization header, `null` when there is none or it doesn't hold one
+function getPassword(authorization) {
+  const [scheme, encoded] = (authorization ?? '').split(' ')
+  if (scheme !== 'Basic' || !encoded) return null
+
+  const [, ...password] = Buffer.from(encoded, 'base64').toString('utf8').split(':')
+  return password.length > 0 ? password.join(':') : null
+}
+
+// Checks the HTTP basic auth of the dashboard for `middleware.js`, which runs on the Edge runtime and can't load
+// `lib/config`. Any user name with ADMIN_SECRET as password, answers 204 or 401
+export default (req, res) => {
+  const password = getPassword(req.headers['authorization'])
+
+  return res.status(password === getConfig().adminSecret ? 204 : 401).end()
+}
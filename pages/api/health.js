@@ -0,0 +1,51 @@
+import { checkConfig } from '../../lib/config'
+import { createServices } from '../../lib/services'
+import { createStore } from '../../lib/storage'
+
+const CHECK_TIMEOUT = 5000
+
+// resolves to `{ ok, error }`, a check that takes longer than `CHECK_TIMEOUT` fails
+async function runCheck(check) {
+  let timeout
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT)
+      })
+    ])
+    return { ok: true }
+  } catch (e) {
+    return { ok: false, error: e.message }
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+// Checks the configuration and that Shopify, the SMTP server and the storage backend can be reached, responds 503
+// when any of them fails. They are skipped while the configuration is invalid.
+export default async (req, res) => {
+  const { config, problems } = checkConfig()
+  const checks = { config: { ok: problems.length === 0, problems } }
+
+  if (config) {
+    const { client, transport } = createServices({ config })
+
+    checks.shopify = await runCheck(async () => {
+      const { errors } = await client.request(`
+        query Shop {
+          shop {
+            name
+          }
+        }
+      `)
+      if (errors) throw new Error(errors.message ?? JSON.stringify(errors))
+    })
+    checks.smtp = await runCheck(() => transport.verify())
+    checks.storage = await runCheck(() => createStore(config).get('health'))
+  }
+
+  const success = Object.values(checks).every(({ ok }) => ok)
+
+  return res.status(success ? 200 : 503).json({ success, ...checks })
+}
@@ -1,13 +1,153 @@
 import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises'
+import { getConfig } from '../../../lib/config'
+import { TOKEN_STATUS, fetchFromAllowedHosts, isAllowedHost, verifyDownloadToken } from '../../../lib/download-links'
+import { detectFileType, getDeclaredType, readFileHead, withExtension } from '../../../lib/file-types'
 
+// design files are a few MB, anything much larger isn't one
+const MAX_SIZE = 50 * 1024 * 1024
+// for the upstream to answer and send the first bytes, the rest of the file streams for as long as it takes
+const TIMEOUT = 30 * 1000
+// enough of the file to tell its type (see `lib/file-types`)
+const SNIFF_LENGTH = 1024
+// each link belongs to one customer, their browser may keep the file but shared caches must not
+const CACHE_CONTROL = 'private, max-age=86400'
+
+// passed on so the upstream answers Range and conditional requests itself
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since']
+const FORWARDED_RESPONSE_HEADERS = ['etag', 'last-modified', 'accept-ranges', 'content-range']
+
+function sendError(res, status, message) {
+  res.setHeader('Cache-Control', 'no-store')
+  return res.status(status).send(message)
+}
+
+function forwardHeaders(response, res) {
+  for (const name of FORWARDED_RESPONSE_HEADERS) {
+    const value = response.headers.get(name)
+    if (value) res.setHeader(name, value)
+  }
+}
+
+// yields `head` and the rest of the file, throws once it goes over `MAX_SIZE`
+async function* readRest(head, reader) {
+  let size = head.length
+  yield head
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) return
+
+    size += value.length
+    if (size > MAX_SIZE) throw new Error(`File larger than ${MAX_SIZE} bytes`)
+    yield value
+  }
+}
+
+// `/img/<token>`, a signed download link of an order file (see `lib/download-links`).
+// Upstream failures map to 404 (file gone), 502 (bad answer, unexpected type, too large) and 504 (timeout)
 export default async (req, res) => {
   const { slug } = req.query
+  const config = getConfig()
+
+  const { status, orderId, url, filename } = verifyDownloadToken(slug, { secret: config.downloadLinkSecret })
+  if (status === TOKEN_STATUS.EXPIRED) {
+    return sendError(res, 410, 'This download link has expired')
+  }
+  if (status !== TOKEN_STATUS.VALID) {
+    return sendError(res, 403, 'Invalid download link')
+  }
+
+  // the host was allowed when the link was made, it may have been removed since
+  if (!isAllowedHost(url, config.downloadHosts)) {
+    console.log(`Download link of order ${orderId} refused, host not allowed (${url})`)
+    return sendError(res, 403, 'Invalid download link')
+  }
+
+  const headers = Object.fromEntries(
+    FORWARDED_REQUEST_HEADERS.filter((name) => req.headers[name]).map((name) => [name, req.headers[name]])
+  )
+  // a timer rather than `AbortSignal.timeout`, which would also cut a slow download midway
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(new DOMException(`No answer after ${TIMEOUT}ms`, 'TimeoutError')), TIMEOUT)
+  let response
+  let reader
+  let head
+  try {
+    // a redirect is only followed to the allowed hosts too
+    response = await fetchFromAllowedHosts(url, config.downloadHosts, { headers, signal: controller.signal })
+
+    if (response.status === 304) {
+      forwardHeaders(response, res)
+      res.setHeader('Cache-Control', CACHE_CONTROL)
+      return res.status(304).end()
+    }
+
+    if (!response.ok) {
+      console.log(`Download of order ${orderId} failed, upstream responded ${response.status} (${url})`)
+      await response.body?.cancel()
+      if (response.status === 416) {
+        forwardHeaders(response, res)
+        return sendError(res, 416, 'Range not satisfiable')
+      }
+
+      return response.status === 404 || response.status === 410
+        ? sendError(res, 404, 'File not found')
+        : sendError(res, 502, 'The file is unavailable, please try again later')
+    }
+
+    if (Number(response.headers.get('content-length')) > MAX_SIZE) {
+      console.log(`Download of order ${orderId} refused, larger than ${MAX_SIZE} bytes (${url})`)
+      await response.body.cancel()
+      return sendError(res, 502, 'The file is unavailable')
+    }
+
+    reader = response.body.getReader()
+    head = await readFileHead(reader, SNIFF_LENGTH)
+  } catch (e) {
+    console.log(`Download of order ${orderId} failed (${e.message})`)
+    return e.name === 'TimeoutError'
+      ? sendError(res, 504, 'The file took too long, please try again later')
+      : sendError(res, 502, 'The file is unavailable, please try again later')
+  } finally {
+    clearTimeout(timeout)
+  }
+
+  // a range from the middle of the file can't be sniffed, the declared type has to do
+  const contentRange = response.headers.get('content-range')
+  const isPartial = response.status === 206 && !/^bytes 0-/.test(contentRange ?? '')
+  const contentType = response.headers.get('content-type')
+  const type = isPartial ? getDeclaredType(contentType) : detectFileType(head, contentType)
+  if (!type) {
+    console.log(`Download of order ${orderId} refused, unexpected content type "${contentType}" (${url})`)
+    await reader.cancel()
+    return sendError(res, 502, 'The file is unavailable')
+  }
+
+  forwardHeaders(response, res)
+  // `fetch` decompresses the body, the upstream length is only right for an uncompressed one
+  const contentLength = response.headers.get('content-length')
+  if (contentLength && !response.headers.get('content-encoding')) res.setHeader('Content-Length', contentLength)
+  res.setHeader('Content-Type', type)
+  res.setHeader('Content-Disposition', `attachment; filename="${withExtension(filename, type)}"`)
+  res.setHeader('Cache-Control', CACHE_CONTROL)
+  // an SVG can hold scripts, never let it run on this origin
+  res.setHeader('X-Content-Type-Options', 'nosniff')
+  res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox")
+  res.status(response.status)
 
-  const buf = Buffer.from(slug, 'base64')
-  const [orderId, imgUrl] = JSON.parse(buf)
-  const response = await fetch(imgUrl)
+  try {
+    await pipeline(Readable.from(readRest(head, reader)), res)
+  } catch (e) {
+    // the headers are out, all that is left is cutting the download short
+    console.log(`Download of order ${orderId} interrupted (${e.message})`)
+    res.destroy()
+  }
+}
 
-  res.setHeader('Content-Type', 'image/png')
-  res.setHeader('Content-Disposition', `attachment; filename="${orderId}.png"`)
-  Readable.fromWeb(response.body).pipe(res)
-}
\ No newline at end of file
+export const config = {
+  api: {
+    // files are streamed, usually above the 4MB Next.js warns about
+    responseLimit: false
+  }
+}
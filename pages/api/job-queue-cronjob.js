@@ -0,0 +1,28 @@
+import { drainQueue } from '../../lib/job-queue'
+import { createJobHandlers } from '../../lib/job-handlers'
+import { getServices } from '../../lib/services'
+import { isCronRequest } from '../../lib/cron'
+
+// retries the emails, order state writes and fulfillments that failed in the webhooks
+export default async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ success: false })
+  }
+
+  const services = getServices()
+  const summary = await drainQueue(createJobHandlers(services), {
+    onDeadLetter: (job) => services.sendAlert(
+      `[ALERTA] Order ${job.orderNumber}: Falhou após ${job.attempts} tentativas (${job.type})`,
+      JSON.stringify(job.errors, null, ' ')
+    )
+  })
+
+  console.log('Job queue summary', summary)
+
+  return res.status(200).json({ success: true, ...summary })
+}
+
+// it holds order locks, see `ROUTE_MAX_DURATION` in `lib/webhook-dedup`
+export const config = {
+  maxDuration: 60
+}
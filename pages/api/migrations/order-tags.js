@@ -0,0 +1,47 @@
+import { getServices } from '../../../lib/services'
+import { isCronRequest } from '../../../lib/cron'
+
+// Converts the workflow tags (`notification`, `timer:<ms>`, `notified`, `sent:img:<name>`) of open orders
+// into the order state store and removes them. Migrates one page per call, call again with `?after=<nextCursor>`
+// until `nextCursor` is `null`.
+export default async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ success: false })
+  }
+
+  const { orderStates, listOrders, updateTags } = getServices()
+  const { orders, nextCursor, errors } = await listOrders(
+    'tag:notification OR tag:notified OR fulfillment_status:unfulfilled',
+    { after: req.query.after ?? null }
+  )
+  if (errors) return res.status(500).json({ success: false, errors })
+
+  const summary = { migrated: [], skipped: 0, failed: [] }
+  for (const order of orders) {
+    const { legacyTags, errors: stateErrors } = await orderStates.migrateLegacyTags(order)
+
+    if (stateErrors) {
+      summary.failed.push({ order: order.name, errors: stateErrors })
+      continue
+    }
+
+    if (legacyTags.length === 0) {
+      summary.skipped++
+      continue
+    }
+
+    const { errors: tagsErrors } = await updateTags(order.id, { remove: legacyTags })
+    if (tagsErrors) {
+      summary.failed.push({ order: order.name, errors: tagsErrors })
+      continue
+    }
+
+    summary.migrated.push(order.name)
+  }
+
+  return res.status(200).json({
+    success: summary.failed.length === 0,
+    ...summary,
+    nextCursor
+  })
+}
@@ -0,0 +1,18 @@
+import { getConfig } from '../../../../lib/config'
+import { getServices } from '../../../../lib/services'
+
+// Full processing history of an order, e.g. `GET /api/orders/1001/history`
+export default async (req, res) => {
+  if (req.headers['authorization'] !== `Bearer ${getConfig().adminSecret}`) {
+    return res.status(401).json({ success: false })
+  }
+
+  const { orderStates, findOrderByNumber } = getServices()
+  const { order, errors } = await findOrderByNumber(req.query.number)
+  if (errors) return res.status(500).json({ success: false, errors })
+  if (!order) return res.status(404).json({ success: false })
+
+  const { history = [], ...state } = await orderStates.load(order)
+
+  return res.status(200).json({ success: true, state, history })
+}
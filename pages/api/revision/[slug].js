@@ -0,0 +1,165 @@
+import { getServices } from '../../../lib/services'
+import { TOKEN_STATUS } from '../../../lib/download-links'
+import { REVISION_MESSAGE_MAX_LENGTH, verifyRevisionToken } from '../../../lib/revisions'
+import { getOpenRevision } from '../../../lib/order-state'
+import { ORDER_EVENT, canTransition, transition } from '../../../lib/order-state-machine'
+import { JOB_TYPE, enqueueJob } from '../../../lib/job-queue'
+import { getOrderFiles } from '../../../lib/order-files'
+import { acquireOrderLock, releaseOrderLock } from '../../../lib/webhook-dedup'
+import { DEFAULT_LANGUAGE } from '../../../lib/locales'
+
+// texts of the page in the language of the email the link came in
+const TEXTS = {
+  en: {
+    title: 'Request changes',
+    intro: (orderNumber) => `Tell us what you would like changed in the design of order ${orderNumber} and we will send you a revised file.`,
+    pending: (number) => `Revision ${number} was already requested, anything you send now is added to it.`,
+    label: 'Changes',
+    submit: 'Send',
+    invalidMessage: `Please describe the changes, in up to ${REVISION_MESSAGE_MAX_LENGTH} characters.`,
+    sentTitle: 'Thank you!',
+    sent: 'We received your request and will send you the revised design by email.',
+    notDelivered: 'Your order is still being delivered. If you would like any changes, reply to the email of your design.',
+    expired: 'This link has expired. If you would like any changes, reply to the email of your design.',
+    invalid: 'Invalid link.',
+    unavailable: 'Your request could not be recorded, please try again later.'
+  },
+  pt: {
+    title: 'Pedir alterações',
+    intro: (orderNumber) => `Diga-nos o que gostaria de alterar no design da encomenda ${orderNumber} e enviaremos um ficheiro revisto.`,
+    pending: (number) => `A revisão ${number} já foi pedida, o que enviar agora é acrescentado a ela.`,
+    label: 'Alterações',
+    submit: 'Enviar',
+    invalidMessage: `Por favor descreva as alterações, até ${REVISION_MESSAGE_MAX_LENGTH} caracteres.`,
+    sentTitle: 'Obrigado!',
+    sent: 'Recebemos o seu pedido e enviaremos o design revisto por email.',
+    notDelivered: 'A sua encomenda ainda está a ser entregue. Se pretender alguma alteração responda ao email do seu design.',
+    expired: 'Esta ligação expirou. Se pretender alguma alteração responda ao email do seu design.',
+    invalid: 'Ligação inválida.',
+    unavailable: 'Não foi possível registar o seu pedido, por favor tente mais tarde.'
+  }
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// `form` is `{ message, error }` to show the form, with what was typed and why it was refused
+function sendPage(res, status, texts, { title = texts.title, paragraphs = [], form }) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8')
+  res.setHeader('Cache-Control', 'no-store')
+  res.status(status).send(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} · Momentus Shop</title>
+</head>
+<body style="max-width:36rem;margin:2rem auto;padding:0 1rem;font-family:Calibri,Arial,sans-serif;color:#000000">
+<h1 style="font-weight:normal">${escapeHtml(title)}</h1>
+${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}
+${form ? `<form method="post">
+<label for="message" style="display:block;color:#6F6F6F">${escapeHtml(texts.label)}</label>
+<textarea id="message" name="message" rows="8" maxlength="${REVISION_MESSAGE_MAX_LENGTH}" required style="width:100%;box-sizing:border-box">${escapeHtml(form.message ?? '')}</textarea>
+${form.error ? `<p style="color:#B00020">${escapeHtml(form.error)}</p>` : ''}
+<p><button type="submit">${escapeHtml(texts.submit)}</button></p>
+</form>` : ''}
+</body>
+</html>`)
+}
+
+// `/revision/<token>`, the "request changes" link of the delivery emails (see `lib/revisions`). GET shows the form,
+// POST records the request against the order, which waits for the revised file (see `sendEmailsToClient`), and alerts the shop
+export default async (req, res) => {
+  const { config, orderStates, getOrder, sendAlert } = getServices()
+  const { status, orderId, orderNumber, language } = verifyRevisionToken(req.query.slug, { secret: config.downloadLinkSecret })
+  const texts = TEXTS[language] ?? TEXTS[DEFAULT_LANGUAGE]
+
+  if (status === TOKEN_STATUS.EXPIRED) return sendPage(res, 410, texts, { paragraphs: [texts.expired] })
+  if (status !== TOKEN_STATUS.VALID) return sendPage(res, 403, texts, { paragraphs: [texts.invalid] })
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST')
+    return res.status(405).send('Method not allowed')
+  }
+
+  const { order, errors } = await getOrder(orderId)
+  if (errors || !order) {
+    console.log(`Revision request of ${orderNumber} failed, order not read`, JSON.stringify(errors ?? null))
+    return sendPage(res, errors ? 502 : 404, texts, { paragraphs: [texts.unavailable] })
+  }
+
+  const state = await orderStates.load(order)
+  if (!canTransition(state, ORDER_EVENT.REVISION_REQUESTED)) {
+    return sendPage(res, 409, texts, { paragraphs: [texts.notDelivered] })
+  }
+
+  const openRevision = getOpenRevision(state)
+  const intro = [texts.intro(order.name), ...(openRevision ? [texts.pending(openRevision.number)] : [])]
+  if (req.method === 'GET') return sendPage(res, 200, texts, { paragraphs: intro, form: {} })
+
+  const message = String(req.body?.message ?? '').trim()
+  if (!message || message.length > REVISION_MESSAGE_MAX_LENGTH) {
+    return sendPage(res, 400, texts, { paragraphs: intro, form: { message, error: texts.invalidMessage } })
+  }
+
+  // the webhook may be saving the state of this order right now
+  const lock = await acquireOrderLock(orderId)
+  if (!lock) {
+    return sendPage(res, 409, texts, { paragraphs: [texts.unavailable] })
+  }
+
+  try {
+    const currentState = await orderStates.load(order)
+    if (!canTransition(currentState, ORDER_EVENT.REVISION_REQUESTED)) {
+      return sendPage(res, 409, texts, { paragraphs: [texts.notDelivered] })
+    }
+
+    // the files attached now are the ones to revise, the next new one is the revised design
+    const previousKeys = getOrderFiles(order.customAttributes.map(({ key, value }) => ({ name: key, value })))
+      .map((file) => file.key)
+    const nextState = transition(currentState, ORDER_EVENT.REVISION_REQUESTED, {
+      actor: 'customer:revision-link',
+      payload: { message },
+      message,
+      previousKeys,
+      details: { message }
+    })
+    const { errors: stateErrors } = await orderStates.save(nextState)
+    if (stateErrors) {
+      await enqueueJob(JOB_TYPE.ORDER_STATE, { state: nextState }, {
+        orderId,
+        orderNumber: order.name,
+        error: stateErrors
+      })
+    }
+
+    const revision = getOpenRevision(nextState)
+    const subject = `[ALERTA] Order ${order.name}: Revisão ${revision.number} pedida pelo cliente`
+    const text = `${message}\n\nAnexe o ficheiro revisto à encomenda para o enviar ao cliente.`
+    try {
+      const alert = await sendAlert(subject, text)
+      if (!alert.messageId) throw new Error(`Alert not sent (${JSON.stringify(alert)})`)
+    } catch (e) {
+      // the request is recorded, an error page would only have the customer send it again
+      console.log(`Revision alert of ${order.name} failed, queued for retry`, e.message)
+      await enqueueJob(JOB_TYPE.EMAIL, { mail: { to: config.alertEmail, subject, text } }, {
+        orderId,
+        orderNumber: order.name,
+        error: e.message
+      })
+    }
+  } finally {
+    await releaseOrderLock(orderId, lock)
+  }
+
+  return sendPage(res, 200, texts, { title: texts.sentTitle, paragraphs: [texts.sent] })
+}
+
+// it holds order locks, see `ROUTE_MAX_DURATION` in `lib/webhook-dedup`
+export const config = {
+  maxDuration: 60
+}
@@ -1,158 +1,473 @@
 import { buffer } from "micro";
-import nodemailer from "nodemailer";
-import { createAdminApiClient } from "@shopify/admin-api-client";
-import * as emailTemplates from "../../email-templates";
-
-const isDebug = process.env.APP_MODE !== "production";
-const fromEmail = '"Momentus Shop" <info@momentus.shop>';
-const toEmail = isDebug
-    ? "ricardo.ferreira@wizardformula.pt"
-    : "info@momentus.shop";
-
-const [storeDomain, accessToken] = process.env.SHOPIFY_AUTH.split(":");
-const client = createAdminApiClient({
-    apiVersion: "2024-01",
-    storeDomain,
-    accessToken,
-});
-
-const transport = nodemailer.createTransport(
-    JSON.parse(process.env.SMTP_CONNECTION)
-);
-
-function isValidURL(string) {
+import { verifyWebhook } from "../../lib/shopify-webhook";
+import { processWebhookOnce } from "../../lib/webhook-dedup";
+import { routeCustomerEmail } from "../../lib/customer-email";
+import { JOB_TYPE, enqueueJob, isJobPending } from "../../lib/job-queue";
+import { describeSkipped, hasFulfillmentErrors } from "../../lib/fulfillment";
+import {
+    ORDER_STATUS,
+    getOpenRevision,
+    isFileSent,
+} from "../../lib/order-state";
+import { getServices } from "../../lib/services";
+import {
+    getTemplateLanguage,
+    renderTemplate,
+} from "../../lib/email-templates";
+import { countLineItems, getOrderFiles } from "../../lib/order-files";
+import { getDeliveryMode, planBatchDelivery } from "../../lib/delivery";
+import { getDownloadUrl } from "../../lib/download-links";
+import { getRevisionUrl } from "../../lib/revisions";
+import { preflightFile } from "../../lib/file-preflight";
+import { withExtension } from "../../lib/file-types";
+import {
+    ORDER_EVENT,
+    canTransition,
+    transition,
+} from "../../lib/order-state-machine";
+
+// what `isFileSent` needs to tell a file was sent, see `lib/order-files`
+function toFileRef(file) {
+    return { key: file.key, legacyKey: file.legacyKey, url: file.url };
+}
+
+// `#1001.png`, or `#1001_2.png` for the second file of an order with several,
+// with the extension of the type found by the preflight
+function getAttachmentName(order_number, file, fileCount) {
+    const name =
+        fileCount === 1 ? order_number : `${order_number}_${file.number}`;
+
+    return withExtension(name, file.preflight?.type ?? "image/png");
+}
+
+async function startEscalation(order_gid, order_number, state, audit) {
+    const nextState = transition(state, ORDER_EVENT.ESCALATION_STARTED, audit);
+    const { errors } = await getServices().orderStates.save(nextState);
+
+    if (errors) {
+        await enqueueJob(
+            JOB_TYPE.ORDER_STATE,
+            { state: nextState },
+            { orderId: order_gid, orderNumber: order_number, error: errors }
+        );
+    }
+}
+
+// sends `mail` with `files` and records them as sent, an email that fails is queued for retry
+// (see `lib/job-queue`) and `queued` is `true`
+async function deliverFiles(
+    order_gid,
+    order_number,
+    mail,
+    files,
+    dedupKey,
+    fulfillWhenSent,
+    state,
+    audit
+) {
+    const { sendMail } = getServices();
+    const fileNames = files.map((file) => file.name).join(", ");
+    let email;
     try {
-        new URL(string);
-        return true; // If no error, it's a valid URL
+        email = await sendMail(mail);
     } catch (e) {
-        return false; // If error, it's not a valid URL
+        email = { error: e.message };
     }
-}
 
-function getShortFileName(filename) {
-    const parts = filename.split("/").pop().replace(".png", "").split("-");
-    return `${parts[0]}-${[parts[parts.length - 1]]}`;
+    if (!email.messageId) {
+        console.log("Error sending email: ", JSON.stringify(email, null, " "));
+
+        const job = await enqueueJob(
+            JOB_TYPE.EMAIL,
+            {
+                mail,
+                files: files.map((file) => ({
+                    ...toFileRef(file),
+                    name: file.name,
+                    url: file.url,
+                    preflight: file.preflight ?? null,
+                    lineItemId: file.lineItem?.admin_graphql_api_id ?? null,
+                })),
+                fulfillWhenSent,
+            },
+            {
+                orderId: order_gid,
+                orderNumber: order_number,
+                dedupKey,
+                error: email,
+            }
+        );
+        const nextState = transition(state, ORDER_EVENT.FAILED, {
+            ...audit,
+            error: { file: fileNames, email, jobId: job?.id ?? null },
+        });
+
+        return { nextState, queued: true };
+    }
+
+    // record the files sent in order to be skipped next time
+    let nextState = state;
+    for (const file of files) {
+        nextState = transition(nextState, ORDER_EVENT.FILE_SENT, {
+            ...audit,
+            ...toFileRef(file),
+            name: file.name,
+            messageId: email.messageId,
+            preflight: file.preflight ?? null,
+            details: { file: file.name, messageId: email.messageId },
+        });
+    }
+
+    console.log(`Email sent: ${email.messageId} (${fileNames})`);
+
+    return { nextState, queued: false };
 }
 
-function countImageUrls(note_attributes) {
-    return note_attributes.reduce(
-        (acc, attr) => acc + (attr.value.length > 0 && isValidURL(attr.value) ? 1 : 0),
-        0
+// fulfills the line items of the files sent right away, so an order with several products shows which ones
+// were delivered. A fulfillment that fails is queued for retry
+async function fulfillSentFiles(order_gid, order_number, files, state, audit) {
+    const lineItems = countLineItems(
+        files.map((file) => file.lineItem?.admin_graphql_api_id)
     );
-}
+    if (lineItems.length === 0) return state;
 
-async function addNotificationTimer(order_gid, currentTags) {
-    const timeout = 15 * 60 * 1000;
-    const timer = new Date().getTime() + timeout;
-    const nextTags = [...currentTags, "notification", `timer:${timer}`];
-    const orderUpdate = `
-      mutation OrderUpdate($input: OrderInput!) {
-        orderUpdate(input: $input) {
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-    const { data, errors } = await client.request(orderUpdate, {
-        variables: {
-            input: {
-                id: order_gid,
-                tags: nextTags,
-            },
-        },
-    });
+    const { fulfillmentOrderIds, skipped, data, errors } =
+        await getServices().fulfillLineItems(order_gid, lineItems);
+    if (hasFulfillmentErrors({ data, errors })) {
+        console.log(
+            "Error fulfilling line items: ",
+            JSON.stringify({ data, errors }, null, " ")
+        );
 
-    if (errors) {
-        await transport.sendMail({
-            from: fromEmail,
-            to: toEmail,
-            subject: `[ALERTA] Order ${order_number}: Falhou ao definir notificação`,
-            text: JSON.stringify({ data, errors }, null, " "),
+        const job = await enqueueJob(
+            JOB_TYPE.FULFILLMENT,
+            { lineItems },
+            {
+                orderId: order_gid,
+                orderNumber: order_number,
+                dedupKey: `fulfillment:${order_gid}:${files
+                    .map((file) => file.key)
+                    .join(",")}`,
+                error: { data, errors },
+            }
+        );
+        return transition(state, ORDER_EVENT.FAILED, {
+            ...audit,
+            error: { data, errors, jobId: job?.id ?? null },
         });
     }
+
+    console.log(
+        `Line items fulfilled: ${JSON.stringify(lineItems)} (${fulfillmentOrderIds.join(", ") || "already fulfilled"})`
+    );
+    if (skipped.length > 0) {
+        console.log(`Skipped: ${describeSkipped(skipped).join("; ")}`);
+    }
+    return transition(state, ORDER_EVENT.LINE_ITEMS_FULFILLED, {
+        ...audit,
+        lineItems,
+        details: { lineItems, fulfillmentOrderIds, skipped },
+    });
 }
 
+// returns the order state with a record for each file sent, emails that failed are queued
+// for retry and returned in `queuedFiles`.
+// `files` come from `getOrderFiles` and `renderEmail(file, revisionNumber)` renders the email of a file in the customer
+// language. While a revision is open (see `lib/revisions`) the files attached since it was asked are its new designs
 async function sendEmailsToClient(
+    order_gid,
     order_number,
     contact_email,
-    note_attributes,
-    lang,
-    currentTags,
-    nextTags
+    files,
+    renderEmail,
+    hasMissingFiles,
+    state,
+    audit
 ) {
-    const to = isDebug ? toEmail : contact_email;
-    const bcc = !isDebug ? toEmail : undefined;
-    const subject = `${emailTemplates[lang].subject} ${order_number} ${
-        isDebug ? `(to: ${contact_email})` : ""
-    }`.trimEnd();
-
-    for (const [index, img] of note_attributes.entries()) {
-        if (!isValidURL(img.value)) {
-            console.log(`skipping email - note attribute is not a valid url (${img.value})`);
+    const { config } = getServices();
+    // once every file is sent the order can be fulfilled, a queued email does it when it goes out
+    const fulfillWhenSent = hasMissingFiles
+        ? null
+        : files.map(toFileRef);
+    const queuedFiles = [];
+    const revision = getOpenRevision(state);
+    let nextState = state;
+
+    for (const file of files) {
+        const isRevision =
+            revision !== undefined && !revision.previousKeys.includes(file.key);
+        const emailParts =
+            files.length === 1 || isRevision
+                ? ""
+                : `(${file.number}/${files.length})`;
+        const dedupKey = `email:${order_gid}:${file.key}`;
+
+        // file already sent, skip it
+        if (!canTransition(nextState, ORDER_EVENT.FILE_SENT, file)) {
+            console.log(`skipping email - it was already sent (${file.name})`);
             continue;
         }
 
-        if (!img.value) {
-            console.log(`skipping email - no url yet for (${img.name})`);
+        // the file failed the preflight, it is reported instead (see `reportInvalidFiles`)
+        if (file.preflight?.ok === false) {
+            console.log(
+                `skipping email - the file failed the preflight (${file.name})`
+            );
             continue;
         }
 
-        const noteAttributesCount = countImageUrls(note_attributes);
-        const emailParts =
-        noteAttributesCount === 1
-                ? ""
-                : `(${index + 1}/${noteAttributesCount})`;
-        const imgName = getShortFileName(img.value);
-        const fileParts = noteAttributesCount === 1 ? "" : `_${index + 1}`;
+        // a previous attempt is waiting to be retried (maybe queued under the legacy key), skip it
+        if (
+            (await isJobPending(dedupKey)) ||
+            (await isJobPending(`email:${order_gid}:${file.legacyKey}`))
+        ) {
+            console.log(`skipping email - it is queued for retry (${file.name})`);
+            queuedFiles.push(file.key);
+            continue;
+        }
 
-        // file already sent, skip it
-        if (currentTags.includes(`sent:img:${imgName}`)) {
-            console.log(`skipping email - it was already sent (${img.name})`);
+        const { subject, text, html, attachments } = renderEmail(
+            file,
+            isRevision ? revision.number : undefined
+        );
+        const mail = routeCustomerEmail(
+            {
+                from: config.fromEmail,
+                to: contact_email,
+                subject: `${subject} ${emailParts}`.trimEnd(),
+                text,
+                html,
+                attachments: [
+                    ...attachments,
+                    {
+                        filename: getAttachmentName(
+                            order_number,
+                            file,
+                            files.length
+                        ),
+                        path: file.url,
+                    },
+                ],
+            },
+            config
+        );
+        const { nextState: stateAfterEmail, queued } = await deliverFiles(
+            order_gid,
+            order_number,
+            mail,
+            [file],
+            dedupKey,
+            fulfillWhenSent,
+            nextState,
+            audit
+        );
+        // the unit of a revised design was fulfilled with its first one
+        if (queued || isRevision) {
+            nextState = stateAfterEmail;
+            if (queued) queuedFiles.push(file.key);
             continue;
         }
 
-        const email = await transport.sendMail({
-            from: fromEmail,
-            to: to,
-            bcc: bcc,
-            subject: `${subject} ${emailParts}`,
-            text: emailTemplates[lang].text,
-            html: emailTemplates[lang].html,
+        nextState = await fulfillSentFiles(
+            order_gid,
+            order_number,
+            [file],
+            stateAfterEmail,
+            audit
+        );
+    }
+
+    return { nextState, queuedFiles };
+}
+
+// the batch delivery mode (see `lib/delivery`), only called once the order has every file: a single email
+// with the files not sent yet, attached when they fit in `config.batchAttachmentLimit` and linked otherwise.
+// `renderBatchEmail(files, downloads)` renders it in the customer language, same return as `sendEmailsToClient`
+async function sendBatchEmailToClient(
+    order_gid,
+    order_number,
+    contact_email,
+    files,
+    renderBatchEmail,
+    state,
+    audit
+) {
+    const { config } = getServices();
+    const pendingFiles = files.filter((file) =>
+        canTransition(state, ORDER_EVENT.FILE_SENT, file)
+    );
+    const pendingKeys = pendingFiles.map((file) => file.key);
+    const dedupKey = `email:${order_gid}:batch`;
+
+    if (pendingFiles.length === 0) {
+        console.log("skipping batch email - every file was already sent");
+        return { nextState: state, queuedFiles: [] };
+    }
+
+    // a previous attempt is waiting to be retried, skip it
+    if (await isJobPending(dedupKey)) {
+        console.log("skipping batch email - it is queued for retry");
+        return { nextState: state, queuedFiles: pendingKeys };
+    }
+
+    const { attach, totalSize } = await planBatchDelivery(
+        pendingFiles,
+        config.batchAttachmentLimit
+    );
+    console.log(
+        `batch email with ${pendingFiles.length} file(s) (size: ${totalSize ?? "unknown"} :: ${attach ? "attached" : "linked"})`
+    );
+
+    const { subject, text, html, attachments } = renderBatchEmail(
+        pendingFiles,
+        !attach
+    );
+    const mail = routeCustomerEmail(
+        {
+            from: config.fromEmail,
+            to: contact_email,
+            subject,
+            text,
+            html,
             attachments: [
-                ...emailTemplates[lang].attachments,
-                {
-                    filename: `${order_number}${fileParts}.png`,
-                    path: img.value,
-                },
+                ...attachments,
+                ...(attach
+                    ? pendingFiles.map((file) => ({
+                          filename: getAttachmentName(
+                              order_number,
+                              file,
+                              files.length
+                          ),
+                          path: file.url,
+                      }))
+                    : []),
             ],
-        });
+        },
+        config
+    );
+    const { nextState, queued } = await deliverFiles(
+        order_gid,
+        order_number,
+        mail,
+        pendingFiles,
+        dedupKey,
+        files.map(toFileRef),
+        state,
+        audit
+    );
 
-        if (!email.messageId) {
-            console.log(
-                "Error sending email: ",
-                JSON.stringify(email, null, " ")
-            );
+    return { nextState, queuedFiles: queued ? pendingKeys : [] };
+}
 
-            await transport.sendMail({
-                from: fromEmail,
-                to: toEmail,
-                subject: `[ALERTA] Order ${order_number}: Houve um erro no envio do email (${img.name})`,
-            });
+// files that failed the preflight (see `lib/file-preflight`) put the order in the "needs attention" state
+// and are reported to the shop, once for each set of problems
+async function reportInvalidFiles(order_number, invalidFiles, state, audit) {
+    const files = Object.fromEntries(
+        invalidFiles.map((file) => [
+            file.key,
+            { name: file.name, url: file.url, problems: file.preflight.problems },
+        ])
+    );
 
-            return res.status(200).send("Ok");
-        }
+    if (!canTransition(state, ORDER_EVENT.NEEDS_ATTENTION, { files })) {
+        console.log("skipping preflight alert - these problems were reported");
+        return state;
+    }
+
+    await getServices().sendAlert(
+        `[ALERTA] Order ${order_number}: ${invalidFiles.length} ficheiro(s) com problemas`,
+        [
+            "Os ficheiros abaixo não foram enviados ao cliente:",
+            ...invalidFiles.map(
+                (file) =>
+                    `\n- ${file.name} (${file.url})\n  ${file.preflight.problems.join("\n  ")}`
+            ),
+        ].join("\n")
+    );
+
+    return transition(state, ORDER_EVENT.NEEDS_ATTENTION, {
+        ...audit,
+        files,
+        details: { files },
+    });
+}
+
+// once the design files of an order with physical line items are delivered (see `lib/line-items`), tells the customer
+// their print is in production, when PRINT_PRODUCTION_EMAIL is on. An email that fails is queued for retry
+async function notifyPrintProduction(
+    order_gid,
+    order_number,
+    contact_email,
+    physicalLineItems,
+    renderPrintEmail,
+    state,
+    audit
+) {
+    const { config, orderStates, sendMail } = getServices();
+    const dedupKey = `email:${order_gid}:print`;
+    if (
+        !config.printProductionEmail ||
+        physicalLineItems.length === 0 ||
+        !canTransition(state, ORDER_EVENT.PRINT_NOTIFIED) ||
+        (await isJobPending(dedupKey))
+    ) {
+        return;
+    }
+
+    const { subject, text, html, attachments } = renderPrintEmail();
+    const mail = routeCustomerEmail(
+        {
+            from: config.fromEmail,
+            to: contact_email,
+            subject,
+            text,
+            html,
+            attachments,
+        },
+        config
+    );
+    let email;
+    try {
+        email = await sendMail(mail);
+    } catch (e) {
+        email = { error: e.message };
+    }
 
-        // update `nextTags` to add the file sent in order to be skipped next time
-        nextTags.push(`sent:img:${imgName}`);
+    if (!email.messageId) {
+        console.log(
+            "Error sending print email: ",
+            JSON.stringify(email, null, " ")
+        );
+        await enqueueJob(
+            JOB_TYPE.EMAIL,
+            { mail, files: [], fulfillWhenSent: null, printNotified: true },
+            {
+                orderId: order_gid,
+                orderNumber: order_number,
+                dedupKey,
+                error: email,
+            }
+        );
+        return;
+    }
 
-        console.log(`Email sent: ${email.messageId} (${img.name})`);
+    console.log(`Print email sent: ${email.messageId}`);
+    const nextState = transition(state, ORDER_EVENT.PRINT_NOTIFIED, {
+        ...audit,
+        details: { messageId: email.messageId },
+    });
+    const { errors } = await orderStates.save(nextState);
+    if (errors) {
+        await enqueueJob(
+            JOB_TYPE.ORDER_STATE,
+            { state: nextState },
+            { orderId: order_gid, orderNumber: order_number, error: errors }
+        );
     }
 }
 
-export default async (req, res) => {
-    const body = (await buffer(req)).toString();
+// `audit` identifies the delivery (actor and raw payload) in the order history
+async function processOrderUpdate(order, res, audit) {
     const {
         admin_graphql_api_id: order_gid,
         contact_email,
@@ -161,28 +476,135 @@ export default async (req, res) => {
         note_attributes,
         tags,
         customer_locale,
+        customer,
         financial_status,
-    } = JSON.parse(body);
-    const lang = customer_locale === "pt-PT" ? "pt" : "en";
+    } = order;
+    const {
+        config,
+        orderStates,
+        fulfillOrder,
+        classifyLineItems,
+        sendAlert,
+    } = getServices();
+    // design files only belong to the digital line items, the physical ones are left to the warehouse
+    const {
+        digital: digitalLineItems,
+        physical: physicalLineItems,
+        errors: lineItemErrors,
+    } = await classifyLineItems(order_gid, line_items);
+    if (lineItemErrors) {
+        // not recorded as processed, Shopify retries the delivery
+        const error = new Error(
+            `Failed to read the line items of ${order_number}`
+        );
+        error.errors = lineItemErrors;
+        throw error;
+    }
+    const files = getOrderFiles(note_attributes, digitalLineItems);
+    // a file on a host outside `DOWNLOAD_HOSTS` is linked directly
+    const toEmailItem = (file) => ({
+        number: file.number,
+        fileName: file.name,
+        productName: file.lineItem?.title,
+        variantName: file.lineItem?.variant_title,
+        downloadUrl:
+            getDownloadUrl(
+                {
+                    orderId: order_gid,
+                    url: file.url,
+                    filename: getAttachmentName(
+                        order_number,
+                        file,
+                        files.length
+                    ),
+                },
+                config
+            ) ?? file.url,
+    });
+    const downloadDays = Math.round(
+        config.downloadLinkTtl / (24 * 60 * 60 * 1000)
+    );
+    const revisionUrl = getRevisionUrl(
+        {
+            orderId: order_gid,
+            orderNumber: order_number,
+            language: getTemplateLanguage(customer_locale, config.locales),
+        },
+        config
+    );
+    // the email names the product of its file, orders with several files also list which file goes with which product.
+    // A revised design (`revisionNumber`) is sent on its own
+    const renderEmail = (file, revisionNumber) =>
+        renderTemplate("digital-file", customer_locale, config.locales, {
+            orderNumber: order_number,
+            customerName: customer?.first_name,
+            productName: file.lineItem?.title,
+            variantName: file.lineItem?.variant_title,
+            fileName: file.name,
+            fileNumber:
+                files.length > 1 && !revisionNumber ? file.number : undefined,
+            fileCount: files.length,
+            downloadUrl: toEmailItem(file).downloadUrl,
+            downloadDays,
+            revisionNumber,
+            revisionUrl,
+            items:
+                files.length > 1 && !revisionNumber
+                    ? files.map((item) => ({
+                          ...toEmailItem(item),
+                          isCurrent: item.number === file.number,
+                      }))
+                    : undefined,
+        });
+    // `downloads` only links to the files, they are attached otherwise
+    const renderBatchEmail = (batchFiles, downloads) =>
+        renderTemplate("digital-files", customer_locale, config.locales, {
+            orderNumber: order_number,
+            customerName: customer?.first_name,
+            fileCount: batchFiles.length,
+            downloads,
+            downloadDays,
+            revisionUrl,
+            items: batchFiles.map(toEmailItem),
+        });
+    // the physical line items, printed with the design files
+    const renderPrintEmail = () =>
+        renderTemplate("print-production", customer_locale, config.locales, {
+            orderNumber: order_number,
+            customerName: customer?.first_name,
+            downloadDays,
+            designs: files.map(toEmailItem),
+            items: physicalLineItems.map((lineItem) => ({
+                productName: lineItem.title,
+                variantName: lineItem.variant_title,
+                quantity: lineItem.quantity,
+            })),
+        });
     const currentTags = tags.split(", ");
-    const totalOrderCount = line_items.reduce(
+    const totalOrderCount = digitalLineItems.reduce(
         (acc, line) => acc + line.quantity,
         0
     );
-    const hasMissingFiles = countImageUrls(note_attributes) < totalOrderCount;
-    let nextTags = [];
+    const hasMissingFiles = files.length < totalOrderCount;
+    const deliveryMode = getDeliveryMode(currentTags, config.deliveryMode);
+    let state = await orderStates.load({
+        id: order_gid,
+        name: order_number,
+        tags: currentTags,
+    });
 
-    console.log(`Order Update hook for ${order_number}`);
+    console.log(`Order Update hook for ${order_number} (state: "${state.status}")`);
 
-    // add notification and timer (now + 15min) tags when is paid but no file attached
+    // start the escalation ladder (see `lib/escalation`) when is paid but no file attached
     if (
-        !currentTags.includes("notification") &&
+        canTransition(state, ORDER_EVENT.ESCALATION_STARTED) &&
         financial_status === "paid" &&
-        countImageUrls(note_attributes) === 0
+        totalOrderCount > 0 &&
+        files.length === 0
     ) {
-        console.log("[start] adding notification timer");
-        await addNotificationTimer(order_gid, currentTags);
-        console.log("[end] adding notification timer");
+        console.log("[start] starting escalation");
+        await startEscalation(order_gid, order_number, state, audit);
+        console.log("[end] starting escalation");
 
         return res.status(200).send("Ok");
     }
@@ -192,195 +614,260 @@ export default async (req, res) => {
     // - not yet paid
     // - order closed
     if (
-        countImageUrls(note_attributes) === 0 ||
+        files.length === 0 ||
         financial_status !== "paid" ||
-        currentTags.includes("Entregue")
+        state.status === ORDER_STATUS.FULFILLED
     ) {
         console.log("nothing to process", {
-            attachmentsCount: countImageUrls(note_attributes) === 0,
+            attachmentsCount: files.length === 0,
             isPayed: financial_status !== "paid",
-            isClosed: currentTags.includes("Entregue"),
+            isClosed: state.status === ORDER_STATUS.FULFILLED,
         });
 
+        // the order may have been fulfilled elsewhere (the job queue or the dashboard)
+        if (state.status === ORDER_STATUS.FULFILLED) {
+            await notifyPrintProduction(
+                order_gid,
+                order_number,
+                contact_email,
+                physicalLineItems,
+                renderPrintEmail,
+                state,
+                audit
+            );
+        }
+
+        return res.status(200).send("Ok");
+    }
+
+    // the batch email waits for every file, a revised design goes out on its own
+    const revision = getOpenRevision(state);
+    if (deliveryMode === "batch" && hasMissingFiles && !revision) {
+        console.log(
+            `waiting for every file before the batch email (${files.length}/${totalOrderCount})`
+        );
+
         return res.status(200).send("Ok");
     }
 
     console.log(
-        `Sending "${order_number}" email(s) to "${contact_email}" (locale: "${customer_locale}" :: tags: "${tags}" :: hasMissingFiles: "${hasMissingFiles}")"`
+        `Sending "${order_number}" email(s) to "${contact_email}" (locale: "${customer_locale}" :: state: "${state.status}" :: mode: "${deliveryMode}" :: hasMissingFiles: "${hasMissingFiles}")"`
     );
 
-    console.log("[start] sending email(s) to client");
-    await sendEmailsToClient(
-        order_number,
-        contact_email,
-        note_attributes,
-        lang,
-        currentTags,
-        nextTags
+    // check the files not sent yet, the ones that fail aren't emailed
+    console.log("[start] preflight");
+    const checkedFiles = await Promise.all(
+        files.map(async (file) =>
+            isFileSent(state, file)
+                ? file
+                : {
+                      ...file,
+                      preflight: await preflightFile(file.url, {
+                          maxSize: config.preflightMaxSize,
+                          minDimension: config.preflightMinDimension,
+                          allowedHosts: config.downloadHosts,
+                      }),
+                  }
+        )
     );
-    console.log("[end] sending email(s) to client");
+    const invalidFiles = checkedFiles.filter(
+        (file) => file.preflight?.ok === false
+    );
+    console.log(`[end] preflight (${invalidFiles.length} invalid)`);
 
-    // if hasMissingFiles update tags, otherwise update tags and fulfill order
-    let bulkUpdate, data, errors;
-    if (hasMissingFiles && nextTags.length > 0) {
-        if (nextTags.sort().join(",") !== currentTags.sort().join(",")) {
-            console.log("[start] updating order tags");
-            bulkUpdate = `
-              mutation BulkUpdate(
-                $input: OrderInput!
-              ) {
-                orderUpdate(input: $input) {
-                  userErrors {
-                    field
-                    message
-                  }
-                }
-              }
-            `;
-            ({ data, errors } = await client.request(bulkUpdate, {
-                variables: {
-                    input: {
-                        id: order_gid,
-                        tags: [...currentTags, ...nextTags],
-                    },
-                },
-            }));
-            console.log("[end] updating order tags");
-        } else {
-            console.log("skipping tags update, no change");
-        }
-    } else if (!hasMissingFiles) {
-        console.log("[start] getting fulfillment id");
-        const getOrderOperation = `
-          query GetOrder($id: ID!) {
-            order(id: $id) {
-              fulfillmentOrders(first: 1, query: "-status:closed") {
-                nodes {
-                  id
-                }
-              }
-            }
-          }
-        `;
-        const {
-            data: {
-                order: { fulfillmentOrders },
-            },
-        } = await client.request(getOrderOperation, {
-            variables: {
-                id: order_gid,
-            },
-        });
-        const { id: fulfillmentOrderId } = fulfillmentOrders.nodes[0] ?? {};
-        console.log("[end] getting fulfillment id");
-        console.log(
-            `FulfillmentOrder: "${fulfillmentOrderId}" for ID: "${order_gid}"`
+    console.log("[start] sending email(s) to client");
+    let sent;
+    if (deliveryMode !== "batch" || files.length === 1 || revision) {
+        sent = await sendEmailsToClient(
+            order_gid,
+            order_number,
+            contact_email,
+            checkedFiles,
+            renderEmail,
+            hasMissingFiles || invalidFiles.length > 0,
+            state,
+            audit
         );
-
-        // remove notification and timer tags as the order is now processed
-        const filteredTags = currentTags.filter(
-            (tag) =>
-                !tag.startsWith("timer:") &&
-                !tag.startsWith("sent:img:") &&
-                !["notification", "notified"].includes(tag)
+    } else if (invalidFiles.length === 0) {
+        sent = await sendBatchEmailToClient(
+            order_gid,
+            order_number,
+            contact_email,
+            checkedFiles,
+            renderBatchEmail,
+            state,
+            audit
         );
-        nextTags = [...filteredTags, "Entregue"];
+    } else {
+        console.log("skipping batch email - some files failed the preflight");
+        sent = { nextState: state, queuedFiles: [] };
+    }
+    console.log("[end] sending email(s) to client");
+
+    const { queuedFiles } = sent;
+    const nextState =
+        invalidFiles.length > 0
+            ? await reportInvalidFiles(
+                  order_number,
+                  invalidFiles,
+                  sent.nextState,
+                  audit
+              )
+            : sent.nextState;
+
+    // if hasMissingFiles, some file is invalid, some email is queued or a revision waits for its file only save the
+    // files sent, otherwise save them and fulfill order
+    let finalState = nextState;
+    if (
+        !hasMissingFiles &&
+        invalidFiles.length === 0 &&
+        queuedFiles.length === 0 &&
+        canTransition(nextState, ORDER_EVENT.FULFILLED)
+    ) {
+        console.log("[start] updating order fulfillment");
+        const { fulfillmentOrderIds, skipped, data, errors } =
+            await fulfillOrder(order_gid);
+        console.log("[end] updating order fulfillment");
         console.log(
-            `Computed next tags: ${nextTags} (original: ${currentTags})`
+            `FulfillmentOrders: "${fulfillmentOrderIds.join(", ")}" for ID: "${order_gid}"`
         );
+        if (skipped.length > 0) {
+            console.log(`Skipped: ${describeSkipped(skipped).join("; ")}`);
+        }
 
-        if (fulfillmentOrderId !== undefined) {
-            console.log("[start] updating order tags and fulfillment");
-            bulkUpdate = `
-              mutation BulkUpdate(
-                $input: OrderInput!
-                $fulfillment: FulfillmentV2Input!
-              ) {
-                orderUpdate(input: $input) {
-                  userErrors {
-                    field
-                    message
-                  }
+        if (hasFulfillmentErrors({ data, errors })) {
+            console.log(`
+              GraphQL errors:
+              ${JSON.stringify(data, null, " ")}
+
+              General Errors:
+              ${JSON.stringify(errors, null, " ")}
+            `);
+
+            const job = await enqueueJob(
+                JOB_TYPE.FULFILLMENT,
+                {},
+                {
+                    orderId: order_gid,
+                    orderNumber: order_number,
+                    dedupKey: `fulfillment:${order_gid}`,
+                    error: { data, errors },
                 }
-                fulfillmentCreateV2(fulfillment: $fulfillment) {
-                  userErrors {
-                    field
-                    message
-                  }
+            );
+            finalState = transition(nextState, ORDER_EVENT.FAILED, {
+                ...audit,
+                error: { data, errors, jobId: job?.id ?? null },
+            });
+        } else {
+            finalState = transition(nextState, ORDER_EVENT.FULFILLED, {
+                ...audit,
+                details: { fulfillmentOrderIds, skipped },
+            });
+
+            // digital line items left open, e.g. on a fulfillment order on hold
+            const skippedDigital = skipped.filter(
+                ({ digitalLineItems }) => digitalLineItems > 0
+            );
+            if (skippedDigital.length > 0) {
+                await sendAlert(
+                    `[ALERTA] Order ${order_number}: Ficheiros por marcar como entregues (${describeSkipped(
+                        skippedDigital
+                    ).join("; ")})`
+                );
+            }
+        }
+    }
+
+    if (finalState !== state) {
+        console.log("[start] updating order state");
+        const { errors: stateErrors } = await orderStates.save(finalState);
+        if (stateErrors) {
+            console.log(
+                "Error updating order state: ",
+                JSON.stringify(stateErrors, null, " ")
+            );
+
+            await enqueueJob(
+                JOB_TYPE.ORDER_STATE,
+                { state: finalState },
+                {
+                    orderId: order_gid,
+                    orderNumber: order_number,
+                    error: stateErrors,
                 }
-              }
-            `;
-            ({ data, errors } = await client.request(bulkUpdate, {
-                variables: {
-                    input: {
-                        id: order_gid,
-                        tags: nextTags,
-                    },
-                    fulfillment: {
-                        lineItemsByFulfillmentOrder: [
-                            {
-                                fulfillmentOrderId,
-                            },
-                        ],
-                    },
-                },
-            }));
-            console.log("[end] updating order tags and fulfillment");
+            );
         }
+        console.log("[end] updating order state");
+    } else {
+        console.log("skipping state update, no change");
     }
 
+    // send an email stating that the order is now processed, not again after a revision
     if (
-        data?.orderUpdate?.userErrors.length ||
-        data?.fulfillmentCreateV2?.userErrors.length ||
-        errors
+        finalState.status === ORDER_STATUS.FULFILLED &&
+        state.fulfilledAt === null &&
+        state.notifiedAt !== null
     ) {
-        const errorOutput = `
-          GraphQL errors:
-          ${JSON.stringify(data, null, " ")}
-
-          General Errors:
-          ${JSON.stringify(errors, null, " ")}
-        `;
-        console.log(errorOutput);
-
-        await transport.sendMail({
-            from: fromEmail,
-            to: toEmail,
-            subject: `[ALERTA] Order ${order_number}: Houve um erro ao actualizar a order (hasMissingFiles: ${hasMissingFiles})`,
-            text: errorOutput,
-        });
-
-        return res.status(200).send("Ok");
+        await sendAlert(
+            `[ALERTA] Order ${order_number}: A order já está resolvida`
+        );
     }
 
-    if (hasMissingFiles && !errors) {
-        if (
-            nextTags.length > 0 &&
-            nextTags.sort().join(",") !== currentTags.sort().join(",")
-        ) {
-            console.log("Shopify tags updated");
-        }
-    } else if (!hasMissingFiles && !errors) {
-        console.log("Shopify tags and fulfillment updated");
-
-        // send an email stating that the order is now processed
-        const isNotified = currentTags.includes("notified");
-        if (isNotified) {
-            await transport.sendMail({
-                from: fromEmail,
-                to: toEmail,
-                subject: `[ALERTA] Order ${order_number}: A order já está resolvida`,
-            });
-        }
-    } else {
-        return res.status(500).send("Unknown Error");
+    if (finalState.status === ORDER_STATUS.FULFILLED) {
+        await notifyPrintProduction(
+            order_gid,
+            order_number,
+            contact_email,
+            physicalLineItems,
+            renderPrintEmail,
+            finalState,
+            audit
+        );
     }
 
     console.log("Order processed successfully!");
     res.status(200).send("Ok");
+}
+
+export default async (req, res) => {
+    const rawBody = await buffer(req);
+    const isVerified = await verifyWebhook(req, rawBody, {
+        onRepeatedFailure: (failureCount) =>
+            getServices().sendAlert(
+                `[ALERTA] Webhook: ${failureCount} pedidos com assinatura HMAC inválida`
+            ),
+    });
+    if (!isVerified) {
+        return res.status(401).send("Unauthorized");
+    }
+
+    const order = JSON.parse(rawBody.toString());
+    const webhookId = req.headers["x-shopify-webhook-id"];
+    const { status } = await processWebhookOnce(
+        webhookId,
+        order.admin_graphql_api_id,
+        () =>
+            processOrderUpdate(order, res, {
+                actor: `webhook:${req.headers["x-shopify-topic"]}:${webhookId}`,
+                payload: rawBody,
+            })
+    );
+
+    if (status === "duplicate") {
+        console.log(`skipping webhook - already processed (${webhookId})`);
+        return res.status(200).send("Ok");
+    }
+
+    // another delivery for this order is in flight, a non 2xx makes Shopify retry it later
+    if (status === "locked") {
+        console.log(`skipping webhook - order ${order.name} is being processed`);
+        return res.status(409).send("Order is already being processed");
+    }
 };
 
+// it holds order locks, see `ROUTE_MAX_DURATION` in `lib/webhook-dedup`
 export const config = {
+    maxDuration: 60,
     api: {
         bodyParser: false,
     },
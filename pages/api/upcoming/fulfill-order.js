@@ -1,133 +1,116 @@
 import { buffer } from 'micro'
-import nodemailer from 'nodemailer'
-import { createAdminApiClient } from '@shopify/admin-api-client'
-
-const isDebug = process.env.APP_MODE !== 'production'
-const fromEmail = '"Momentus Shop" <info@momentus.shop>'
-const toEmail = isDebug ? 'ricardo.ferreira@wizardformula.pt' : 'info@momentus.shop'
-
-const [storeDomain, accessToken] = process.env.SHOPIFY_AUTH.split(':')
-const client = createAdminApiClient({
-  apiVersion: '2024-01',
-  storeDomain,
-  accessToken
-})
-
-const transport = nodemailer.createTransport(JSON.parse(process.env.SMTP_CONNECTION))
-
-export default async (req, res) => {
-  const body = (await buffer(req)).toString()
+import { verifyWebhook } from '../../../lib/shopify-webhook'
+import { processWebhookOnce } from '../../../lib/webhook-dedup'
+import { ORDER_EVENT, canTransition, transition } from '../../../lib/order-state-machine'
+import { JOB_TYPE, enqueueJob } from '../../../lib/job-queue'
+import { describeSkipped, hasFulfillmentErrors } from '../../../lib/fulfillment'
+import { getServices } from '../../../lib/services'
+
+// `audit` identifies the delivery (actor and raw payload) in the order history
+async function processOrder(order, res, audit) {
+  const { orderStates, fulfillOrder, sendAlert } = getServices()
   const {
     admin_graphql_api_id: order_gid,
     name: order_number,
     note_attributes,
     tags,
     financial_status
-  } = JSON.parse(body)
-  const currentTags = tags.split(', ')
+  } = order
+  const state = await orderStates.load({ id: order_gid, name: order_number, tags: tags.split(', ') })
 
   res.write(`Received hook for ${order_number}`)
 
   // nothing to process when:
   // - no attachment
-  // - email already sent
+  // - email already sent, or a revision waits for its file
   // - not yet paid
   if (
     !note_attributes?.[0]?.value ||
-    currentTags.includes('Entregue') ||
+    !canTransition(state, ORDER_EVENT.FULFILLED) ||
     financial_status !== 'paid'
   ) return res.status(200).send('Not yet ready to be processed')
 
-  // remove notification and timer tags as the order will be processed now
-  const isNotified = currentTags.includes('notified')
-  const filteredTags = currentTags.filter((tag) => !tag.startsWith('timer:') && !['notification', 'notified'].includes(tag))
-  const nextTags = [...filteredTags, 'Entregue']
-
-  const getOrderOperation = `
-    query GetOrder($id: ID!) {
-      order(id: $id) {
-        fulfillmentOrders(first: 1, query: "-status:closed") {
-          nodes {
-            id
-          }
-        }
-      }
-    }
-  `
-  const { data: { order: { fulfillmentOrders: { nodes: [{ id: fulfillmentOrderId }] } } } } = await client.request(getOrderOperation, {
-    variables: {
-      id: order_gid
-    }
-  })
-
-  const bulkUpdate = `
-    mutation BulkUpdate(
-      $input: OrderInput!
-      $fulfillment: FulfillmentV2Input!
-    ) {
-      orderUpdate(input: $input) {
-        userErrors {
-          field
-          message
-        }
-      }
-      fulfillmentCreateV2(fulfillment: $fulfillment) {
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `
-  const { data, errors } = await client.request(bulkUpdate, {
-    variables: {
-      input: {
-        id: order_gid,
-        tags: nextTags
-      },
-      fulfillment: {
-        lineItemsByFulfillmentOrder: [{
-          fulfillmentOrderId
-        }]
-      }
-    }
-  })
+  const { fulfillmentOrderIds, skipped, data, errors } = await fulfillOrder(order_gid)
+  const isFailed = hasFulfillmentErrors({ data, errors })
+  const job = isFailed
+    ? await enqueueJob(JOB_TYPE.FULFILLMENT, {}, {
+      orderId: order_gid,
+      orderNumber: order_number,
+      dedupKey: `fulfillment:${order_gid}`,
+      error: { data, errors }
+    })
+    : undefined
+  const nextState = isFailed
+    ? transition(state, ORDER_EVENT.FAILED, { ...audit, error: { data, errors, jobId: job?.id ?? null } })
+    : transition(state, ORDER_EVENT.FULFILLED, { ...audit, details: { fulfillmentOrderIds, skipped } })
+  const { errors: stateErrors } = await orderStates.save(nextState)
+
+  if (stateErrors) {
+    await enqueueJob(JOB_TYPE.ORDER_STATE, { state: nextState }, {
+      orderId: order_gid,
+      orderNumber: order_number,
+      error: stateErrors
+    })
+  }
 
-  if (data?.orderUpdate?.userErrors.length || data?.fulfillmentCreateV2?.userErrors.length || errors) {
+  // the failed steps are retried by the job queue cronjob, which alerts when they run out of attempts
+  if (isFailed || stateErrors) {
     const errorOutput = `
       GraphQL errors:
       ${JSON.stringify(data, null, ' ')}
 
       General Errors:
       ${JSON.stringify(errors, null, ' ')}
+
+      State Errors:
+      ${JSON.stringify(stateErrors, null, ' ')}
     `
     console.log(errorOutput)
 
-    await transport.sendMail({
-      from: fromEmail,
-      to: toEmail,
-      subject: `[ALERTA] Order ${order_number}: Houve um erro ao fazer fulfill da order`,
-      text: errorOutput
-    })
-
-    return res.status(200).send('Ok')
+    return res.status(200).send('Queued for retry')
   }
 
-  res.write('Shopify tags and fulfillment updated')
+  res.write('Order state and fulfillment updated')
+
+  // digital line items left open, e.g. on a fulfillment order on hold
+  const skippedDigital = skipped.filter(({ digitalLineItems }) => digitalLineItems > 0)
+  if (skippedDigital.length > 0) {
+    await sendAlert(`[ALERTA] Order ${order_number}: Ficheiros por marcar como entregues (${describeSkipped(skippedDigital).join('; ')})`)
+  }
 
   // send an email stating that the delayed order is now processed
-  if (isNotified) {
-    await transport.sendMail({
-      from: fromEmail,
-      to: toEmail,
-      subject: `[ALERTA] Order ${order_number}: A order já está resolvida`
-    })
+  if (state.notifiedAt !== null) {
+    await sendAlert(`[ALERTA] Order ${order_number}: A order já está resolvida`)
   }
 
   res.status(200).send('Processed')
 }
 
+export default async (req, res) => {
+  const rawBody = await buffer(req)
+  const isVerified = await verifyWebhook(req, rawBody, {
+    onRepeatedFailure: (failureCount) => getServices().sendAlert(
+      `[ALERTA] Webhook: ${failureCount} pedidos com assinatura HMAC inválida`
+    )
+  })
+  if (!isVerified) return res.status(401).send('Unauthorized')
+
+  const order = JSON.parse(rawBody.toString())
+  const webhookId = req.headers['x-shopify-webhook-id']
+  const { status } = await processWebhookOnce(webhookId, order.admin_graphql_api_id, () => processOrder(order, res, {
+    actor: `webhook:${req.headers['x-shopify-topic']}:${webhookId}`,
+    payload: rawBody
+  }))
+
+  if (status === 'duplicate') return res.status(200).send('Already processed')
+
+  // another delivery for this order is in flight, a non 2xx makes Shopify retry it later
+  if (status === 'locked') return res.status(409).send('Order is already being processed')
+}
+
+// it holds order locks, see `ROUTE_MAX_DURATION` in `lib/webhook-dedup`
 export const config = {
+  maxDuration: 60,
   api: {
     bodyParser: false,
   },
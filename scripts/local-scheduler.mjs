@@ -0,0 +1,67 @@
+// Runs the jobs from `lib/cron-jobs.mjs` on their schedule against a local server, the same way Vercel does
+// (`GET <path>` with `Authorization: Bearer <CRON_SECRET>`).
+//
+//   npm run dev:cron                      # keep running next to `npm run dev`
+//   npm run dev:cron -- --once late-notification  # call one job now and exit
+//
+// BASE_URL defaults to http://localhost:3000, CRON_SECRET must match the one the server was started with.
+import cronJobs from '../lib/cron-jobs.mjs'
+import { isDue, parseSchedule } from '../lib/cron-schedule.mjs'
+
+const baseUrl = process.env.BASE_URL ?? 'http://localhost:3000'
+
+async function runJob(job) {
+  const startedAt = new Date()
+
+  try {
+    const response = await fetch(new URL(job.path, baseUrl), {
+      headers: { authorization: `Bearer ${process.env.CRON_SECRET}` }
+    })
+    const body = await response.text()
+    console.log(`[${startedAt.toISOString()}] ${job.name}: ${response.status} ${body}`)
+
+    return response.ok
+  } catch (e) {
+    console.log(`[${startedAt.toISOString()}] ${job.name}: failed`, e.message)
+
+    return false
+  }
+}
+
+async function main(args) {
+  if (!process.env.CRON_SECRET) {
+    console.log('CRON_SECRET is not set, the cron routes will reject every call')
+    process.exit(1)
+  }
+
+  const onceIndex = args.indexOf('--once')
+  if (onceIndex !== -1) {
+    const job = cronJobs.find(({ name }) => name === args[onceIndex + 1])
+    if (!job) {
+      console.log(`Unknown job "${args[onceIndex + 1]}", available: ${cronJobs.map(({ name }) => name).join(', ')}`)
+      process.exit(1)
+    }
+
+    process.exit((await runJob(job)) ? 0 : 1)
+  }
+
+  const jobs = cronJobs
+    .filter(({ enabled }) => enabled !== false)
+    .map((job) => ({ ...job, parsedSchedule: parseSchedule(job.schedule) }))
+
+  console.log(`Scheduling ${jobs.map(({ name, schedule }) => `${name} (${schedule})`).join(', ')} against ${baseUrl}`)
+
+  const tick = () => {
+    const now = new Date()
+    for (const job of jobs) {
+      if (isDue(job.parsedSchedule, now)) runJob(job)
+    }
+
+    // run again at the start of the next minute
+    setTimeout(tick, 60 * 1000 - (now.getTime() % (60 * 1000)))
+  }
+
+  setTimeout(tick, 60 * 1000 - (new Date().getTime() % (60 * 1000)))
+}
+
+main(process.argv.slice(2))
@@ -0,0 +1,24 @@
+// Writes the enabled jobs from `lib/cron-jobs.mjs` into the `crons` of `vercel.json`,
+// `--check` only fails when the file is out of date
+import fs from 'node:fs/promises'
+import cronJobs from '../lib/cron-jobs.mjs'
+
+const vercelConfigPath = new URL('../vercel.json', import.meta.url)
+
+const vercelConfig = JSON.parse(await fs.readFile(vercelConfigPath, 'utf8'))
+const crons = cronJobs
+  .filter(({ enabled }) => enabled !== false)
+  .map(({ path, schedule }) => ({ path, schedule }))
+
+if (JSON.stringify(vercelConfig.crons) === JSON.stringify(crons)) {
+  console.log('vercel.json crons are up to date')
+  process.exit(0)
+}
+
+if (process.argv.includes('--check')) {
+  console.log('vercel.json crons are out of date, run `npm run crons:sync`')
+  process.exit(1)
+}
+
+await fs.writeFile(vercelConfigPath, `${JSON.stringify({ ...vercelConfig, crons }, null, 2)}\n`)
+console.log(`vercel.json updated with ${crons.length} cron(s)`)